@@ -0,0 +1,305 @@
+/**
+ * @fileoverview
+ * Utilities for splitting the CSS in style attributes into declarations.
+ *
+ * The lexer decodes CSS escapes and normalizes each token, so that
+ * obfuscated forms like "e\78pression(" or url( 'x' ) are seen the same way
+ * a browser would see them.  Tokens are strings:<ul>
+ *   <li>identifiers, like "red" or "sans-serif", with escapes decoded,
+ *   <li>numbers with their unit, like "12px", "-1.5em", "50%" or "0",
+ *   <li>hashes, like "#fff",
+ *   <li>strings, always double-quoted and re-escaped, like '"Times New"',
+ *   <li>URLs, always as url("...") and re-escaped,
+ *   <li>function starts, like "rgb(", with the name lower-cased,
+ *   <li>single punctuation characters, like ",", "/", ":", ")", and
+ *   <li>" " for a run of whitespace or comments.
+ * </ul>
+ *
+ * \@provides lexCss, parseCssDeclarations
+ */
+
+var cssparser = (function () {
+
+    var hexDigitRe = /[0-9a-fA-F]/;
+    var nameCharRe = /[\w\-\u0080-\uFFFF]/;
+    var numberRe = /^[+\-]?(?:\d+(?:\.\d+)?|\.\d+)(?:[eE][+\-]?\d+)?/;
+    var plainIdentRe = /^-?[a-zA-Z_][\w\-]*$/;
+
+    function isWhitespace(c) {
+        return c === ' ' || c === '\t' || c === '\n' || c === '\r'
+            || c === '\f';
+    }
+
+    /**
+     * Re-escapes the content of a string or URL token so that it can be
+     * safely wrapped in double quotes.
+     */
+    function escapeCssString(s) {
+        return s.replace(/[^\w \-.,:;\/?=#%+!~*@$\u0080-\uFFFF]/g,
+            function (c) {
+                return '\\' + c.charCodeAt(0).toString(16) + ' ';
+            });
+    }
+
+    /**
+     * Decodes the CSS escape starting with the backslash at css[pos].
+     * @return {Array} the decoded text and the position after the escape.
+     */
+    function readEscape(css, pos) {
+        var end = pos + 1;
+        while (end < css.length && end < pos + 7
+               && hexDigitRe.test(css.charAt(end))) {
+            ++end;
+        }
+        if (end === pos + 1) {
+            // A backslash before anything but a hex digit escapes that
+            // character, except that an escaped newline is dropped.
+            var c = css.charAt(end);
+            return c === '\n' ? ['', end + 1] : [c, end + 1];
+        }
+        var cp = parseInt(css.substring(pos + 1, end), 16);
+        if (isWhitespace(css.charAt(end))) { ++end; }
+        if (cp === 0 || cp > 0x10FFFF || (cp >= 0xD800 && cp <= 0xDFFF)) {
+            return ['\uFFFD', end];
+        }
+        if (cp > 0xFFFF) {
+            cp -= 0x10000;
+            return [String.fromCharCode(0xD800 + (cp >> 10),
+                                        0xDC00 + (cp & 0x3FF)), end];
+        }
+        return [String.fromCharCode(cp), end];
+    }
+
+    // Reads a run of name characters and escapes starting at pos.
+    function readName(css, pos) {
+        var name = '';
+        while (pos < css.length) {
+            var c = css.charAt(pos);
+            if (c === '\\' && css.charAt(pos + 1) !== '\n') {
+                var esc = readEscape(css, pos);
+                name += esc[0];
+                pos = esc[1];
+            } else if (nameCharRe.test(c)) {
+                name += c;
+                ++pos;
+            } else {
+                break;
+            }
+        }
+        return [name, pos];
+    }
+
+    // Reads a quoted string starting at the quote at pos.  Returns null for
+    // an unterminated string.
+    function readString(css, pos) {
+        var quote = css.charAt(pos);
+        var s = '';
+        for (++pos; pos < css.length;) {
+            var c = css.charAt(pos);
+            if (c === quote) {
+                return [s, pos + 1];
+            } else if (c === '\n') {
+                return null;
+            } else if (c === '\\') {
+                var esc = readEscape(css, pos);
+                s += esc[0];
+                pos = esc[1];
+            } else {
+                s += c;
+                ++pos;
+            }
+        }
+        return null;
+    }
+
+    // Reads the body of url( starting just after the parenthesis.  Returns
+    // null if it is malformed.
+    function readUrl(css, pos) {
+        var n = css.length;
+        while (pos < n && isWhitespace(css.charAt(pos))) { ++pos; }
+        var url;
+        var c = css.charAt(pos);
+        if (c === '"' || c === '\'') {
+            var str = readString(css, pos);
+            if (!str) { return null; }
+            url = str[0];
+            pos = str[1];
+        } else {
+            url = '';
+            while (pos < n) {
+                c = css.charAt(pos);
+                if (c === ')' || isWhitespace(c)) { break; }
+                if (c === '"' || c === '\'' || c === '(') { return null; }
+                if (c === '\\') {
+                    var esc = readEscape(css, pos);
+                    url += esc[0];
+                    pos = esc[1];
+                } else {
+                    url += c;
+                    ++pos;
+                }
+            }
+        }
+        while (pos < n && isWhitespace(css.charAt(pos))) { ++pos; }
+        if (css.charAt(pos) !== ')') { return null; }
+        return [url, pos + 1];
+    }
+
+    /**
+     * Splits CSS into normalized tokens as described in the file overview.
+     * Returns null if the CSS contains a string or URL that is cut off or
+     * malformed, since browsers recover from those in ways that are hard to
+     * predict.
+     *
+     * {\@updoc
+     * $ lexCss('color : RED;margin:0 1.5em')
+     * # ['color', ' ', ':', ' ', 'RED', ';', 'margin', ':', '0', ' ', '1.5em']
+     * $ lexCss('width: e\\78 pression(1)')
+     * # ['width', ':', ' ', 'expression(', '1', ')']
+     * $ lexCss("background: URL( 'a b' )")
+     * # ['background', ':', ' ', 'url("a b")']
+     * }
+     *
+     * @param {string} cssText
+     * @return {Array.<string>|null}
+     */
+    function lexCss(cssText) {
+        var css = '' + cssText;
+        var tokens = [];
+        var pos = 0, n = css.length;
+        function space() {
+            if (tokens.length && tokens[tokens.length - 1] !== ' ') {
+                tokens.push(' ');
+            }
+        }
+        while (pos < n) {
+            var c = css.charAt(pos);
+            var m, name;
+            if (isWhitespace(c)) {
+                ++pos;
+                space();
+            } else if (c === '/' && css.charAt(pos + 1) === '*') {
+                var close = css.indexOf('*/', pos + 2);
+                pos = close < 0 ? n : close + 2;
+                space();
+            } else if (c === '"' || c === '\'') {
+                var str = readString(css, pos);
+                if (!str) { return null; }
+                tokens.push('"' + escapeCssString(str[0]) + '"');
+                pos = str[1];
+            } else if ((m = numberRe.exec(css.substring(pos, pos + 64)))) {
+                pos += m[0].length;
+                var unit = '';
+                if (css.charAt(pos) === '%') {
+                    unit = '%';
+                    ++pos;
+                } else if (/[a-zA-Z]/.test(css.charAt(pos))) {
+                    name = readName(css, pos);
+                    unit = name[0].toLowerCase();
+                    pos = name[1];
+                }
+                tokens.push(m[0] + unit);
+            } else if (c === '#') {
+                name = readName(css, pos + 1);
+                tokens.push('#' + name[0]);
+                pos = name[1];
+            } else if (nameCharRe.test(c) || c === '\\') {
+                name = readName(css, pos);
+                pos = name[1];
+                if (css.charAt(pos) === '(') {
+                    var fn = name[0].toLowerCase();
+                    if (fn === 'url') {
+                        var url = readUrl(css, pos + 1);
+                        if (!url) { return null; }
+                        tokens.push('url("' + escapeCssString(url[0]) + '")');
+                        pos = url[1];
+                    } else {
+                        tokens.push(fn + '(');
+                        ++pos;
+                    }
+                } else if (name[0]) {
+                    tokens.push(name[0]);
+                } else {
+                    // A backslash that escapes nothing.
+                    tokens.push(c);
+                    ++pos;
+                }
+            } else {
+                tokens.push(c);
+                ++pos;
+            }
+        }
+        return tokens;
+    }
+
+    /**
+     * Parses the declarations in a style attribute, calling
+     * handler.declaration(property, tokens) for each well-formed one.  The
+     * property is lower-cased, and tokens holds the value without whitespace
+     * tokens or a trailing !important.
+     *
+     * {\@updoc
+     * $ var decls = [];
+     * $ parseCssDeclarations('Color: red !important; ; bogus; margin: 0 auto',
+     * >     { declaration: function (p, tokens) { decls.push([p, tokens]); } });
+     * $ decls
+     * # [['color', ['red']], ['margin', ['0', 'auto']]]
+     * }
+     *
+     * @param {string} cssText
+     * @param {Object} handler
+     */
+    function parseCssDeclarations(cssText, handler) {
+        var tokens = lexCss(cssText);
+        if (!tokens) { return; }
+        var declaration = handler.declaration || handler['declaration'];
+        var depth = 0;
+        var start = 0;
+        for (var i = 0, n = tokens.length; i <= n; ++i) {
+            var tok = tokens[i];
+            if (i < n && tok !== ';') {
+                if (tok === ')') {
+                    --depth;
+                } else if (tok.charAt(tok.length - 1) === '(') {
+                    ++depth;
+                }
+                continue;
+            }
+            if (depth !== 0) {
+                // Parentheses are unbalanced, so the rest is one big error.
+                return;
+            }
+            var decl = [];
+            for (var j = start; j < i; ++j) {
+                if (tokens[j] !== ' ') { decl.push(tokens[j]); }
+            }
+            start = i + 1;
+            if (decl.length < 3 || decl[1] !== ':'
+                || !plainIdentRe.test(decl[0])) {
+                continue;
+            }
+            var value = decl.slice(2);
+            var k = value.length;
+            if (k >= 2 && value[k - 2] === '!'
+                && value[k - 1].toLowerCase() === 'important') {
+                value.length = k - 2;
+            }
+            if (value.length) {
+                declaration.call(handler, decl[0].toLowerCase(), value);
+            }
+        }
+    }
+
+    return {
+        lexCss: lexCss,
+        parseCssDeclarations: parseCssDeclarations
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = cssparser;
+} else if (typeof window !== 'undefined') {
+    // Exports for closure compiler.
+    window['lexCss'] = cssparser.lexCss;
+    window['parseCssDeclarations'] = cssparser.parseCssDeclarations;
+}
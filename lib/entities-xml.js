@@ -0,0 +1,22 @@
+/* The five entities that XML predefines, from
+ * https://www.w3.org/TR/xml/#sec-predefined-ent
+ * @provides xmlEntities
+ */
+var xmlEntities = {};
+// Keys are reference names without the leading '&' or trailing ';'.
+xmlEntities .NAMED = {
+    'amp': '&',
+    'apos': '\u0027',
+    'gt': '>',
+    'lt': '<',
+    'quot': '"'
+};
+// XML always needs the trailing ';'.
+xmlEntities .LEGACY = {};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = xmlEntities;
+} else if (typeof window !== 'undefined') {
+    // Exports for closure compiler.
+    window['xmlEntities'] = xmlEntities;
+}
@@ -1,6 +1,8 @@
 /* Copyright Google Inc.
  * Licensed under the Apache Licence Version 2.0
- * Autogenerated at Fri Aug 13 11:26:55 PDT 2010
+ * Autogenerated at Fri Aug 13 11:26:55 PDT 2010, since extended with the
+ * HTML5 elements and attributes, and with SVG and MathML elements, whose
+ * keys are prefixed with svg: or math:, like svg:linearGradient.
  * @provides html4
  */
 var html4 = {};
@@ -16,11 +18,24 @@ html4 .atype = {
     'GLOBAL_NAME': 7,
     'LOCAL_NAME': 8,
     'CLASSES': 9,
-    'FRAME_TARGET': 10
+    'FRAME_TARGET': 10,
+    'URI_LIST': 12,
+    'PRESENTATION': 13
 };
 html4 .ATTRIBS = {
+    '*::aria-*': 0,
+    '*::aria-activedescendant': 5,
+    '*::aria-controls': 6,
+    '*::aria-describedby': 6,
+    '*::aria-details': 5,
+    '*::aria-errormessage': 5,
+    '*::aria-flowto': 6,
+    '*::aria-labelledby': 6,
+    '*::aria-owns': 6,
     '*::class': 9,
+    '*::data-*': 0,
     '*::dir': 0,
+    '*::hidden': 0,
     '*::id': 4,
     '*::lang': 0,
     '*::onclick': 2,
@@ -34,10 +49,14 @@ html4 .ATTRIBS = {
     '*::onmouseout': 2,
     '*::onmouseover': 2,
     '*::onmouseup': 2,
+    '*::role': 0,
+    '*::spellcheck': 0,
     '*::style': 3,
     '*::title': 0,
+    '*::translate': 0,
     'a::accesskey': 0,
     'a::coords': 0,
+    'a::download': 0,
     'a::href': 1,
     'a::hreflang': 0,
     'a::name': 7,
@@ -56,9 +75,15 @@ html4 .ATTRIBS = {
     'area::nohref': 0,
     'area::onblur': 2,
     'area::onfocus': 2,
+    'area::rel': 0,
     'area::shape': 0,
     'area::tabindex': 0,
     'area::target': 10,
+    'audio::controls': 0,
+    'audio::loop': 0,
+    'audio::muted': 0,
+    'audio::preload': 0,
+    'audio::src': 1,
     'bdo::dir': 0,
     'blockquote::cite': 1,
     'br::clear': 0,
@@ -70,6 +95,8 @@ html4 .ATTRIBS = {
     'button::tabindex': 0,
     'button::type': 0,
     'button::value': 0,
+    'canvas::height': 0,
+    'canvas::width': 0,
     'caption::align': 0,
     'col::align': 0,
     'col::char': 0,
@@ -83,8 +110,10 @@ html4 .ATTRIBS = {
     'colgroup::span': 0,
     'colgroup::valign': 0,
     'colgroup::width': 0,
+    'data::value': 0,
     'del::cite': 1,
     'del::datetime': 0,
+    'details::open': 0,
     'dir::compact': 0,
     'div::align': 0,
     'dl::compact': 0,
@@ -119,11 +148,15 @@ html4 .ATTRIBS = {
     'img::align': 0,
     'img::alt': 0,
     'img::border': 0,
+    'img::decoding': 0,
     'img::height': 0,
     'img::hspace': 0,
     'img::ismap': 0,
+    'img::loading': 0,
     'img::name': 7,
+    'img::sizes': 0,
     'img::src': 1,
+    'img::srcset': 12,
     'img::usemap': 11,
     'img::vspace': 0,
     'img::width': 0,
@@ -135,15 +168,23 @@ html4 .ATTRIBS = {
     'input::checked': 0,
     'input::disabled': 0,
     'input::ismap': 0,
+    'input::list': 5,
+    'input::max': 0,
     'input::maxlength': 0,
+    'input::min': 0,
+    'input::multiple': 0,
     'input::name': 8,
     'input::onblur': 2,
     'input::onchange': 2,
     'input::onfocus': 2,
     'input::onselect': 2,
+    'input::pattern': 0,
+    'input::placeholder': 0,
     'input::readonly': 0,
+    'input::required': 0,
     'input::size': 0,
     'input::src': 1,
+    'input::step': 0,
     'input::tabindex': 0,
     'input::type': 0,
     'input::usemap': 11,
@@ -159,8 +200,64 @@ html4 .ATTRIBS = {
     'li::type': 0,
     'li::value': 0,
     'map::name': 7,
+    'math:*::dir': 0,
+    'math:*::displaystyle': 0,
+    'math:*::mathbackground': 0,
+    'math:*::mathcolor': 0,
+    'math:*::mathsize': 0,
+    'math:*::mathvariant': 0,
+    'math:*::scriptlevel': 0,
+    'math:annotation::encoding': 0,
+    'math:math::display': 0,
+    'math:math::xmlns': 0,
+    'math:menclose::notation': 0,
+    'math:mfrac::linethickness': 0,
+    'math:mlabeledtr::columnalign': 0,
+    'math:mlabeledtr::rowalign': 0,
+    'math:mo::accent': 0,
+    'math:mo::fence': 0,
+    'math:mo::form': 0,
+    'math:mo::largeop': 0,
+    'math:mo::lspace': 0,
+    'math:mo::maxsize': 0,
+    'math:mo::minsize': 0,
+    'math:mo::movablelimits': 0,
+    'math:mo::rspace': 0,
+    'math:mo::separator': 0,
+    'math:mo::stretchy': 0,
+    'math:mo::symmetric': 0,
+    'math:mover::accent': 0,
+    'math:mpadded::depth': 0,
+    'math:mpadded::height': 0,
+    'math:mpadded::lspace': 0,
+    'math:mpadded::voffset': 0,
+    'math:mpadded::width': 0,
+    'math:mspace::depth': 0,
+    'math:mspace::height': 0,
+    'math:mspace::width': 0,
+    'math:mtable::columnalign': 0,
+    'math:mtable::columnspacing': 0,
+    'math:mtable::frame': 0,
+    'math:mtable::rowalign': 0,
+    'math:mtable::rowspacing': 0,
+    'math:mtd::columnalign': 0,
+    'math:mtd::columnspan': 0,
+    'math:mtd::rowalign': 0,
+    'math:mtd::rowspan': 0,
+    'math:mtr::columnalign': 0,
+    'math:mtr::rowalign': 0,
+    'math:munder::accentunder': 0,
+    'math:munderover::accent': 0,
+    'math:munderover::accentunder': 0,
     'menu::compact': 0,
+    'meter::high': 0,
+    'meter::low': 0,
+    'meter::max': 0,
+    'meter::min': 0,
+    'meter::optimum': 0,
+    'meter::value': 0,
     'ol::compact': 0,
+    'ol::reversed': 0,
     'ol::start': 0,
     'ol::type': 0,
     'optgroup::disabled': 0,
@@ -169,8 +266,12 @@ html4 .ATTRIBS = {
     'option::label': 0,
     'option::selected': 0,
     'option::value': 0,
+    'output::for': 6,
+    'output::name': 8,
     'p::align': 0,
     'pre::width': 0,
+    'progress::max': 0,
+    'progress::value': 0,
     'q::cite': 1,
     'select::disabled': 0,
     'select::multiple': 0,
@@ -178,8 +279,301 @@ html4 .ATTRIBS = {
     'select::onblur': 2,
     'select::onchange': 2,
     'select::onfocus': 2,
+    'select::required': 0,
     'select::size': 0,
     'select::tabindex': 0,
+    'source::media': 0,
+    'source::sizes': 0,
+    'source::src': 1,
+    'source::srcset': 12,
+    'source::type': 0,
+    'svg:*::clip-path': 13,
+    'svg:*::clip-rule': 0,
+    'svg:*::color': 0,
+    'svg:*::color-interpolation-filters': 0,
+    'svg:*::display': 0,
+    'svg:*::dominant-baseline': 0,
+    'svg:*::fill': 13,
+    'svg:*::fill-opacity': 0,
+    'svg:*::fill-rule': 0,
+    'svg:*::filter': 13,
+    'svg:*::flood-color': 0,
+    'svg:*::flood-opacity': 0,
+    'svg:*::font-family': 0,
+    'svg:*::font-size': 0,
+    'svg:*::font-style': 0,
+    'svg:*::font-weight': 0,
+    'svg:*::letter-spacing': 0,
+    'svg:*::marker-end': 13,
+    'svg:*::marker-mid': 13,
+    'svg:*::marker-start': 13,
+    'svg:*::mask': 13,
+    'svg:*::opacity': 0,
+    'svg:*::overflow': 0,
+    'svg:*::paint-order': 0,
+    'svg:*::shape-rendering': 0,
+    'svg:*::stop-color': 0,
+    'svg:*::stop-opacity': 0,
+    'svg:*::stroke': 13,
+    'svg:*::stroke-dasharray': 0,
+    'svg:*::stroke-dashoffset': 0,
+    'svg:*::stroke-linecap': 0,
+    'svg:*::stroke-linejoin': 0,
+    'svg:*::stroke-miterlimit': 0,
+    'svg:*::stroke-opacity': 0,
+    'svg:*::stroke-width': 0,
+    'svg:*::systemLanguage': 0,
+    'svg:*::text-anchor': 0,
+    'svg:*::text-decoration': 0,
+    'svg:*::text-rendering': 0,
+    'svg:*::transform': 0,
+    'svg:*::vector-effect': 0,
+    'svg:*::visibility': 0,
+    'svg:*::word-spacing': 0,
+    'svg:*::xml:lang': 0,
+    'svg:*::xml:space': 0,
+    'svg:a::href': 1,
+    'svg:a::rel': 0,
+    'svg:a::target': 10,
+    'svg:a::xlink:href': 1,
+    'svg:circle::cx': 0,
+    'svg:circle::cy': 0,
+    'svg:circle::pathLength': 0,
+    'svg:circle::r': 0,
+    'svg:clipPath::clipPathUnits': 0,
+    'svg:ellipse::cx': 0,
+    'svg:ellipse::cy': 0,
+    'svg:ellipse::pathLength': 0,
+    'svg:ellipse::rx': 0,
+    'svg:ellipse::ry': 0,
+    'svg:feBlend::height': 0,
+    'svg:feBlend::in': 0,
+    'svg:feBlend::in2': 0,
+    'svg:feBlend::mode': 0,
+    'svg:feBlend::result': 0,
+    'svg:feBlend::width': 0,
+    'svg:feBlend::x': 0,
+    'svg:feBlend::y': 0,
+    'svg:feColorMatrix::height': 0,
+    'svg:feColorMatrix::in': 0,
+    'svg:feColorMatrix::result': 0,
+    'svg:feColorMatrix::type': 0,
+    'svg:feColorMatrix::values': 0,
+    'svg:feColorMatrix::width': 0,
+    'svg:feColorMatrix::x': 0,
+    'svg:feColorMatrix::y': 0,
+    'svg:feComponentTransfer::height': 0,
+    'svg:feComponentTransfer::in': 0,
+    'svg:feComponentTransfer::result': 0,
+    'svg:feComponentTransfer::width': 0,
+    'svg:feComponentTransfer::x': 0,
+    'svg:feComponentTransfer::y': 0,
+    'svg:feComposite::height': 0,
+    'svg:feComposite::in': 0,
+    'svg:feComposite::in2': 0,
+    'svg:feComposite::k1': 0,
+    'svg:feComposite::k2': 0,
+    'svg:feComposite::k3': 0,
+    'svg:feComposite::k4': 0,
+    'svg:feComposite::operator': 0,
+    'svg:feComposite::result': 0,
+    'svg:feComposite::width': 0,
+    'svg:feComposite::x': 0,
+    'svg:feComposite::y': 0,
+    'svg:feDropShadow::dx': 0,
+    'svg:feDropShadow::dy': 0,
+    'svg:feDropShadow::height': 0,
+    'svg:feDropShadow::in': 0,
+    'svg:feDropShadow::result': 0,
+    'svg:feDropShadow::stdDeviation': 0,
+    'svg:feDropShadow::width': 0,
+    'svg:feDropShadow::x': 0,
+    'svg:feDropShadow::y': 0,
+    'svg:feFlood::height': 0,
+    'svg:feFlood::result': 0,
+    'svg:feFlood::width': 0,
+    'svg:feFlood::x': 0,
+    'svg:feFlood::y': 0,
+    'svg:feFuncA::amplitude': 0,
+    'svg:feFuncA::exponent': 0,
+    'svg:feFuncA::intercept': 0,
+    'svg:feFuncA::offset': 0,
+    'svg:feFuncA::slope': 0,
+    'svg:feFuncA::tableValues': 0,
+    'svg:feFuncA::type': 0,
+    'svg:feFuncB::amplitude': 0,
+    'svg:feFuncB::exponent': 0,
+    'svg:feFuncB::intercept': 0,
+    'svg:feFuncB::offset': 0,
+    'svg:feFuncB::slope': 0,
+    'svg:feFuncB::tableValues': 0,
+    'svg:feFuncB::type': 0,
+    'svg:feFuncG::amplitude': 0,
+    'svg:feFuncG::exponent': 0,
+    'svg:feFuncG::intercept': 0,
+    'svg:feFuncG::offset': 0,
+    'svg:feFuncG::slope': 0,
+    'svg:feFuncG::tableValues': 0,
+    'svg:feFuncG::type': 0,
+    'svg:feFuncR::amplitude': 0,
+    'svg:feFuncR::exponent': 0,
+    'svg:feFuncR::intercept': 0,
+    'svg:feFuncR::offset': 0,
+    'svg:feFuncR::slope': 0,
+    'svg:feFuncR::tableValues': 0,
+    'svg:feFuncR::type': 0,
+    'svg:feGaussianBlur::edgeMode': 0,
+    'svg:feGaussianBlur::height': 0,
+    'svg:feGaussianBlur::in': 0,
+    'svg:feGaussianBlur::result': 0,
+    'svg:feGaussianBlur::stdDeviation': 0,
+    'svg:feGaussianBlur::width': 0,
+    'svg:feGaussianBlur::x': 0,
+    'svg:feGaussianBlur::y': 0,
+    'svg:feMerge::height': 0,
+    'svg:feMerge::result': 0,
+    'svg:feMerge::width': 0,
+    'svg:feMerge::x': 0,
+    'svg:feMerge::y': 0,
+    'svg:feMergeNode::in': 0,
+    'svg:feMorphology::height': 0,
+    'svg:feMorphology::in': 0,
+    'svg:feMorphology::operator': 0,
+    'svg:feMorphology::radius': 0,
+    'svg:feMorphology::result': 0,
+    'svg:feMorphology::width': 0,
+    'svg:feMorphology::x': 0,
+    'svg:feMorphology::y': 0,
+    'svg:feOffset::dx': 0,
+    'svg:feOffset::dy': 0,
+    'svg:feOffset::height': 0,
+    'svg:feOffset::in': 0,
+    'svg:feOffset::result': 0,
+    'svg:feOffset::width': 0,
+    'svg:feOffset::x': 0,
+    'svg:feOffset::y': 0,
+    'svg:feTile::height': 0,
+    'svg:feTile::in': 0,
+    'svg:feTile::result': 0,
+    'svg:feTile::width': 0,
+    'svg:feTile::x': 0,
+    'svg:feTile::y': 0,
+    'svg:filter::filterUnits': 0,
+    'svg:filter::height': 0,
+    'svg:filter::primitiveUnits': 0,
+    'svg:filter::width': 0,
+    'svg:filter::x': 0,
+    'svg:filter::y': 0,
+    'svg:image::height': 0,
+    'svg:image::href': 1,
+    'svg:image::preserveAspectRatio': 0,
+    'svg:image::width': 0,
+    'svg:image::x': 0,
+    'svg:image::xlink:href': 1,
+    'svg:image::y': 0,
+    'svg:line::pathLength': 0,
+    'svg:line::x1': 0,
+    'svg:line::x2': 0,
+    'svg:line::y1': 0,
+    'svg:line::y2': 0,
+    'svg:linearGradient::gradientTransform': 0,
+    'svg:linearGradient::gradientUnits': 0,
+    'svg:linearGradient::spreadMethod': 0,
+    'svg:linearGradient::x1': 0,
+    'svg:linearGradient::x2': 0,
+    'svg:linearGradient::y1': 0,
+    'svg:linearGradient::y2': 0,
+    'svg:marker::markerHeight': 0,
+    'svg:marker::markerUnits': 0,
+    'svg:marker::markerWidth': 0,
+    'svg:marker::orient': 0,
+    'svg:marker::preserveAspectRatio': 0,
+    'svg:marker::refX': 0,
+    'svg:marker::refY': 0,
+    'svg:marker::viewBox': 0,
+    'svg:mask::height': 0,
+    'svg:mask::maskContentUnits': 0,
+    'svg:mask::maskUnits': 0,
+    'svg:mask::width': 0,
+    'svg:mask::x': 0,
+    'svg:mask::y': 0,
+    'svg:path::d': 0,
+    'svg:path::pathLength': 0,
+    'svg:pattern::height': 0,
+    'svg:pattern::patternContentUnits': 0,
+    'svg:pattern::patternTransform': 0,
+    'svg:pattern::patternUnits': 0,
+    'svg:pattern::preserveAspectRatio': 0,
+    'svg:pattern::viewBox': 0,
+    'svg:pattern::width': 0,
+    'svg:pattern::x': 0,
+    'svg:pattern::y': 0,
+    'svg:polygon::pathLength': 0,
+    'svg:polygon::points': 0,
+    'svg:polyline::pathLength': 0,
+    'svg:polyline::points': 0,
+    'svg:radialGradient::cx': 0,
+    'svg:radialGradient::cy': 0,
+    'svg:radialGradient::fr': 0,
+    'svg:radialGradient::fx': 0,
+    'svg:radialGradient::fy': 0,
+    'svg:radialGradient::gradientTransform': 0,
+    'svg:radialGradient::gradientUnits': 0,
+    'svg:radialGradient::r': 0,
+    'svg:radialGradient::spreadMethod': 0,
+    'svg:rect::height': 0,
+    'svg:rect::pathLength': 0,
+    'svg:rect::rx': 0,
+    'svg:rect::ry': 0,
+    'svg:rect::width': 0,
+    'svg:rect::x': 0,
+    'svg:rect::y': 0,
+    'svg:stop::offset': 0,
+    'svg:svg::height': 0,
+    'svg:svg::preserveAspectRatio': 0,
+    'svg:svg::version': 0,
+    'svg:svg::viewBox': 0,
+    'svg:svg::width': 0,
+    'svg:svg::x': 0,
+    'svg:svg::xmlns': 0,
+    'svg:svg::xmlns:xlink': 0,
+    'svg:svg::y': 0,
+    'svg:symbol::height': 0,
+    'svg:symbol::preserveAspectRatio': 0,
+    'svg:symbol::refX': 0,
+    'svg:symbol::refY': 0,
+    'svg:symbol::viewBox': 0,
+    'svg:symbol::width': 0,
+    'svg:symbol::x': 0,
+    'svg:symbol::y': 0,
+    'svg:text::dx': 0,
+    'svg:text::dy': 0,
+    'svg:text::lengthAdjust': 0,
+    'svg:text::rotate': 0,
+    'svg:text::textLength': 0,
+    'svg:text::x': 0,
+    'svg:text::y': 0,
+    'svg:textPath::href': 1,
+    'svg:textPath::lengthAdjust': 0,
+    'svg:textPath::method': 0,
+    'svg:textPath::side': 0,
+    'svg:textPath::spacing': 0,
+    'svg:textPath::startOffset': 0,
+    'svg:textPath::textLength': 0,
+    'svg:textPath::xlink:href': 1,
+    'svg:tspan::dx': 0,
+    'svg:tspan::dy': 0,
+    'svg:tspan::lengthAdjust': 0,
+    'svg:tspan::rotate': 0,
+    'svg:tspan::textLength': 0,
+    'svg:tspan::x': 0,
+    'svg:tspan::y': 0,
+    'svg:use::height': 0,
+    'svg:use::href': 1,
+    'svg:use::width': 0,
+    'svg:use::x': 0,
+    'svg:use::xlink:href': 1,
+    'svg:use::y': 0,
     'table::align': 0,
     'table::bgcolor': 0,
     'table::border': 0,
@@ -210,14 +604,18 @@ html4 .ATTRIBS = {
     'textarea::accesskey': 0,
     'textarea::cols': 0,
     'textarea::disabled': 0,
+    'textarea::maxlength': 0,
     'textarea::name': 8,
     'textarea::onblur': 2,
     'textarea::onchange': 2,
     'textarea::onfocus': 2,
     'textarea::onselect': 2,
+    'textarea::placeholder': 0,
     'textarea::readonly': 0,
+    'textarea::required': 0,
     'textarea::rows': 0,
     'textarea::tabindex': 0,
+    'textarea::wrap': 0,
     'tfoot::align': 0,
     'tfoot::char': 0,
     'tfoot::charoff': 0,
@@ -240,13 +638,28 @@ html4 .ATTRIBS = {
     'thead::char': 0,
     'thead::charoff': 0,
     'thead::valign': 0,
+    'time::datetime': 0,
     'tr::align': 0,
     'tr::bgcolor': 0,
     'tr::char': 0,
     'tr::charoff': 0,
     'tr::valign': 0,
+    'track::default': 0,
+    'track::kind': 0,
+    'track::label': 0,
+    'track::src': 1,
+    'track::srclang': 0,
     'ul::compact': 0,
-    'ul::type': 0
+    'ul::type': 0,
+    'video::controls': 0,
+    'video::height': 0,
+    'video::loop': 0,
+    'video::muted': 0,
+    'video::playsinline': 0,
+    'video::poster': 1,
+    'video::preload': 0,
+    'video::src': 1,
+    'video::width': 0
 };
 html4 .eflags = {
     'OPTIONAL_ENDTAG': 1,
@@ -265,31 +678,43 @@ html4 .ELEMENTS = {
     'address': 0,
     'applet': 16,
     'area': 2,
+    'article': 0,
+    'aside': 0,
+    'audio': 0,
     'b': 0,
     'base': 18,
     'basefont': 18,
+    'bdi': 0,
     'bdo': 0,
     'big': 0,
     'blockquote': 0,
     'body': 49,
     'br': 2,
     'button': 0,
+    'canvas': 0,
     'caption': 0,
     'center': 0,
     'cite': 0,
     'code': 0,
     'col': 2,
     'colgroup': 1,
+    'data': 0,
+    'datalist': 0,
     'dd': 1,
     'del': 0,
+    'details': 0,
     'dfn': 0,
     'dir': 0,
     'div': 0,
     'dl': 0,
     'dt': 1,
     'em': 0,
+    'embed': 18,
     'fieldset': 0,
+    'figcaption': 0,
+    'figure': 0,
     'font': 0,
+    'footer': 0,
     'form': 0,
     'frame': 18,
     'frameset': 16,
@@ -300,6 +725,8 @@ html4 .ELEMENTS = {
     'h5': 0,
     'h6': 0,
     'head': 49,
+    'header': 0,
+    'hgroup': 0,
     'hr': 2,
     'html': 49,
     'i': 0,
@@ -313,49 +740,209 @@ html4 .ELEMENTS = {
     'legend': 0,
     'li': 1,
     'link': 18,
+    'main': 0,
     'map': 0,
+    'mark': 0,
+    'math:annotation': 0,
+    'math:annotation-xml': 16,
+    'math:math': 0,
+    'math:menclose': 0,
+    'math:merror': 0,
+    'math:mfrac': 0,
+    'math:mi': 0,
+    'math:mlabeledtr': 0,
+    'math:mmultiscripts': 0,
+    'math:mn': 0,
+    'math:mo': 0,
+    'math:mover': 0,
+    'math:mpadded': 0,
+    'math:mphantom': 0,
+    'math:mprescripts': 0,
+    'math:mroot': 0,
+    'math:mrow': 0,
+    'math:ms': 0,
+    'math:mspace': 0,
+    'math:msqrt': 0,
+    'math:mstyle': 0,
+    'math:msub': 0,
+    'math:msubsup': 0,
+    'math:msup': 0,
+    'math:mtable': 0,
+    'math:mtd': 0,
+    'math:mtext': 0,
+    'math:mtr': 0,
+    'math:munder': 0,
+    'math:munderover': 0,
+    'math:none': 0,
+    'math:semantics': 0,
     'menu': 0,
     'meta': 18,
+    'meter': 0,
+    'nav': 0,
     'noframes': 20,
     'noscript': 20,
     'object': 16,
     'ol': 0,
-    'optgroup': 0,
+    'optgroup': 1,
     'option': 1,
+    'output': 0,
     'p': 1,
     'param': 18,
+    'picture': 0,
     'pre': 0,
+    'progress': 0,
     'q': 0,
+    'rp': 1,
+    'rt': 1,
+    'ruby': 0,
     's': 0,
     'samp': 0,
     'script': 84,
+    'section': 0,
     'select': 0,
     'small': 0,
+    'source': 2,
     'span': 0,
     'strike': 0,
     'strong': 0,
     'style': 148,
     'sub': 0,
+    'summary': 0,
     'sup': 0,
+    'svg:a': 0,
+    'svg:animate': 16,
+    'svg:animateMotion': 16,
+    'svg:animateTransform': 16,
+    'svg:circle': 0,
+    'svg:clipPath': 0,
+    'svg:defs': 0,
+    'svg:desc': 0,
+    'svg:ellipse': 0,
+    'svg:feBlend': 0,
+    'svg:feColorMatrix': 0,
+    'svg:feComponentTransfer': 0,
+    'svg:feComposite': 0,
+    'svg:feDropShadow': 0,
+    'svg:feFlood': 0,
+    'svg:feFuncA': 0,
+    'svg:feFuncB': 0,
+    'svg:feFuncG': 0,
+    'svg:feFuncR': 0,
+    'svg:feGaussianBlur': 0,
+    'svg:feImage': 16,
+    'svg:feMerge': 0,
+    'svg:feMergeNode': 0,
+    'svg:feMorphology': 0,
+    'svg:feOffset': 0,
+    'svg:feTile': 0,
+    'svg:filter': 0,
+    'svg:foreignObject': 16,
+    'svg:g': 0,
+    'svg:image': 0,
+    'svg:line': 0,
+    'svg:linearGradient': 0,
+    'svg:marker': 0,
+    'svg:mask': 0,
+    'svg:path': 0,
+    'svg:pattern': 0,
+    'svg:polygon': 0,
+    'svg:polyline': 0,
+    'svg:radialGradient': 0,
+    'svg:rect': 0,
+    'svg:script': 80,
+    'svg:set': 16,
+    'svg:stop': 0,
+    'svg:style': 144,
+    'svg:svg': 0,
+    'svg:switch': 0,
+    'svg:symbol': 0,
+    'svg:text': 0,
+    'svg:textPath': 0,
+    'svg:title': 0,
+    'svg:tspan': 0,
+    'svg:use': 0,
     'table': 0,
     'tbody': 1,
     'td': 1,
+    'template': 16,
     'textarea': 8,
     'tfoot': 1,
     'th': 1,
     'thead': 1,
+    'time': 0,
     'title': 24,
     'tr': 1,
+    'track': 2,
     'tt': 0,
     'u': 0,
     'ul': 0,
-    'var': 0
+    'var': 0,
+    'video': 0,
+    'wbr': 2
 };
 
+html4 .ueffects = {
+    'NOT_LOADED': 0,
+    'SAME_DOCUMENT': 1,
+    'NEW_DOCUMENT': 2
+};
 html4 .URIEFFECTS = {
-
+    'a::href': 2,
+    'area::href': 2,
+    'audio::src': 1,
+    'blockquote::cite': 0,
+    'del::cite': 0,
+    'form::action': 2,
+    'img::src': 1,
+    'img::srcset': 1,
+    'input::src': 1,
+    'ins::cite': 0,
+    'q::cite': 0,
+    'source::src': 1,
+    'source::srcset': 1,
+    'svg:a::href': 2,
+    'svg:a::xlink:href': 2,
+    'svg:image::href': 1,
+    'svg:image::xlink:href': 1,
+    'svg:textPath::href': 1,
+    'svg:textPath::xlink:href': 1,
+    'svg:use::href': 1,
+    'svg:use::xlink:href': 1,
+    'track::src': 1,
+    'video::poster': 1,
+    'video::src': 1
+};
+html4 .ltypes = {
+    'UNSANDBOXED': 2,
+    'SANDBOXED': 1,
+    'DATA': 0
+};
+html4 .LOADERTYPES = {
+    'a::href': 2,
+    'area::href': 2,
+    'audio::src': 1,
+    'blockquote::cite': 2,
+    'del::cite': 2,
+    'form::action': 2,
+    'img::src': 1,
+    'img::srcset': 1,
+    'input::src': 1,
+    'ins::cite': 2,
+    'q::cite': 2,
+    'source::src': 1,
+    'source::srcset': 1,
+    'svg:a::href': 2,
+    'svg:a::xlink:href': 2,
+    'svg:image::href': 1,
+    'svg:image::xlink:href': 1,
+    'svg:textPath::href': 1,
+    'svg:textPath::xlink:href': 1,
+    'svg:use::href': 1,
+    'svg:use::xlink:href': 1,
+    'track::src': 1,
+    'video::poster': 1,
+    'video::src': 1
 };
-html4 .LOADERTYPES = {}
 
 if (typeof exports !== 'undefined') {
     if (typeof module !== 'undefined' && module.exports) {
@@ -0,0 +1,288 @@
+/**
+ * @fileoverview
+ * A whitelist of CSS properties and the values they may take, for use on
+ * declarations from parseCssDeclarations.
+ *
+ * Anything not listed here is dropped, which takes care of behavior,
+ * -moz-binding, expression(), position: fixed and the like.
+ *
+ * \@provides cssSchema, sanitizeCssProperty
+ */
+
+var sanitizecss = (function () {
+
+    // The kinds of value a property may take besides its keywords.
+    var LENGTH = 1;    // 0, or a number with a length unit: "12px", "-1.5em"
+    var PERCENT = 2;   // "50%"
+    var NUMBER = 4;    // a number without a unit: "1.5", "700"
+    var COLOR = 8;     // "#fff", a color name, or rgb(), rgba(), hsl(), hsla()
+    var URL = 16;      // url("..."), checked by the URI policy
+    var STRING = 32;   // '"Times New Roman"'
+    var NAME = 64;     // any identifier, such as a font family name
+    var LIST = 128;    // several values separated by commas
+    var SLASH = 256;   // values separated by "/", as in "font: 12px/1.5"
+
+    var LENGTH_UNITS = words(
+        'px em rem ex ch pt pc cm mm in q vw vh vmin vmax');
+    var COLOR_FUNCTIONS = words('rgb( rgba( hsl( hsla(');
+    var GLOBAL_KEYWORDS = words('inherit initial unset');
+    var COLOR_NAMES = words(
+        'transparent currentcolor aliceblue antiquewhite aqua aquamarine ' +
+        'azure beige bisque black blanchedalmond blue blueviolet brown ' +
+        'burlywood cadetblue chartreuse chocolate coral cornflowerblue ' +
+        'cornsilk crimson cyan darkblue darkcyan darkgoldenrod darkgray ' +
+        'darkgreen darkgrey darkkhaki darkmagenta darkolivegreen darkorange ' +
+        'darkorchid darkred darksalmon darkseagreen darkslateblue ' +
+        'darkslategray darkslategrey darkturquoise darkviolet deeppink ' +
+        'deepskyblue dimgray dimgrey dodgerblue firebrick floralwhite ' +
+        'forestgreen fuchsia gainsboro ghostwhite gold goldenrod gray green ' +
+        'greenyellow grey honeydew hotpink indianred indigo ivory khaki ' +
+        'lavender lavenderblush lawngreen lemonchiffon lightblue lightcoral ' +
+        'lightcyan lightgoldenrodyellow lightgray lightgreen lightgrey ' +
+        'lightpink lightsalmon lightseagreen lightskyblue lightslategray ' +
+        'lightslategrey lightsteelblue lightyellow lime limegreen linen ' +
+        'magenta maroon mediumaquamarine mediumblue mediumorchid ' +
+        'mediumpurple mediumseagreen mediumslateblue mediumspringgreen ' +
+        'mediumturquoise mediumvioletred midnightblue mintcream mistyrose ' +
+        'moccasin navajowhite navy oldlace olive olivedrab orange orangered ' +
+        'orchid palegoldenrod palegreen paleturquoise palevioletred ' +
+        'papayawhip peachpuff peru pink plum powderblue purple rebeccapurple ' +
+        'red rosybrown royalblue saddlebrown salmon sandybrown seagreen ' +
+        'seashell sienna silver skyblue slateblue slategray slategrey snow ' +
+        'springgreen steelblue tan teal thistle tomato turquoise violet ' +
+        'wheat white whitesmoke yellow yellowgreen');
+
+    var BORDER_STYLES = 'none hidden dotted dashed solid double groove ' +
+        'ridge inset outset';
+    var BORDER_WIDTHS = 'thin medium thick';
+    var BACKGROUND_KEYWORDS = 'none repeat repeat-x repeat-y no-repeat ' +
+        'space round scroll local fixed top bottom left right center auto ' +
+        'cover contain border-box padding-box content-box';
+    var LIST_STYLE_TYPES = 'none disc circle square decimal ' +
+        'decimal-leading-zero lower-roman upper-roman lower-greek ' +
+        'lower-alpha lower-latin upper-alpha upper-latin';
+
+    function words(s) {
+        var set = {};
+        var list = s.split(' ');
+        for (var i = 0; i < list.length; ++i) {
+            if (list[i]) { set[list[i]] = true; }
+        }
+        return set;
+    }
+
+    function prop(bits, opt_keywords) {
+        return { bits: bits, keywords: words(opt_keywords || '') };
+    }
+
+    /**
+     * Maps lower-case property names to the kinds of value and the keywords
+     * they allow.
+     */
+    var cssSchema = {
+        'background': prop(COLOR | URL | LENGTH | PERCENT | LIST | SLASH,
+                           BACKGROUND_KEYWORDS),
+        'background-color': prop(COLOR),
+        'background-image': prop(URL | LIST, 'none'),
+        'background-position': prop(LENGTH | PERCENT | LIST,
+                                    'top bottom left right center'),
+        'background-repeat': prop(LIST,
+                                  'repeat repeat-x repeat-y no-repeat space round'),
+        'border': prop(LENGTH | COLOR, BORDER_STYLES + ' ' + BORDER_WIDTHS),
+        'border-collapse': prop(0, 'collapse separate'),
+        'border-color': prop(COLOR),
+        'border-radius': prop(LENGTH | PERCENT | SLASH),
+        'border-spacing': prop(LENGTH),
+        'border-style': prop(0, BORDER_STYLES),
+        'border-width': prop(LENGTH, BORDER_WIDTHS),
+        'bottom': prop(LENGTH | PERCENT, 'auto'),
+        'box-sizing': prop(0, 'content-box border-box'),
+        'caption-side': prop(0, 'top bottom'),
+        'clear': prop(0, 'left right both none'),
+        'clip-path': prop(URL, 'none'),
+        'color': prop(COLOR),
+        'direction': prop(0, 'ltr rtl'),
+        'display': prop(0, 'none inline block inline-block list-item table ' +
+                        'inline-table table-row-group table-header-group ' +
+                        'table-footer-group table-row table-column-group ' +
+                        'table-column table-cell table-caption flex ' +
+                        'inline-flex'),
+        'empty-cells': prop(0, 'show hide'),
+        'fill': prop(COLOR | URL, 'none currentcolor'),
+        'filter': prop(URL, 'none'),
+        'float': prop(0, 'left right none'),
+        'font': prop(LENGTH | PERCENT | NUMBER | STRING | NAME | LIST | SLASH),
+        'font-family': prop(STRING | NAME | LIST),
+        'font-size': prop(LENGTH | PERCENT, 'xx-small x-small small medium ' +
+                          'large x-large xx-large smaller larger'),
+        'font-style': prop(0, 'normal italic oblique'),
+        'font-variant': prop(0, 'normal small-caps'),
+        'font-weight': prop(NUMBER, 'normal bold bolder lighter'),
+        'height': prop(LENGTH | PERCENT, 'auto'),
+        'left': prop(LENGTH | PERCENT, 'auto'),
+        'letter-spacing': prop(LENGTH, 'normal'),
+        'line-height': prop(LENGTH | PERCENT | NUMBER, 'normal'),
+        'list-style': prop(0, LIST_STYLE_TYPES + ' inside outside'),
+        'list-style-position': prop(0, 'inside outside'),
+        'list-style-type': prop(0, LIST_STYLE_TYPES),
+        'margin': prop(LENGTH | PERCENT, 'auto'),
+        'marker-end': prop(URL, 'none'),
+        'marker-mid': prop(URL, 'none'),
+        'marker-start': prop(URL, 'none'),
+        'mask': prop(URL, 'none'),
+        'max-height': prop(LENGTH | PERCENT, 'none'),
+        'max-width': prop(LENGTH | PERCENT, 'none'),
+        'min-height': prop(LENGTH | PERCENT),
+        'min-width': prop(LENGTH | PERCENT),
+        'opacity': prop(NUMBER),
+        'overflow': prop(0, 'visible hidden scroll auto'),
+        'overflow-wrap': prop(0, 'normal break-word anywhere'),
+        'overflow-x': prop(0, 'visible hidden scroll auto'),
+        'overflow-y': prop(0, 'visible hidden scroll auto'),
+        'padding': prop(LENGTH | PERCENT),
+        // fixed and absolute would let content escape its container.
+        'position': prop(0, 'static relative'),
+        'right': prop(LENGTH | PERCENT, 'auto'),
+        'stroke': prop(COLOR | URL, 'none currentcolor'),
+        'table-layout': prop(0, 'auto fixed'),
+        'text-align': prop(0, 'left right center justify start end'),
+        'text-decoration': prop(COLOR, 'none underline overline ' +
+                                'line-through solid double dotted dashed wavy'),
+        'text-indent': prop(LENGTH | PERCENT),
+        'text-overflow': prop(0, 'clip ellipsis'),
+        'text-transform': prop(0, 'none capitalize uppercase lowercase'),
+        'top': prop(LENGTH | PERCENT, 'auto'),
+        'vertical-align': prop(LENGTH | PERCENT, 'baseline sub super top ' +
+                               'text-top middle bottom text-bottom'),
+        'visibility': prop(0, 'visible hidden collapse'),
+        'white-space': prop(0, 'normal nowrap pre pre-wrap pre-line'),
+        'width': prop(LENGTH | PERCENT, 'auto'),
+        'word-break': prop(0, 'normal break-all keep-all break-word'),
+        'word-spacing': prop(LENGTH, 'normal'),
+        'word-wrap': prop(0, 'normal break-word')
+    };
+    var SIDES = ['top', 'right', 'bottom', 'left'];
+    for (var i = 0; i < SIDES.length; ++i) {
+        var side = SIDES[i];
+        cssSchema['border-' + side] = cssSchema['border'];
+        cssSchema['border-' + side + '-color'] = cssSchema['border-color'];
+        cssSchema['border-' + side + '-style'] = cssSchema['border-style'];
+        cssSchema['border-' + side + '-width'] = cssSchema['border-width'];
+        cssSchema['margin-' + side] = cssSchema['margin'];
+        cssSchema['padding-' + side] = cssSchema['padding'];
+    }
+
+    var numberRe = /^[+\-]?(?:\d+(?:\.\d+)?|\.\d+)(?:e[+\-]?\d+)?([a-z]*|%)$/i;
+    var hashColorRe = /^#(?:[0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+    var plainIdentRe = /^-?[a-z_][\w\-]*$/i;
+    var urlTokenRe = /^url\("(.*)"\)$/;
+
+    // The kind of a token that stands for a value on its own, or 0.
+    function valueKind(tok) {
+        var m = numberRe.exec(tok);
+        if (m) {
+            var unit = m[1].toLowerCase();
+            if (unit === '%') { return PERCENT; }
+            if (unit === '') {
+                return parseFloat(tok) === 0 ? NUMBER | LENGTH : NUMBER;
+            }
+            return LENGTH_UNITS.hasOwnProperty(unit) ? LENGTH : 0;
+        }
+        if (hashColorRe.test(tok)) { return COLOR; }
+        if (tok.charAt(0) === '"') { return STRING; }
+        if (plainIdentRe.test(tok)) {
+            return COLOR_NAMES.hasOwnProperty(tok.toLowerCase())
+                ? COLOR | NAME : NAME;
+        }
+        return 0;
+    }
+
+    // Undoes the escaping that lexCss applies to URLs.
+    function decodeCssUrl(s) {
+        return s.replace(/\\([0-9a-f]{1,6}) ?/gi, function (_, hex) {
+            return String.fromCharCode(parseInt(hex, 16));
+        });
+    }
+
+    function encodeCssUrl(s) {
+        return 'url("' + s.replace(/[^\w \-.,:;\/?=#%+!~*@$&\u0080-\uFFFF]/g,
+            function (c) {
+                return '\\' + c.charCodeAt(0).toString(16) + ' ';
+            }) + '")';
+    }
+
+    /**
+     * Checks the value of a declaration against cssSchema.  If any token is
+     * not allowed, the whole declaration is dropped by emptying tokens.
+     * Keywords are lower-cased, and URLs are replaced with the result of
+     * opt_uriRewriter, or dropped without it.
+     *
+     * {\@updoc
+     * $ var tokens = ['RED'];
+     * $ sanitizeCssProperty('color', tokens);
+     * $ tokens
+     * # ['red']
+     * $ tokens = ['expression(', '1', ')'];
+     * $ sanitizeCssProperty('width', tokens);
+     * $ tokens
+     * # []
+     * }
+     *
+     * @param {string} property a lower-case property name.
+     * @param {Array.<string>} tokens the value, as tokens from lexCss without
+     *     whitespace.  It is modified in place.
+     * @param {function(string): ?string=} opt_uriRewriter
+     */
+    function sanitizeCssProperty(property, tokens, opt_uriRewriter) {
+        var schema = cssSchema.hasOwnProperty(property)
+            ? cssSchema[property] : null;
+        var ok = !!schema;
+        for (var i = 0, n = tokens.length; ok && i < n; ++i) {
+            var tok = tokens[i];
+            var lower = tok.toLowerCase();
+            var bits = schema.bits;
+            var m;
+            if (schema.keywords.hasOwnProperty(lower)
+                || (n === 1 && GLOBAL_KEYWORDS.hasOwnProperty(lower))) {
+                tokens[i] = lower;
+            } else if (COLOR_FUNCTIONS.hasOwnProperty(lower)) {
+                // Only numbers, percentages and separators inside.
+                ok = !!(bits & COLOR);
+                for (++i; ok && i < n && tokens[i] !== ')'; ++i) {
+                    ok = tokens[i] === ',' || tokens[i] === '/'
+                        || !!(valueKind(tokens[i]) & (NUMBER | PERCENT))
+                        || /^[+\-]?[\d.]+deg$/i.test(tokens[i]);
+                }
+                ok = ok && i < n;
+            } else if ((m = urlTokenRe.exec(tok))) {
+                var url = (bits & URL) && opt_uriRewriter
+                    ? opt_uriRewriter(decodeCssUrl(m[1])) : null;
+                ok = url !== null && url !== void 0;
+                if (ok) { tokens[i] = encodeCssUrl('' + url); }
+            } else if (tok === ',') {
+                ok = !!(bits & LIST);
+            } else if (tok === '/') {
+                ok = !!(bits & SLASH);
+            } else {
+                var kind = valueKind(tok);
+                ok = !!(bits & kind);
+                // Color names are keywords too.
+                if (ok && (kind & COLOR) && (kind & NAME)) { tokens[i] = lower; }
+            }
+        }
+        if (!ok) { tokens.length = 0; }
+    }
+
+    return {
+        cssSchema: cssSchema,
+        sanitizeCssProperty: sanitizeCssProperty
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = sanitizecss;
+} else if (typeof window !== 'undefined') {
+    // Exports for closure compiler.
+    window['cssSchema'] = sanitizecss.cssSchema;
+    window['sanitizeCssProperty'] = sanitizecss.sanitizeCssProperty;
+}
@@ -0,0 +1,143 @@
+/**
+ * @fileoverview
+ * Node.js Transform streams over the incremental entity decoder and SAX
+ * parser in sanitizer.js.
+ *
+ * \@requires html
+ * \@provides UnescapeStream, SaxStream
+ */
+
+var stream = require('stream');
+var util = require('util');
+var StringDecoder = require('string_decoder').StringDecoder;
+var html = require('../sanitizer.js');
+
+// Chunks may be Buffers split in the middle of a UTF-8 sequence.
+function decodeChunk(decoder, chunk) {
+    return typeof chunk === 'string' ? chunk : decoder.write(chunk);
+}
+
+/**
+ * A Transform stream that reads HTML and writes the same text with its
+ * character references decoded.
+ *
+ * @param {Object=} opt_options as for unescapeEntities.
+ * @constructor
+ */
+function UnescapeStream(opt_options) {
+    if (!(this instanceof UnescapeStream)) {
+        return new UnescapeStream(opt_options);
+    }
+    stream.Transform.call(this, { decodeStrings: false, encoding: 'utf8' });
+    this._decoder = new StringDecoder('utf8');
+    this._unescaper = html.makeIncrementalUnescaper(opt_options);
+}
+util.inherits(UnescapeStream, stream.Transform);
+
+UnescapeStream.prototype._transform = function (chunk, encoding, callback) {
+    var text;
+    try {
+        text = this._unescaper.write(decodeChunk(this._decoder, chunk));
+    } catch (e) {
+        return callback(e);
+    }
+    if (text) { this.push(text); }
+    callback();
+};
+
+UnescapeStream.prototype._flush = function (callback) {
+    var text;
+    try {
+        text = this._unescaper.write(this._decoder.end())
+            + this._unescaper.end();
+    } catch (e) {
+        return callback(e);
+    }
+    if (text) { this.push(text); }
+    callback();
+};
+
+/**
+ * A Transform stream that reads HTML and writes one object per parser event,
+ * such as <code>{ type: 'startTag', name: 'a', attribs: ['href', '/'],
+ * namespace: 'html' }</code>.  Events of type 'endTag' have a name and a
+ * namespace, which is 'svg' or 'math' inside SVG and MathML; those of type
+ * 'pcdata', 'rcdata', 'cdata', 'comment' and 'cdataSection' have the text,
+ * 'doctype' has a name, publicId and systemId, and 'processingInstruction'
+ * a target and data.
+ *
+ * @param {Object=} opt_options as for makeSaxParser.
+ * @constructor
+ */
+function SaxStream(opt_options) {
+    if (!(this instanceof SaxStream)) {
+        return new SaxStream(opt_options);
+    }
+    stream.Transform.call(this, {
+        decodeStrings: false,
+        readableObjectMode: true
+    });
+    this._decoder = new StringDecoder('utf8');
+    this._parser = html.makeIncrementalSaxParser({
+        startTag: function (name, attribs, self, _, __, position) {
+            self.push({
+                type: 'startTag', name: name, attribs: attribs,
+                namespace: position['namespace']
+            });
+        },
+        endTag: function (name, self, _, __, position) {
+            self.push({
+                type: 'endTag', name: name, namespace: position['namespace']
+            });
+        },
+        pcdata: function (text, self) {
+            self.push({ type: 'pcdata', text: text });
+        },
+        rcdata: function (text, self) {
+            self.push({ type: 'rcdata', text: text });
+        },
+        cdata: function (text, self) {
+            self.push({ type: 'cdata', text: text });
+        },
+        comment: function (text, self) {
+            self.push({ type: 'comment', text: text });
+        },
+        doctype: function (name, publicId, systemId, self) {
+            self.push({
+                type: 'doctype', name: name, publicId: publicId,
+                systemId: systemId
+            });
+        },
+        processingInstruction: function (target, data, self) {
+            self.push({
+                type: 'processingInstruction', target: target, data: data
+            });
+        },
+        cdataSection: function (text, self) {
+            self.push({ type: 'cdataSection', text: text });
+        }
+    }, this, opt_options);
+}
+util.inherits(SaxStream, stream.Transform);
+
+SaxStream.prototype._transform = function (chunk, encoding, callback) {
+    try {
+        this._parser.write(decodeChunk(this._decoder, chunk));
+    } catch (e) {
+        return callback(e);
+    }
+    callback();
+};
+
+SaxStream.prototype._flush = function (callback) {
+    try {
+        this._parser.write(this._decoder.end());
+        this._parser.end();
+    } catch (e) {
+        return callback(e);
+    }
+    callback();
+};
+
+exports.UnescapeStream = UnescapeStream;
+exports.SaxStream = SaxStream;
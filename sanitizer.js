@@ -1,4 +1,6 @@
 var html4 = require("./lib/html4.js");
+var cssparser = require("./lib/cssparser.js");
+var sanitizecss = require("./lib/sanitizecss.js");
 
 // Copyright (C) 2006 Google Inc.
 //
@@ -22,15 +24,13 @@ var html4 = require("./lib/html4.js");
  * The HTML sanitizer is built around a SAX parser and HTML element and
  * attributes schemas.
  *
- * If the cssparser is loaded, inline styles are sanitized using the
- * css property and value schemas.  Else they are remove during
- * sanitization.
+ * Inline styles are sanitized using the css property and value schemas.
  *
- * If it exists, uses parseCssDeclarations, sanitizeCssProperty,  cssSchema
+ * Uses parseCssDeclarations, sanitizeCssProperty and cssSchema
  *
  * @author mikesamuel@gmail.com
  * @author jasvir@gmail.com
- * \@requires html4, URI
+ * \@requires html4, parseCssDeclarations, sanitizeCssProperty
  * \@overrides window
  * \@provides html, html_sanitize
  */
@@ -41,37 +41,186 @@ if ('I'.toLowerCase() !== 'i') { throw 'I/i problem'; }
 /**
  * \@namespace
  */
-var html = (function(html4) {
-
-    // The keys of this object must be 'quoted' or JSCompiler will mangle them!
-    // This is a partial list -- lookupEntity() uses the host browser's parser
-    // (when available) to implement full entity lookup.
-    // Note that entities are in general case-sensitive; the uppercase ones are
-    // explicitly defined by HTML5 (presumably as compatibility).
-    var ENTITIES = {
-        'lt': '<',
-        'LT': '<',
-        'gt': '>',
-        'GT': '>',
-        'amp': '&',
-        'AMP': '&',
-        'quot': '"',
-        'apos': '\'',
-        'nbsp': '\u00a0'
-    };
+var html = (function(html4, loadHtmlEntities, parseCssDeclarations,
+                     sanitizeCssProperty) {
+
+    var entityNameRe = /^[A-Za-z][A-Za-z0-9]*$/;
+
+    /**
+     * Makes a profile of the named character references to decode, for the
+     * entities option of unescapeEntities, makeIncrementalUnescaper and
+     * lookupEntity.  The tables for HTML5 (the default), HTML4 and XML are
+     * in lib/entities.js, lib/entities-html4.js and lib/entities-xml.js, a
+     * module each, so a build only has the ones it requires.  Extra
+     * entities, like those a DTD declares, are added to the table's, and
+     * are only decoded with a trailing ';'.  Their names must be letters
+     * and digits, starting with a letter, and not the name of a property
+     * every object has, like constructor.
+     *
+     * {\@updoc
+     * $ var xmlEntities = require('./lib/entities-xml.js');
+     * $ var xml = makeEntityProfile(xmlEntities);
+     * $ unescapeEntities('&lt;&apos;&copy;', { entities: xml })
+     * # '<\'&copy;'
+     * $ var cms = makeEntityProfile(xml, { 'company': 'Acme' });
+     * $ unescapeEntities('&company; &amp &lt', { entities: cms })
+     * # 'Acme &amp &lt'
+     * }
+     *
+     * @param {Object} table has NAMED, which maps entity names without the
+     *     '&' and ';' to their text, and LEGACY, whose keys are the names
+     *     that are also decoded without a ';'.  A profile will do.
+     * @param {Object=} opt_extra more names and their text.
+     * @return {Object} a profile.
+     */
+    function makeEntityProfile(table, opt_extra) {
+        if (!table || !table['NAMED']) {
+            throw new Error('entities table has no NAMED');
+        }
+        var named = table['NAMED'];
+        var legacy = table['LEGACY'] || {};
+        var name;
+        if (opt_extra) {
+            named = {};
+            for (name in table['NAMED']) {
+                if (table['NAMED'].hasOwnProperty(name)) {
+                    named[name] = table['NAMED'][name];
+                }
+            }
+            for (name in opt_extra) {
+                if (Object.prototype.hasOwnProperty.call(opt_extra, name)) {
+                    if (!entityNameRe.test(name) || name in Object.prototype) {
+                        throw new Error('Bad entity name ' + name);
+                    }
+                    named[name] = String(opt_extra[name]);
+                }
+            }
+        }
+        var profile = {
+            'NAMED': named,
+            'LEGACY': legacy,
+            maxLength: 0,
+            maxLegacyLength: 0
+        };
+        for (name in named) {
+            if (named.hasOwnProperty(name)) {
+                profile.maxLength = Math.max(profile.maxLength, name.length);
+            }
+        }
+        for (name in legacy) {
+            if (legacy.hasOwnProperty(name)) {
+                profile.maxLegacyLength =
+                    Math.max(profile.maxLegacyLength, name.length);
+            }
+        }
+        return profile;
+    }
+
+    // The default profile, which is what the parser decodes, and what
+    // unescapeEntities decodes unless asked for another.  Unless
+    // setDefaultEntities gives another, it is every named character
+    // reference in HTML5, so lookups do not depend on a browser being
+    // present.  Note that entities are in general case-sensitive; the
+    // uppercase ones are explicitly defined by HTML5 (presumably as
+    // compatibility).  The table is loaded the first time it is needed.
+    var defaultProfile = null;
+
+    function defaultEntities() {
+        if (!defaultProfile) {
+            defaultProfile = makeEntityProfile(loadHtmlEntities());
+        }
+        return defaultProfile;
+    }
+
+    // The profile that opt_options asks for.  A bare table, like one of the
+    // modules in lib, is made into a profile on the spot.
+    function entityProfile(opt_options) {
+        var entities = opt_options && (opt_options.entities
+                                       || opt_options['entities']);
+        if (!entities) { return defaultEntities(); }
+        return typeof entities.maxLength === 'number'
+            ? entities : makeEntityProfile(entities);
+    }
+
+    /**
+     * Sets the default profile: the entities that unescapeEntities,
+     * lookupEntity and makeIncrementalUnescaper decode without an entities
+     * option, and that the parser decodes in attribute values.  A build
+     * that only needs a smaller set can set it before anything is decoded
+     * and leave the 56kb HTML5 table in lib/entities.js out.  The parser
+     * then decodes what a browser would not, so HTML to be parsed wants
+     * the HTML5 table.
+     *
+     * {\@updoc
+     * $ setDefaultEntities(require('./lib/entities-xml.js'))
+     * $ unescapeEntities('&lt;&apos;&copy;')
+     * # '<\'&copy;'
+     * $ setDefaultEntities(null)
+     * $ unescapeEntities('&lt;&apos;&copy;')
+     * # '<\'\u00A9'
+     * }
+     *
+     * @param {?Object} table a table like those in lib, or a profile made
+     *     by makeEntityProfile, or null to go back to the HTML5 table.
+     */
+    function setDefaultEntities(table) {
+        defaultProfile = table ? entityProfile({ 'entities': table }) : null;
+        namedRefs = null;
+    }
 
     // Patterns for types of entity/character reference names.
     var decimalEscapeRe = /^#(\d+)$/;
-    var hexEscapeRe = /^#x([0-9A-Fa-f]+)$/;
-    // contains every entity per http://www.w3.org/TR/2011/WD-html5-20110113/named-character-references.html
-    var safeEntityNameRe = /^[A-Za-z][A-za-z0-9]+$/;
-    // Used as a hook to invoke the browser's entity parsing. <textarea> is used
-    // because its content is parsed for entities but not tags.
-    // TODO(kpreid): This retrieval is a kludge and leads to silent loss of
-    // functionality if the document isn't available.
-    var entityLookupElement =
-        ('undefined' !== typeof window && window['document'])
-            ? window['document'].createElement('textarea') : null;
+    var hexEscapeRe = /^#x([0-9A-Fa-f]+)$/i;
+    // Numeric references in the C1 control range are treated as Windows-1252
+    // bytes, as the HTML5 tokenizer does.  Code points missing from this
+    // table (0x81, 0x8D, 0x8F, 0x90 and 0x9D) are passed through unchanged.
+    var C1_REPLACEMENTS = {
+        0x80: 0x20AC, 0x82: 0x201A, 0x83: 0x0192, 0x84: 0x201E,
+        0x85: 0x2026, 0x86: 0x2020, 0x87: 0x2021, 0x88: 0x02C6,
+        0x89: 0x2030, 0x8A: 0x0160, 0x8B: 0x2039, 0x8C: 0x0152,
+        0x8E: 0x017D, 0x91: 0x2018, 0x92: 0x2019, 0x93: 0x201C,
+        0x94: 0x201D, 0x95: 0x2022, 0x96: 0x2013, 0x97: 0x2014,
+        0x98: 0x02DC, 0x99: 0x2122, 0x9A: 0x0161, 0x9B: 0x203A,
+        0x9C: 0x0153, 0x9E: 0x017E, 0x9F: 0x0178
+    };
+
+    /**
+     * The text of a numeric character reference, following the HTML5
+     * tokenizer's rules so that the result is always valid UTF-16.
+     *
+     * {\@updoc
+     * $ decodeCodePoint(0x41)
+     * # 'A'
+     * $ decodeCodePoint(0x1F600)
+     * # '\uD83D\uDE00'
+     * $ decodeCodePoint(0)
+     * # '\uFFFD'
+     * $ decodeCodePoint(0xD800)
+     * # '\uFFFD'
+     * $ decodeCodePoint(0x110000)
+     * # '\uFFFD'
+     * $ decodeCodePoint(0x80)
+     * # '\u20AC'
+     * }
+     *
+     * @param {number} cp the value of the reference.
+     * @return {string} one code-point, as one or two UTF-16 code units.
+     */
+    function decodeCodePoint(cp) {
+        if (cp === 0 || cp > 0x10FFFF || (cp >= 0xD800 && cp <= 0xDFFF)) {
+            return '\uFFFD';
+        }
+        if (C1_REPLACEMENTS.hasOwnProperty(cp)) {
+            return String.fromCharCode(C1_REPLACEMENTS[cp]);
+        }
+        if (cp > 0xFFFF) {
+            cp -= 0x10000;
+            return String.fromCharCode(
+                0xD800 + (cp >> 10), 0xDC00 + (cp & 0x3FF));
+        }
+        return String.fromCharCode(cp);
+    }
+
     /**
      * Decodes an HTML entity.
      *
@@ -98,48 +247,135 @@ var html = (function(html4) {
      * # '\n'
      * $ lookupEntity('#x00A')
      * # '\n'
-     * $ lookupEntity('Pi')      // Known failure
+     * $ lookupEntity('#x1F600')
+     * # '\uD83D\uDE00'
+     * $ lookupEntity('#0')
+     * # '\uFFFD'
+     * $ lookupEntity('#150')
+     * # '\u2013'
+     * $ lookupEntity('Pi')
      * # '\u03A0'
-     * $ lookupEntity('pi')      // Known failure
+     * $ lookupEntity('pi')
      * # '\u03C0'
+     * $ lookupEntity('NotEqualTilde')
+     * # '\u2242\u0338'
+     * $ lookupEntity('bogus')
+     * # '&bogus;'
+     * $ lookupEntity('apos', { entities: require('./lib/entities-html4.js') })
+     * # '&apos;'
+     * $ lookupEntity('#x41', { entities: require('./lib/entities-xml.js') })
+     * # 'A'
      * }
      *
      * @param {string} name the content between the '&' and the ';'.
-     * @return {string} a single unicode code-point as a string.
+     * @param {Object=} opt_options may have entities, a profile made by
+     *     makeEntityProfile.
+     * @return {string} the replacement text, which is one or two unicode
+     *     code-points, or the reference itself if the name is unknown.
      */
-    function lookupEntity(name) {
-        // TODO: entity lookup as specified by HTML5 actually depends on the
-        // presence of the ";".
-        if (ENTITIES.hasOwnProperty(name)) { return ENTITIES[name]; }
+    function lookupEntity(name, opt_options) {
+        return decodeEntity(entityProfile(opt_options), name);
+    }
+
+    function decodeEntity(profile, name) {
+        // This only handles references that end with ";".  See
+        // decodeEntitiesInContext for the rules when it is missing.
+        var named = profile['NAMED'];
+        if (named.hasOwnProperty(name)) { return named[name]; }
         var m = name.match(decimalEscapeRe);
         if (m) {
-            return String.fromCharCode(parseInt(m[1], 10));
+            return decodeCodePoint(parseInt(m[1], 10));
         } else if (!!(m = name.match(hexEscapeRe))) {
-            return String.fromCharCode(parseInt(m[1], 16));
-        } else if (entityLookupElement && safeEntityNameRe.test(name)) {
-            entityLookupElement.innerHTML = '&' + name + ';';
-            var text = entityLookupElement.textContent;
-            ENTITIES[name] = text;
-            return text;
+            return decodeCodePoint(parseInt(m[1], 16));
         } else {
             return '&' + name + ';';
         }
     }
 
-    function decodeOneEntity(_, name) {
-        return lookupEntity(name);
+    var ENTITY_RE_1 = /&(#[0-9]+|#[xX][0-9A-Fa-f]+|\w+);/g;
+    // ENTITY_RE_3 for the text just after an '&'.
+    var ENTITY_RE_2 = /^(#[xX][0-9A-Fa-f]+|#[0-9]+|[A-Za-z][A-Za-z0-9]*)(;?)/;
+    // Like ENTITY_RE_1 but the ";" is optional, as it is for browsers.
+    var ENTITY_RE_3 = /&(#[xX][0-9A-Fa-f]+|#[0-9]+|[A-Za-z][A-Za-z0-9]*)(;?)/g;
+    var attribEntityStopRe = /^[=A-Za-z0-9]$/;
+
+    // How much of name, the letters and digits after an '&', the HTML5
+    // tokenizer reads as a named reference: all of it if it is an entity and
+    // a ';' follows, or else the longest legacy entity it starts with.
+    // Zero if there is none.
+    function namedReferenceLength(profile, name, semi) {
+        if (semi && profile['NAMED'].hasOwnProperty(name)) {
+            return name.length;
+        }
+        for (var n = Math.min(name.length, profile.maxLegacyLength);
+             n > 1; n--) {
+            if (profile['LEGACY'].hasOwnProperty(name.substring(0, n))) {
+                return n;
+            }
+        }
+        return 0;
     }
 
-    var nulRe = /\0/g;
-    function stripNULs(s) {
-        return s.replace(nulRe, '');
+    /**
+     * Decodes character references the way the HTML5 tokenizer does, where
+     * numeric references and the legacy named references do not need a
+     * trailing ";".  In attribute values, a legacy reference without a ";"
+     * that is followed by "=" or an alphanumeric is left alone so that
+     * query strings like "?a=1&copy=2" survive.
+     */
+    function decodeEntitiesInContext(s, inAttribute, profile) {
+        var named = profile['NAMED'];
+        return s.replace(ENTITY_RE_3, function (ref, name, semi, offset) {
+            if (name.charAt(0) === '#') { return decodeEntity(profile, name); }
+            var n = namedReferenceLength(profile, name, semi);
+            if (!n) { return ref; }
+            if (n === name.length && semi) { return named[name]; }
+            var next = n < name.length
+                ? name.charAt(n) : s.charAt(offset + ref.length);
+            if (inAttribute && attribEntityStopRe.test(next)) {
+                return ref;
+            }
+            return named[name.substring(0, n)] + ref.substring(n + 1);
+        });
+    }
+
+    /**
+     * The text after an '&' in HTML text, up to the next '&', '<' or '>',
+     * with the reference that the HTML5 tokenizer reads at its start ended
+     * by a ';', or null if the '&' does not start one.
+     *
+     * {\@updoc
+     * $ terminateReference('copy 2012')
+     * # 'copy; 2012'
+     * $ terminateReference('#65x')
+     * # '#65;x'
+     * $ terminateReference('notit;')
+     * # 'not;it;'
+     * $ terminateReference('amp;')
+     * # 'amp;'
+     * $ terminateReference('bogus;')
+     * # null
+     * }
+     */
+    function terminateReference(text) {
+        var m = text.match(ENTITY_RE_2);
+        if (!m) { return null; }
+        var name = m[1];
+        var n = name.charAt(0) === '#'
+            ? name.length
+            : namedReferenceLength(defaultEntities(), name, m[2]);
+        if (!n) { return null; }
+        var rest = n === name.length ? m[2].length + n : n;
+        return name.substring(0, n) + ';' + text.substring(rest);
     }
 
-    var ENTITY_RE_1 = /&(#[0-9]+|#[xX][0-9A-Fa-f]+|\w+);/g;
-    var ENTITY_RE_2 = /^(#[0-9]+|#[xX][0-9A-Fa-f]+|\w+);/;
     /**
      * The plain text of a chunk of HTML CDATA which possibly containing.
      *
+     * By default only references terminated by ";" are decoded.  Pass a
+     * context of 'text' or 'attribute' to decode exactly as a browser would
+     * for text content or for an attribute value respectively.
+     *
      * {\@updoc
      * $ unescapeEntities('')
      * # ''
@@ -151,25 +387,146 @@ var html = (function(html4) {
      * # '<&lt <- unfinished entity>'
      * $ unescapeEntities('/foo?bar=baz&copy=true')  // & often unescaped in URLS
      * # '/foo?bar=baz&copy=true'
-     * $ unescapeEntities('pi=&pi;&#x3c0;, Pi=&Pi;\u03A0') // FIXME: known failure
+     * $ unescapeEntities('pi=&pi;&#x3c0;, Pi=&Pi;\u03A0')
      * # 'pi=\u03C0\u03c0, Pi=\u03A0\u03A0'
+     * $ unescapeEntities('&copy; 2012 &hellip; &rarr;')
+     * # '\u00A9 2012 \u2026 \u2192'
+     * $ unescapeEntities('&lt;&lt <- unfinished entity&gt;', { context: 'text' })
+     * # '<< <- unfinished entity>'
+     * $ unescapeEntities('&notit; &#65&#x42', { context: 'text' })
+     * # '\u00ACit; AB'
+     * $ unescapeEntities('/foo?bar=baz&copy=true', { context: 'text' })
+     * # '/foo?bar=baz\u00A9=true'
+     * $ unescapeEntities('/foo?bar=baz&copy=true', { context: 'attribute' })
+     * # '/foo?bar=baz&copy=true'
+     * $ unescapeEntities('&copy 2012, &copy;2012', { context: 'attribute' })
+     * # '\u00A9 2012, \u00A92012'
+     * $ unescapeEntities('&lang;&apos;',
+     * >                  { entities: require('./lib/entities-html4.js') })
+     * # '\u2329&apos;'
      * }
      *
+     * By default every entity in HTML5 is decoded.  Pass entities, a profile
+     * made by makeEntityProfile, to decode another set, like the 252 of
+     * HTML4 or the 5 of XML.
+     *
      * @param {string} s a chunk of HTML CDATA.  It must not start or end inside
-     *     an HTML entity.
+     *     an HTML entity; use makeIncrementalUnescaper for input that might.
+     * @param {Object=} opt_options may have a context of 'text' or
+     *     'attribute', and entities.
      */
-    function unescapeEntities(s) {
+    function unescapeEntities(s, opt_options) {
 	if(s) {
-	    return s.replace(ENTITY_RE_1, decodeOneEntity);
+	    var context = opt_options && opt_options['context'];
+	    var profile = entityProfile(opt_options);
+	    if (context === 'text' || context === 'attribute') {
+		return decodeEntitiesInContext(s, context === 'attribute', profile);
+	    } else if (context) {
+		throw new Error('Unknown context ' + context);
+	    }
+	    return s.replace(ENTITY_RE_1, function (_, name) {
+		return decodeEntity(profile, name);
+	    });
 	}
 	else {
 	    return s;
 	}
     }
 
+    // A character reference that the next chunk of input might complete.
+    var partialEntityRe = /&(?:#(?:[xX][0-9A-Fa-f]*|[0-9]*)|\w*)$/;
+    var decimalDigitsRe = /^[0-9]*/;
+    var hexDigitsRe = /^[0-9A-Fa-f]*/;
+
+    /**
+     * An unescapeEntities that takes its input in chunks, which may start or
+     * end inside an HTML entity.  A trailing partial reference is held back
+     * until the next write or the end.  Nothing may be written after the
+     * end.
+     *
+     * {\@updoc
+     * $ var unescaper = makeIncrementalUnescaper();
+     * $ unescaper.write('1 &l')
+     * # '1 '
+     * $ unescaper.write('t; 2 &am')
+     * # '< 2 '
+     * $ unescaper.end()
+     * # '&am'
+     * }
+     *
+     * @param {Object=} opt_options as for unescapeEntities.
+     * @return {{write: function(string): string, end: function(): string}}
+     */
+    function makeIncrementalUnescaper(opt_options) {
+        var pending = '';
+        var profile = entityProfile(opt_options);
+        var options = {
+            'context': opt_options && opt_options['context'],
+            'entities': profile
+        };
+        // The digits that continue pending, if it is a numeric reference.
+        var digitsRe = null;
+        var ended = false;
+        return {
+            write: function (chunk) {
+                if (ended) { throw new Error('write after end'); }
+                chunk = '' + chunk;
+                // A numeric reference runs on for as many digits as follow,
+                // so a chunk of digits only makes it longer, and it is not
+                // scanned again.
+                if (digitsRe
+                    && digitsRe.exec(chunk)[0].length === chunk.length) {
+                    pending += chunk;
+                    return '';
+                }
+                var s = pending + chunk;
+                var m = partialEntityRe.exec(s);
+                var cut = s.length;
+                digitsRe = null;
+                // A name longer than any entity is already decided.
+                if (m && m[0].charAt(1) === '#') {
+                    cut = m.index;
+                    digitsRe = /^&#[xX]/.test(m[0])
+                        ? hexDigitsRe : decimalDigitsRe;
+                } else if (m && m[0].length <= profile.maxLength + 1) {
+                    cut = m.index;
+                }
+                pending = s.substring(cut);
+                return unescapeEntities(s.substring(0, cut), options);
+            },
+            end: function () {
+                if (ended) { throw new Error('end after end'); }
+                ended = true;
+                var s = pending;
+                pending = '';
+                digitsRe = null;
+                return unescapeEntities(s, options);
+            }
+        };
+    }
+
+    var ampRe = /&/g;
     var looseAmpRe = /&([^a-z#]|#(?:[^0-9x]|x(?:[^0-9a-f]|$)|$)|$)/gi;
     var ltRe = /[<]/g;
     var gtRe = />/g;
+    var quotRe = /\"/g;
+
+    /**
+     * Escapes HTML special characters in attribute values.
+     *
+     * {\@updoc
+     * $ escapeAttrib('')
+     * # ''
+     * $ escapeAttrib('"<<&==&>>"')  // Do not just escape the first occurrence.
+     * # '&#34;&lt;&lt;&amp;==&amp;&gt;&gt;&#34;'
+     * $ escapeAttrib('Hello <World>!')
+     * # 'Hello &lt;World&gt;!'
+     * }
+     */
+    function escapeAttrib(s) {
+        return ('' + s).replace(ampRe, '&amp;').replace(ltRe, '&lt;')
+            .replace(gtRe, '&gt;').replace(quotRe, '&#34;');
+    }
 
     /**
      * Escape entities in RCDATA that can be escaped without changing the meaning.
@@ -190,379 +547,3713 @@ var html = (function(html4) {
 	}
     }
 
+    // The characters each context must escape, and the larger set escaped by
+    // default, which is safe to paste anywhere in that kind of context.
+    var TEXT_MINIMAL_RE = /[&<]/g;
+    var DQ_ATTRIB_MINIMAL_RE = /[&"]/g;
+    var SQ_ATTRIB_MINIMAL_RE = /[&']/g;
+    var DEFAULT_ESCAPE_RE = /[&<>"']/g;
+    var UNQUOTED_ATTRIB_RE = /[&<>"'=`\t\n\f\r ]/g;
+    // Non-ASCII code points that survive a numeric reference.  C1 controls
+    // are read as Windows-1252 and lone surrogates as U+FFFD, so those stay
+    // literal.
+    var NON_ASCII_RE = /[\uD800-\uDBFF][\uDC00-\uDFFF]|[\u00A0-\uD7FF\uE000-\uFFFF]/g;
+    var SPECIAL_REFS = {
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&#34;', '\'': '&#39;'
+    };
+    // Maps characters to the name used for them when encoding, built the
+    // first time it is needed.
+    var namedRefs = null;
+
+    function getNamedRef(ch) {
+        if (!namedRefs) {
+            namedRefs = {};
+            var named = defaultEntities()['NAMED'];
+            for (var name in named) {
+                if (!named.hasOwnProperty(name)) { continue; }
+                var value = named[name];
+                if (value.length > 2
+                    || (value.length === 2 && !/^[\uD800-\uDBFF]/.test(value))) {
+                    continue;
+                }
+                // Prefer the shortest name, and then the lower-case one.
+                var old = namedRefs.hasOwnProperty(value) ? namedRefs[value] : '';
+                if (!old || name.length < old.length
+                    || (name.length === old.length && name > old)) {
+                    namedRefs[value] = name;
+                }
+            }
+        }
+        return namedRefs.hasOwnProperty(ch) ? '&' + namedRefs[ch] + ';' : null;
+    }
+
+    function numericRef(ch) {
+        var cp = ch.charCodeAt(0);
+        if (ch.length === 2) {
+            cp = ((cp - 0xD800) << 10) + ch.charCodeAt(1) - 0xDC00 + 0x10000;
+        }
+        return '&#' + cp + ';';
+    }
+
+    function escapeInContext(s, specialRe, opt_options) {
+        var nonAscii = opt_options && (opt_options.nonAscii
+                                       || opt_options['nonAscii']);
+        if (nonAscii && nonAscii !== 'numeric' && nonAscii !== 'named') {
+            throw new Error('unknown nonAscii encoding ' + nonAscii);
+        }
+        s = ('' + s).replace(specialRe, function (ch) {
+            return SPECIAL_REFS.hasOwnProperty(ch)
+                ? SPECIAL_REFS[ch] : numericRef(ch);
+        });
+        if (nonAscii) {
+            s = s.replace(NON_ASCII_RE, function (ch) {
+                return (nonAscii === 'named' && getNamedRef(ch))
+                    || numericRef(ch);
+            });
+        }
+        return s;
+    }
+
+    function isMinimal(opt_options) {
+        return !!(opt_options && (opt_options.minimal
+                                  || opt_options['minimal']));
+    }
+
+    /**
+     * Escapes plain text for use as the text content of an element.
+     *
+     * The escapers each take options, which may have<dl>
+     *   <dt>minimal</dt>
+     *   <dd>true to escape only the characters that must be escaped in that
+     *     context, rather than all of &amp;, &lt;, &gt;, " and '.</dd>
+     *   <dt>nonAscii</dt>
+     *   <dd>'numeric' to write non-ASCII characters as numeric references,
+     *     or 'named' to use a named reference where there is one.  C1
+     *     control characters and lone surrogates are left as they are, since
+     *     no reference decodes to them.</dd>
+     * </dl>
+     * Whatever the options, unescapeEntities(escapeHtmlText(s), { context:
+     * 'text' }) is s, and likewise for the other escapers.
+     *
+     * {\@updoc
+     * $ escapeHtmlText('1 < 2 & "3" > 0')
+     * # '1 &lt; 2 &amp; &#34;3&#34; &gt; 0'
+     * $ escapeHtmlText('1 < 2 & "3" > 0', { minimal: true })
+     * # '1 &lt; 2 &amp; "3" > 0'
+     * $ escapeHtmlText('caf\u00E9 \uD83D\uDE00', { nonAscii: 'numeric' })
+     * # 'caf&#233; &#128512;'
+     * $ escapeHtmlText('caf\u00E9 \u00A0', { nonAscii: 'named' })
+     * # 'caf&eacute; &nbsp;'
+     * }
+     *
+     * @param {string} s
+     * @param {Object=} opt_options
+     * @return {string}
+     */
+    function escapeHtmlText(s, opt_options) {
+        return escapeInContext(
+            s, isMinimal(opt_options) ? TEXT_MINIMAL_RE : DEFAULT_ESCAPE_RE,
+            opt_options);
+    }
+
+    /**
+     * Escapes text for use inside a double-quoted attribute value.  Takes
+     * the same options as escapeHtmlText.
+     *
+     * {\@updoc
+     * $ escapeDoubleQuotedAttrib('say "hi" & \'bye\'', { minimal: true })
+     * # 'say &#34;hi&#34; &amp; \'bye\''
+     * }
+     *
+     * @param {string} s
+     * @param {Object=} opt_options
+     * @return {string}
+     */
+    function escapeDoubleQuotedAttrib(s, opt_options) {
+        return escapeInContext(
+            s, isMinimal(opt_options) ? DQ_ATTRIB_MINIMAL_RE : DEFAULT_ESCAPE_RE,
+            opt_options);
+    }
+
+    /**
+     * Escapes text for use inside a single-quoted attribute value.  Takes
+     * the same options as escapeHtmlText.
+     *
+     * {\@updoc
+     * $ escapeSingleQuotedAttrib('say "hi" & \'bye\'', { minimal: true })
+     * # 'say "hi" &amp; &#39;bye&#39;'
+     * }
+     *
+     * @param {string} s
+     * @param {Object=} opt_options
+     * @return {string}
+     */
+    function escapeSingleQuotedAttrib(s, opt_options) {
+        return escapeInContext(
+            s, isMinimal(opt_options) ? SQ_ATTRIB_MINIMAL_RE : DEFAULT_ESCAPE_RE,
+            opt_options);
+    }
+
+    /**
+     * Escapes text for use as an unquoted attribute value, which ends at
+     * whitespace or '>' and must not contain quotes, '=' or '`'.  The
+     * minimal option makes no difference here.  An empty value cannot be
+     * written unquoted, so callers must quote it themselves.
+     *
+     * {\@updoc
+     * $ escapeUnquotedAttrib('a b=c>d')
+     * # 'a&#32;b&#61;c&gt;d'
+     * }
+     *
+     * @param {string} s
+     * @param {Object=} opt_options
+     * @return {string}
+     */
+    function escapeUnquotedAttrib(s, opt_options) {
+        return escapeInContext(s, UNQUOTED_ATTRIB_RE, opt_options);
+    }
+
+    /**
+     * Escapes text for use as the content of an RCDATA element, textarea or
+     * title, where references are decoded but tags are not recognized.
+     * Escaping '<' means the text can never close the element.  Takes the
+     * same options as escapeHtmlText.
+     *
+     * {\@updoc
+     * $ escapeRCData('</textarea><b>&amp;', { minimal: true })
+     * # '&lt;/textarea>&lt;b>&amp;amp;'
+     * }
+     *
+     * @param {string} s
+     * @param {Object=} opt_options
+     * @return {string}
+     */
+    function escapeRCData(s, opt_options) {
+        return escapeInContext(
+            s, isMinimal(opt_options) ? TEXT_MINIMAL_RE : DEFAULT_ESCAPE_RE,
+            opt_options);
+    }
+
     // TODO(felix8a): validate sanitizer regexs against the HTML5 grammar at
     // http://www.whatwg.org/specs/web-apps/current-work/multipage/syntax.html
     // http://www.whatwg.org/specs/web-apps/current-work/multipage/parsing.html
     // http://www.whatwg.org/specs/web-apps/current-work/multipage/tokenization.html
     // http://www.whatwg.org/specs/web-apps/current-work/multipage/tree-construction.html
 
-    // We initially split input so that potentially meaningful characters
-    // like '<' and '>' are separate tokens, using a fast dumb process that
-    // ignores quoting.  Then we walk that token stream, and when we see a
-    // '<' that's the start of a tag, we use ATTR_RE to extract tag
-    // attributes from the next token.  That token will never have a '>'
-    // character.  However, it might have an unbalanced quote character, and
-    // when we see that, we combine additional tokens to balance the quote.
-
-    var ATTR_RE = new RegExp(
-        '^\\s*' +
-            '([-.:\\w]+)' +             // 1 = Attribute name
-            '(?:' + (
-            '\\s*(=)\\s*' +           // 2 = Is there a value?
-                '(' + (                   // 3 = Attribute value
-                // TODO(felix8a): maybe use backref to match quotes
-                '(\")[^\"]*(\"|$)' +    // 4, 5 = Double-quoted string
-                    '|' +
-                    '(\')[^\']*(\'|$)' +    // 6, 7 = Single-quoted string
-                    '|' +
-                    // Positive lookahead to prevent interpretation of
-                    // <foo a= b=c> as <foo a='b=c'>
-                    // TODO(felix8a): might be able to drop this case
-                    '(?=[a-z][-\\w]*\\s*=)' +
-                    '|' +
-                    // Unquoted value that isn't an attribute name
-                    // (since we didn't match the positive lookahead above)
-                    '[^\"\'\\s]*' ) +
-                ')' ) +
-            ')?',
-        'i');
-
-    // bitmask for tags with special parsing, like <script> and <textarea>
-    var EFLAGS_TEXT = html4.eflags['CDATA'] | html4.eflags['RCDATA'];
+    // The parser reads the input once, from left to right.  Text runs up to
+    // the next '&', '<' or '>', and what one of those starts is decided by
+    // the few characters after it.  The only searches that look further on
+    // are for the '>' of a tag, doctype, processing instruction or bogus
+    // comment, the '-->' of a comment, the ']]>' of a CDATA section, the
+    // closing quote of an attribute value, and the end tag of an element
+    // like <script>.  Such a search either succeeds, and the parser moves
+    // past everything it looked at, or it fails and the rest of the input
+    // is swallowed by the tag or <script>, or the '<!--', '<!', '<?' or '</'
+    // is text and the failure is remembered for the next one.  So no
+    // character is looked at more than a few times, and parsing takes time
+    // linear in the length of the input.  The pathological inputs in
+    // test/benchmark check that this holds.
 
-    // Parsing strategy is to split input into parts that might be lexically
-    // meaningful (every ">" becomes a separate part), and then recombine
-    // parts if we discover they're in a different context.
+    var tagNameCharRe = /[-\w:]/;
 
-    // TODO(felix8a): Significant performance regressions from -legacy,
-    // tested on
-    //    Chrome 18.0
-    //    Firefox 11.0
-    //    IE 6, 7, 8, 9
-    //    Opera 11.61
-    //    Safari 5.1.3
-    // Many of these are unusual patterns that are linearly slower and still
-    // pretty fast (eg 1ms to 5ms), so not necessarily worth fixing.
+    // Attributes are read as in the HTML5 attribute states.  Spaces and '/'
+    // separate them.  A name runs up to a space, '/', '>' or '=', though it
+    // may start with '=', and a value is quoted or runs up to a space or
+    // '>'.
+    var tagSpaceRe = /[\t\n\f\r ]/;
+    var attrSeparatorRe = /[\t\n\f\r \/]/;
+    var attrNameEndRe = /[\t\n\f\r \/>=]/;
+    var unquotedValueEndRe = /[\t\n\f\r >]/;
 
-    // TODO(felix8a): "<script> && && && ... <\/script>" is slower on all
-    // browsers.  The hotspot is htmlSplit.
+    // bitmask for tags with special parsing, like <script> and <textarea>
+    var EFLAGS_TEXT = html4.eflags['CDATA'] | html4.eflags['RCDATA'];
 
-    // TODO(felix8a): "<p title='>>>>...'><\/p>" is slower on all browsers.
-    // This is partly htmlSplit, but the hotspot is parseTagAndAttrs.
+    /**
+     * Given a SAX-like event handler, produce a function that feeds those
+     * events and a parameter to the event handler.
+     *
+     * The event handler has the form:{@code
+     * {
+     *   // Name is a lower-case HTML tag name.  Attribs is an array of
+     *   // alternating lower-case attribute names, and attribute values.
+     *   // Param is the value passed to the saxParser.
+     *   startTag: function (name, attribs, param) { ... },
+     *   endTag:   function (name, param) { ... },
+     *   pcdata:   function (text, param) { ... },
+     *   rcdata:   function (text, param) { ... },
+     *   cdata:    function (text, param) { ... },
+     *   comment:  function (text, param) { ... },
+     *   // Name is lower-cased; an id that is missing is null.
+     *   doctype:  function (name, publicId, systemId, param) { ... },
+     *   processingInstruction: function (target, data, param) { ... },
+     *   cdataSection: function (text, param) { ... },
+     *   startDoc: function (param) { ... },
+     *   endDoc:   function (param) { ... },
+     *   // Code names the kind of malformed input that was recovered from.
+     *   warning:  function (code, position, param) { ... }
+     * }}
+     *
+     * Tag and attribute names are lower-cased and attribute values are
+     * decoded.  Attributes are read as in HTML5, so '/' separates them and
+     * only the first of two with the same name is kept.  Text passed to
+     * pcdata and rcdata is still HTML, so it may contain entities; cdata is
+     * passed through as it appeared.  In pcdata, every '&' starts a
+     * reference that ends with a ';', so "&copy 2012" is passed on as
+     * "&copy; 2012" and "a & b" as "a &amp; b".
+     *
+     * A <\!DOCTYPE ...>, a processing instruction like <?xml ...?> and a
+     * <\![CDATA[...]]> section each have their own handler; the data of a
+     * processing instruction and the text of a CDATA section are passed on
+     * as they appeared.  Other markup that starts with '<\!', and an end tag
+     * like <\/ x> whose name does not start with a letter or digit, is a
+     * bogus comment, which is passed to comment with the text up to the
+     * '>', as in HTML5.
+     *
+     * Inside <svg> and <math>, tags are read as SVG or MathML, as in HTML5:
+     * names like linearGradient and viewBox get their camel case back, no
+     * element has CDATA or RCDATA content, and '/>' closes an element, so
+     * the start tag is followed by its end tag.  An HTML start tag like
+     * <p> or <div> closes the open SVG and MathML elements, except inside
+     * an integration point like <foreignObject> or <mi>, whose content is
+     * HTML.
+     *
+     * Every handler except startDoc, endDoc and warning is called with three
+     * more arguments after param: a marker, a continuation, and the position
+     * of the token in the input.  To pause parsing, a handler keeps the
+     * continuation and throws the marker.  The parser then returns at once,
+     * and calling the continuation later resumes parsing with the token
+     * after the one that was being reported.  A continuation should be
+     * called at most once.
+     *
+     * A position has the start and end offsets of the token, and the line
+     * and column of its start and its endLine and endColumn, counted from 1.
+     * The position of a start or end tag also has the namespace of its
+     * element: 'html', 'svg' or 'math'.  The position of a CDATA section has
+     * the namespace of the element it is in, since only in SVG and MathML
+     * does a browser read one as text; in an integration point it is 'html',
+     * since the HTML elements open there are not tracked.
+     *
+     * The warning codes are 'unterminatedQuote' for an attribute value whose
+     * quote is never closed and 'unclosedTag' for a tag with no '>', either
+     * of which drops the tag along with the rest of the input; and
+     * 'unclosedComment', 'unclosedDeclaration',
+     * 'unclosedProcessingInstruction' and 'unclosedCdataSection' for a
+     * '<!--', '<!', '<?' or '<![CDATA[' with no end, which is treated as
+     * text.
+     *
+     * {\@updoc
+     * $ var events = [];
+     * $ makeSaxParser({
+     * >     startTag: function (name, attribs, out) {
+     * >         out.push('start ' + name + ' ' + attribs.join('='));
+     * >     },
+     * >     pcdata: function (text, out) { out.push('text ' + text); }
+     * > })('<a href="/x?a=1&amp;b=2">1 &lt; 2', events);
+     * $ events
+     * # ['start a href=/x?a=1&b=2', 'text 1 ', 'text &lt; 2']
+     * $ var warnings = [];
+     * $ makeSaxParser({
+     * >     warning: function (code, position, out) {
+     * >         out.push(code + ' at ' + position.line + ':' + position.column);
+     * >     }
+     * > })('<p>\n<!-- oops', warnings);
+     * $ warnings
+     * # ['unclosedComment at 2:1']
+     * $ var doctype = [];
+     * $ makeSaxParser({
+     * >     doctype: function (name, publicId, systemId, out) {
+     * >         out.push(name, publicId, systemId);
+     * >     }
+     * > })('<!DOCTYPE HTML SYSTEM "about:legacy-compat">', doctype);
+     * $ doctype
+     * # ['html', null, 'about:legacy-compat']
+     * $ var svg = [];
+     * $ makeSaxParser({
+     * >     startTag: function (name, attribs, out, m, c, position) {
+     * >         out.push(position.namespace + ' ' + name);
+     * >     },
+     * >     endTag: function (name, out) { out.push('/' + name); }
+     * > })('<svg><linearGradient/><p></svg>', svg);
+     * $ svg
+     * # ['svg svg', 'svg linearGradient', '/linearGradient', 'html p', '/svg']
+     * }
+     *
+     * Pass the option balance: true to get well-formed events, as described
+     * at makeBalancingHandler.  Tags without a closing '>' are skipped
+     * without an event; a report option, as for sanitize, lists them.
+     *
+     * @param {Object} handler a record containing event handlers.
+     * @param {Object=} opt_options may have balance: true and a report.
+     * @return {function(string, Object)} A function that takes a chunk of HTML
+     *     and a parameter.  The parameter is passed on to the handler methods.
+     */
+    function makeSaxParser(handler, opt_options) {
+        var hcopy = copyHandler(handler);
+        if (isBalanced(opt_options)) {
+            hcopy = makeBalancingHandler(hcopy);
+        }
+        return function(htmlText, param) {
+            return parse(htmlText, hcopy, param, opt_options);
+        };
+    }
 
-    // TODO(felix8a): "<a><\/a><a><\/a>..." is slower on IE9.
-    // "<a>1<\/a><a>1<\/a>..." is faster, "<a><\/a>2<a><\/a>2..." is faster.
+    function copyHandler(handler) {
+        // Accept quoted or unquoted keys (Closure compat)
+        return {
+            cdata: handler.cdata || handler['cdata'],
+            cdataSection: handler.cdataSection || handler['cdataSection'],
+            comment: handler.comment || handler['comment'],
+            doctype: handler.doctype || handler['doctype'],
+            endDoc: handler.endDoc || handler['endDoc'],
+            endTag: handler.endTag || handler['endTag'],
+            pcdata: handler.pcdata || handler['pcdata'],
+            processingInstruction: handler.processingInstruction
+                || handler['processingInstruction'],
+            rcdata: handler.rcdata || handler['rcdata'],
+            startDoc: handler.startDoc || handler['startDoc'],
+            startTag: handler.startTag || handler['startTag'],
+            warning: handler.warning || handler['warning']
+        };
+    }
 
-    // TODO(felix8a): "<p<p<p..." is slower on IE[6-8]
+    function isBalanced(opt_options) {
+        return !!(opt_options && (opt_options.balance
+                                  || opt_options['balance']));
+    }
 
-    var continuationMarker = {};
+    // The start tags that close an open p element, as in the HTML5 tree
+    // builder.
+    var P_CLOSERS = {
+        'address': 1, 'article': 1, 'aside': 1, 'blockquote': 1, 'center': 1,
+        'dd': 1, 'details': 1, 'dialog': 1, 'dir': 1, 'div': 1, 'dl': 1,
+        'dt': 1, 'fieldset': 1, 'figcaption': 1, 'figure': 1, 'footer': 1,
+        'form': 1, 'h1': 1, 'h2': 1, 'h3': 1, 'h4': 1, 'h5': 1, 'h6': 1,
+        'header': 1, 'hgroup': 1, 'hr': 1, 'li': 1, 'listing': 1, 'main': 1,
+        'menu': 1, 'nav': 1, 'ol': 1, 'p': 1, 'plaintext': 1, 'pre': 1,
+        'section': 1, 'summary': 1, 'table': 1, 'ul': 1, 'xmp': 1
+    };
+    // The elements that HTML5 parses specially, keyed as in html4.ELEMENTS.
+    // An end tag for an ordinary element like span cannot close one of
+    // them, and the li, dd or dt that a new one closes is only looked for
+    // past address, div and p.
+    var SPECIAL_ELEMENTS = {
+        'address': 1, 'applet': 1, 'area': 1, 'article': 1, 'aside': 1,
+        'base': 1, 'basefont': 1, 'bgsound': 1, 'blockquote': 1, 'body': 1,
+        'br': 1, 'button': 1, 'caption': 1, 'center': 1, 'col': 1,
+        'colgroup': 1, 'dd': 1, 'details': 1, 'dir': 1, 'div': 1, 'dl': 1,
+        'dt': 1, 'embed': 1, 'fieldset': 1, 'figcaption': 1, 'figure': 1,
+        'footer': 1, 'form': 1, 'frame': 1, 'frameset': 1, 'h1': 1, 'h2': 1,
+        'h3': 1, 'h4': 1, 'h5': 1, 'h6': 1, 'head': 1, 'header': 1,
+        'hgroup': 1, 'hr': 1, 'html': 1, 'iframe': 1, 'img': 1, 'input': 1,
+        'keygen': 1, 'li': 1, 'link': 1, 'listing': 1, 'main': 1,
+        'marquee': 1, 'menu': 1, 'meta': 1, 'nav': 1, 'noembed': 1,
+        'noframes': 1, 'noscript': 1, 'object': 1, 'ol': 1, 'p': 1,
+        'param': 1, 'plaintext': 1, 'pre': 1, 'script': 1, 'search': 1,
+        'section': 1, 'select': 1, 'source': 1, 'style': 1, 'summary': 1,
+        'table': 1, 'tbody': 1, 'td': 1, 'template': 1, 'textarea': 1,
+        'tfoot': 1, 'th': 1, 'thead': 1, 'title': 1, 'tr': 1, 'track': 1,
+        'ul': 1, 'wbr': 1, 'xmp': 1,
+        'math:mi': 1, 'math:mo': 1, 'math:mn': 1, 'math:ms': 1,
+        'math:mtext': 1, 'math:annotation-xml': 1,
+        'svg:foreignObject': 1, 'svg:desc': 1, 'svg:title': 1
+    };
+    // The elements that end the search for an open element "in scope", as
+    // HTML5 defines it, so that a <p> inside a <td> or <object> does not
+    // close one outside.
+    var SCOPE = [
+        'applet', 'caption', 'html', 'table', 'td', 'th', 'marquee',
+        'object', 'template', 'math:mi', 'math:mo', 'math:mn', 'math:ms',
+        'math:mtext', 'math:annotation-xml', 'svg:foreignObject', 'svg:desc',
+        'svg:title'
+    ];
+    var BUTTON_SCOPE = SCOPE.concat(['button']);
+    var LIST_ITEM_SCOPE = SCOPE.concat(['ol', 'ul']);
+    var TABLE_SCOPE = ['html', 'table', 'template'];
+    var HEADINGS = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'];
+    // The parts of a table that a start tag for another part closes if they
+    // are open in table scope, outermost first: a row closes the last row,
+    // or failing that the last cell.
+    var TABLE_CLOSERS = {
+        'tbody': [['tbody', 'tfoot', 'thead'], ['tr'], ['td', 'th']],
+        'td': [['td', 'th']],
+        'tfoot': [['tbody', 'tfoot', 'thead'], ['tr'], ['td', 'th']],
+        'th': [['td', 'th']],
+        'thead': [['tbody', 'tfoot', 'thead'], ['tr'], ['td', 'th']],
+        'tr': [['tr'], ['td', 'th']]
+    };
+    // The parts of a table, which are ignored outside one.
+    var TABLE_PARTS = {
+        'caption': 1, 'col': 1, 'colgroup': 1, 'tbody': 1, 'td': 1,
+        'tfoot': 1, 'th': 1, 'thead': 1, 'tr': 1
+    };
+    // The start tags allowed inside a select, and those that close it.
+    // Others are ignored there.
+    var SELECT_CONTENT = {
+        'hr': 1, 'optgroup': 1, 'option': 1, 'script': 1, 'template': 1
+    };
+    var SELECT_CLOSERS = {
+        'input': 1, 'keygen': 1, 'select': 1, 'textarea': 1
+    };
+    // The end tags that close elements open in table scope.
+    var TABLE_END_TAGS = {
+        'caption': 1, 'table': 1, 'tbody': 1, 'td': 1, 'tfoot': 1, 'th': 1,
+        'thead': 1, 'tr': 1
+    };
+    // The elements whose end tags HTML5 implies before a ruby annotation.
+    var RUBY_IMPLIED_END_TAGS = {
+        'dd': 1, 'dt': 1, 'li': 1, 'optgroup': 1, 'option': 1, 'p': 1,
+        'rb': 1, 'rp': 1, 'rt': 1, 'rtc': 1
+    };
+    // Formatting elements, which a browser opens again when they are closed
+    // by another element's end tag and text or an inline element follows.
+    var FORMATTING_ELEMENTS = {
+        'a': 1, 'b': 1, 'big': 1, 'code': 1, 'em': 1, 'font': 1, 'i': 1,
+        'nobr': 1, 's': 1, 'small': 1, 'strike': 1, 'strong': 1, 'tt': 1,
+        'u': 1
+    };
+    // The elements that keep the formatting elements outside them from
+    // being opened again inside them.
+    var FORMATTING_MARKERS = {
+        'applet': 1, 'caption': 1, 'marquee': 1, 'object': 1, 'td': 1,
+        'template': 1, 'th': 1
+    };
+    // Start tags, besides those in P_CLOSERS other than xmp, before which
+    // formatting elements are not opened again.
+    var NOT_REOPENING = {
+        'base': 1, 'basefont': 1, 'bgsound': 1, 'body': 1, 'caption': 1,
+        'col': 1, 'colgroup': 1, 'frame': 1, 'frameset': 1, 'head': 1,
+        'html': 1, 'iframe': 1, 'link': 1, 'meta': 1, 'noembed': 1,
+        'noframes': 1, 'noscript': 1, 'param': 1, 'rb': 1, 'rp': 1, 'rt': 1,
+        'rtc': 1, 'script': 1, 'source': 1, 'style': 1, 'tbody': 1, 'td': 1,
+        'template': 1, 'textarea': 1, 'tfoot': 1, 'th': 1, 'thead': 1,
+        'title': 1, 'tr': 1, 'track': 1
+    };
+    // How many formatting elements are remembered inside the innermost
+    // marker, so that looking one up takes constant time.
+    var MAX_FORMATTING_ELEMENTS = 16;
 
-    function continuationMaker(h, parts, initial, state, param) {
-        return function () {
-            parseCPS(h, parts, initial, state, param);
+    /**
+     * A stack of open elements that finds the element an end tag closes
+     * without walking the stack, so that a long run of end tags for
+     * elements that are not open takes linear time.  An end tag closes the
+     * innermost open element with its name, except that an optional end tag
+     * like &lt;/li&gt; does not close anything if an element whose end tag
+     * is required is open inside it.
+     */
+    function makeElementStack() {
+        var OPTIONAL_ENDTAG = html4.eflags['OPTIONAL_ENDTAG'];
+        var names = [];
+        // The indices where each element name is open, keyed by '$' + name
+        // so that names like __proto__ are safe.
+        var openAt = {};
+        // The indices of open elements whose end tag is required.
+        var required = [];
+        return {
+            names: names,
+            push: function (name) {
+                var key = '$' + name;
+                (openAt[key] || (openAt[key] = [])).push(names.length);
+                if (!(html4.ELEMENTS[name] & OPTIONAL_ENDTAG)) {
+                    required.push(names.length);
+                }
+                names.push(name);
+            },
+            pop: function () {
+                var name = names.pop();
+                openAt['$' + name].pop();
+                if (required[required.length - 1] === names.length) {
+                    required.pop();
+                }
+                return name;
+            },
+            // The index of the element that an end tag for name closes, or
+            // -1 if it closes none.
+            indexOfOpen: function (name) {
+                var open = openAt['$' + name];
+                if (!open || !open.length) { return -1; }
+                var index = open[open.length - 1];
+                if ((html4.ELEMENTS[name] & OPTIONAL_ENDTAG)
+                    && required.length && required[required.length - 1] > index) {
+                    // Don't pop non optional end tags looking for a match.
+                    return -1;
+                }
+                return index;
+            },
+            // The index of the innermost open element with one of the
+            // names, or -1 if none is open.
+            innermost: function (someNames) {
+                var index = -1;
+                for (var i = 0; i < someNames.length; ++i) {
+                    var open = openAt['$' + someNames[i]];
+                    if (open && open.length && open[open.length - 1] > index) {
+                        index = open[open.length - 1];
+                    }
+                }
+                return index;
+            }
         };
     }
 
-    function parseCPS(h, parts, initial, state, param) {
-        try {
-            if (h.startDoc && initial == 0) { h.startDoc(param); }
-            var m, p, tagName;
-            for (var pos = initial, end = parts.length; pos < end;) {
-                var current = parts[pos++];
-                var next = parts[pos];
-                switch (current) {
-                    case '&':
-                        if (ENTITY_RE_2.test(next)) {
-                            if (h.pcdata) {
-                                h.pcdata('&' + next, param, continuationMarker,
-                                    continuationMaker(h, parts, pos, state, param));
-                            }
-                            pos++;
-                        } else {
-                            if (h.pcdata) { h.pcdata("&amp;", param, continuationMarker,
-                                continuationMaker(h, parts, pos, state, param));
-                            }
-                        }
-                        break;
-                    case '<\/':
-                        if ((m = /^([-\w:]+)[^\'\"]*/.exec(next))) {
-                            if (m[0].length === next.length && parts[pos + 1] === '>') {
-                                // fast case, no attribute parsing needed
-                                pos += 2;
-                                tagName = m[1].toLowerCase();
-                                if (h.endTag) {
-                                    h.endTag(tagName, param, continuationMarker,
-                                        continuationMaker(h, parts, pos, state, param));
-                                }
-                            } else {
-                                // slow case, need to parse attributes
-                                // TODO(felix8a): do we really care about misparsing this?
-                                pos = parseEndTag(
-                                    parts, pos, h, param, continuationMarker, state);
-                            }
-                        } else {
-                            if (h.pcdata) {
-                                h.pcdata('&lt;/', param, continuationMarker,
-                                    continuationMaker(h, parts, pos, state, param));
-                            }
-                        }
-                        break;
-                    case '<':
-                        if (m = /^([-\w:]+)\s*\/?/.exec(next)) {
-                            if (m[0].length === next.length && parts[pos + 1] === '>') {
-                                // fast case, no attribute parsing needed
-                                pos += 2;
-                                tagName = m[1].toLowerCase();
-                                if (h.startTag) {
-                                    h.startTag(tagName, [], param, continuationMarker,
-                                        continuationMaker(h, parts, pos, state, param));
-                                }
-                                // tags like <script> and <textarea> have special parsing
-                                var eflags = html4.ELEMENTS[tagName];
-                                if (eflags & EFLAGS_TEXT) {
-                                    var tag = { name: tagName, next: pos, eflags: eflags };
-                                    pos = parseText(
-                                        parts, tag, h, param, continuationMarker, state);
-                                }
-                            } else {
-                                // slow case, need to parse attributes
-                                pos = parseStartTag(
-                                    parts, pos, h, param, continuationMarker, state);
-                            }
-                        } else {
-                            if (h.pcdata) {
-                                h.pcdata('&lt;', param, continuationMarker,
-                                    continuationMaker(h, parts, pos, state, param));
-                            }
-                        }
-                        break;
-                    case '<\!--':
-                        // The pathological case is n copies of '<\!--' without '-->', and
-                        // repeated failure to find '-->' is quadratic.  We avoid that by
-                        // remembering when search for '-->' fails.
-                        if (!state.noMoreEndComments) {
-                            // A comment <\!--x--> is split into three tokens:
-                            //   '<\!--', 'x--', '>'
-                            // We want to find the next '>' token that has a preceding '--'.
-                            // pos is at the 'x--'.
-                            for (p = pos + 1; p < end; p++) {
-                                if (parts[p] === '>' && /--$/.test(parts[p - 1])) { break; }
-                            }
-                            if (p < end) {
-                                if (h.comment) {
-                                    var comment = parts.slice(pos, p).join('');
-                                    h.comment(
-                                        comment.substr(0, comment.length - 2), param,
-                                        continuationMarker,
-                                        continuationMaker(h, parts, p + 1, state, param));
-                                }
-                                pos = p + 1;
-                            } else {
-                                state.noMoreEndComments = true;
-                            }
-                        }
-                        if (state.noMoreEndComments) {
-                            if (h.pcdata) {
-                                h.pcdata('&lt;!--', param, continuationMarker,
-                                    continuationMaker(h, parts, pos, state, param));
-                            }
-                        }
-                        break;
-                    case '<\!':
-                        if (!/^\w/.test(next)) {
-                            if (h.pcdata) {
-                                h.pcdata('&lt;!', param, continuationMarker,
-                                    continuationMaker(h, parts, pos, state, param));
-                            }
-                        } else {
-                            // similar to noMoreEndComment logic
-                            if (!state.noMoreGT) {
-                                for (p = pos + 1; p < end; p++) {
-                                    if (parts[p] === '>') { break; }
-                                }
-                                if (p < end) {
-                                    pos = p + 1;
-                                } else {
-                                    state.noMoreGT = true;
-                                }
-                            }
-                            if (state.noMoreGT) {
-                                if (h.pcdata) {
-                                    h.pcdata('&lt;!', param, continuationMarker,
-                                        continuationMaker(h, parts, pos, state, param));
-                                }
-                            }
-                        }
-                        break;
-                    case '<?':
-                        // similar to noMoreEndComment logic
-                        if (!state.noMoreGT) {
-                            for (p = pos + 1; p < end; p++) {
-                                if (parts[p] === '>') { break; }
-                            }
-                            if (p < end) {
-                                pos = p + 1;
-                            } else {
-                                state.noMoreGT = true;
-                            }
-                        }
-                        if (state.noMoreGT) {
-                            if (h.pcdata) {
-                                h.pcdata('&lt;?', param, continuationMarker,
-                                    continuationMaker(h, parts, pos, state, param));
-                            }
-                        }
-                        break;
-                    case '>':
-                        if (h.pcdata) {
-                            h.pcdata("&gt;", param, continuationMarker,
-                                continuationMaker(h, parts, pos, state, param));
-                        }
-                        break;
-                    case '':
-                        break;
-                    default:
-                        if (h.pcdata) {
-                            h.pcdata(current, param, continuationMarker,
-                                continuationMaker(h, parts, pos, state, param));
-                        }
-                        break;
-                }
+    // The namespace the parser gives an element called name inside an open
+    // element with a name, namespace and integrationPoint, or at the top
+    // level if there is none, as for namespaceIn.
+    function namespaceInElement(parent, name) {
+        var namespace = parent ? parent.namespace : 'html';
+        if (namespace !== 'html') {
+            if (!parent.integrationPoint) {
+                return name === 'svg' && parent.name === 'annotation-xml'
+                    ? 'svg' : namespace;
+            }
+            if (namespace === 'math'
+                && (name === 'mglyph' || name === 'malignmark')) {
+                return 'math';
             }
-            if (h.endDoc) { h.endDoc(param); }
-        } catch (e) {
-            if (e !== continuationMarker) { throw e; }
         }
+        return name === 'svg' || name === 'math' ? name : 'html';
     }
 
-    function parseEndTag(parts, pos, h, param, continuationMarker, state) {
-        var tag = parseTagAndAttrs(parts, pos);
-        // drop unclosed tags
-        if (!tag) { return parts.length; }
-        if (h.endTag) {
-            h.endTag(tag.name, param, continuationMarker,
-                continuationMaker(h, parts, pos, state, param));
+    // The length of a tag's name and attributes, which is what opening it
+    // again costs.
+    function tagSize(name, attribs) {
+        var size = name.length + 1;
+        for (var i = 0, n = attribs.length; i < n; ++i) {
+            size += attribs[i] === null || attribs[i] === void 0
+                ? 1 : ('' + attribs[i]).length + 1;
+        }
+        return size;
+    }
+
+    /**
+     * Wraps a handler so that the tags it sees are balanced, the way the
+     * HTML5 tree builder would nest them.  It keeps a stack of open elements
+     * and:<ul>
+     *   <li>closes an open p when a start tag like &lt;div&gt; or
+     *     &lt;ul&gt; arrives, along with the elements inside it, unless a
+     *     cell, button or the like lies between,
+     *   <li>closes the li, dd or dt that a new one ends, looking past
+     *     ordinary elements like span and past address, div and p, and
+     *     likewise the cell or row that a new cell or row ends, and an
+     *     option that a new option ends,
+     *   <li>closes the SVG and MathML elements that an HTML start tag like
+     *     &lt;p&gt;, or the end tag &lt;/p&gt; or &lt;/br&gt;, breaks out
+     *     of, and drops SVG and MathML start tags that are not inside the
+     *     element they were parsed in,
+     *   <li>drops start tags for parts of a table, like &lt;td&gt;, that
+     *     are not inside a table, and those of elements other than options
+     *     inside a select,
+     *   <li>opens formatting elements like b and a again where a browser
+     *     would, when another element's end tag closed them and text or an
+     *     inline element follows,
+     *   <li>closes the elements inside one that is closed explicitly, but
+     *     drops the end tag of an ordinary element like span, b or a when
+     *     an element like div or p is open inside it, where a browser would
+     *     rearrange the elements,
+     *   <li>drops end tags for elements that are not open, and end tags of
+     *     void elements like br, and
+     *   <li>closes every element still open before endDoc.
+     * </ul>
+     * The tags it adds are reported without a continuation, and with a
+     * position that only has the namespace, so their handlers cannot pause
+     * the parse, though makeAsyncSaxParser waits for them.  Opening elements again is limited so that the events take
+     * space linear in the input.
+     *
+     * {\@updoc
+     * $ var events = [];
+     * $ makeSaxParser({
+     * >     startTag: function (name, attribs, out) { out.push(name); },
+     * >     endTag: function (name, out) { out.push('/' + name); }
+     * > }, { balance: true })('<p>1<div>2</span><ul><li>3<li>4</div>', events);
+     * $ events
+     * # ['p', '/p', 'div', 'ul', 'li', '/li', 'li', '/li', '/ul', '/div']
+     * $ events = [];
+     * $ makeSaxParser({
+     * >     startTag: function (name, attribs, out) { out.push(name); },
+     * >     endTag: function (name, out) { out.push('/' + name); }
+     * > }, { balance: true })('<ul><li>a<b>b<li>c</ul>', events);
+     * $ events
+     * # ['ul', 'li', 'b', '/b', '/li', 'li', 'b', '/b', '/li', '/ul']
+     * }
+     *
+     * @param {Object} h a handler as returned by copyHandler.
+     * @param {function(string, string, Object)=} opt_dropped called with
+     *     the key, a reason and the position of each tag that is dropped.
+     * @return {Object} a handler of the same form.
+     */
+    function makeBalancingHandler(h, opt_dropped) {
+        var EMPTY = html4.eflags['EMPTY'];
+        var stack;
+        // The open elements, with their name, namespace and key in
+        // html4.ELEMENTS, as held by stack.
+        var open;
+        // The indices of the open special elements, and of those other than
+        // address, div and p, which end the search for an li, dd or dt.
+        var specials;
+        var listStops;
+        // The indices of open HTML elements and integration points, which
+        // an SVG or MathML end tag cannot close.
+        var htmlAt;
+        // The indices of open elements other than option and optgroup, so
+        // that an open select whose content is read can be found.
+        var others;
+        // The list of active formatting elements: an entry for each
+        // formatting element that was opened, until its end tag, and null
+        // for each open marker.
+        var formatting;
+        // How much markup the input has had, less what opening formatting
+        // elements again has cost.
+        var budget;
+
+        function last(indices) {
+            return indices.length ? indices[indices.length - 1] : -1;
+        }
+        function current() {
+            return open[open.length - 1];
+        }
+        function inForeignContent() {
+            var element = current();
+            return !!element && element.namespace !== 'html'
+                && !element.integrationPoint;
+        }
+        function push(name, namespace, attribs) {
+            var key = elementKey(name, { 'namespace': namespace });
+            var element = {
+                name: name,
+                namespace: namespace,
+                key: key,
+                index: open.length,
+                integrationPoint: isIntegrationPoint(namespace, name, attribs),
+                entry: null
+            };
+            if (SPECIAL_ELEMENTS.hasOwnProperty(key)) {
+                specials.push(element.index);
+                if (key !== 'address' && key !== 'div' && key !== 'p') {
+                    listStops.push(element.index);
+                }
+            }
+            if (namespace === 'html' || element.integrationPoint) {
+                htmlAt.push(element.index);
+            }
+            if (key !== 'option' && key !== 'optgroup') {
+                others.push(element.index);
+            }
+            if (FORMATTING_MARKERS.hasOwnProperty(key)) {
+                formatting.push(null);
+            }
+            stack.push(key);
+            open.push(element);
+            return element;
+        }
+        function pop() {
+            stack.pop();
+            var element = open.pop();
+            if (last(specials) === element.index) { specials.pop(); }
+            if (last(listStops) === element.index) { listStops.pop(); }
+            if (last(htmlAt) === element.index) { htmlAt.pop(); }
+            if (last(others) === element.index) { others.pop(); }
+            if (element.entry) { element.entry.element = null; }
+            if (FORMATTING_MARKERS.hasOwnProperty(element.key)) {
+                // Forget the formatting elements opened inside it.
+                while (formatting.length && formatting.pop() !== null) {}
+            }
+            return element;
+        }
+        // Closes the element at index and those inside it.
+        function close(index, param) {
+            while (open.length > index) {
+                var element = pop();
+                if (h.endTag) {
+                    h.endTag(element.name, param, void 0, void 0,
+                             { 'namespace': element.namespace });
+                }
+            }
+        }
+        // The index of the innermost open element with one of the keys if
+        // it is in the given scope, or -1.
+        function inScope(keys, scope) {
+            var index = stack.innermost(keys);
+            return index >= 0 && index >= stack.innermost(scope) ? index : -1;
+        }
+        function breakOutOfForeignContent(param) {
+            while (inForeignContent()) {
+                close(open.length - 1, param);
+            }
+        }
+        // The index of the select whose options are being read, or -1.
+        function selectIndex() {
+            var index = last(others);
+            return index >= 0 && stack.names[index] === 'select' ? index : -1;
+        }
+        function closeCurrent(key, param) {
+            if (open.length && current().key === key) {
+                close(open.length - 1, param);
+            }
+        }
+        // The index in formatting of the last entry after the last marker
+        // for which test is true, or -1.
+        function findFormatting(test) {
+            for (var i = formatting.length; --i >= 0 && formatting[i];) {
+                if (test(formatting[i])) { return i; }
+            }
+            return -1;
+        }
+        function forget(index) {
+            var entry = formatting.splice(index, 1)[0];
+            if (entry.element) { entry.element.entry = null; }
+        }
+        function remember(element, attribs) {
+            var first = formatting.length;
+            while (first && formatting[first - 1]) { --first; }
+            if (formatting.length - first >= MAX_FORMATTING_ELEMENTS) {
+                forget(first);
+            }
+            element.entry = {
+                name: element.name,
+                attribs: attribs.slice(),
+                size: tagSize(element.name, attribs),
+                element: element
+            };
+            formatting.push(element.entry);
+        }
+        // Opens again the formatting elements that were closed by another
+        // element's end tag since the last marker.
+        function reopenFormatting(param) {
+            var i = formatting.length;
+            while (i && formatting[i - 1] && !formatting[i - 1].element) {
+                --i;
+            }
+            while (i < formatting.length) {
+                var entry = formatting[i];
+                if (entry.size > budget) {
+                    forget(i);
+                    continue;
+                }
+                budget -= entry.size;
+                entry.element = push(entry.name, 'html', entry.attribs);
+                entry.element.entry = entry;
+                if (h.startTag) {
+                    h.startTag(entry.name, entry.attribs.slice(), param,
+                               void 0, void 0, { 'namespace': 'html' });
+                }
+                ++i;
+            }
+        }
+        // Closes what an HTML start tag for key ends.
+        function closeBefore(key, param) {
+            var index, i;
+            if (P_CLOSERS.hasOwnProperty(key)) {
+                if (key === 'li' || key === 'dd' || key === 'dt') {
+                    index = last(listStops);
+                    var stop = index >= 0 && stack.names[index];
+                    if (key === 'li' ? stop === 'li'
+                        : stop === 'dd' || stop === 'dt') {
+                        close(index, param);
+                    }
+                }
+                index = inScope(['p'], BUTTON_SCOPE);
+                if (index >= 0) { close(index, param); }
+                if (/^h[1-6]$/.test(key) && open.length
+                    && /^h[1-6]$/.test(current().key)) {
+                    close(open.length - 1, param);
+                }
+            } else if (TABLE_CLOSERS.hasOwnProperty(key)) {
+                var closers = TABLE_CLOSERS[key];
+                for (i = 0; i < closers.length; ++i) {
+                    index = inScope(closers[i], TABLE_SCOPE);
+                    if (index >= 0) {
+                        close(index, param);
+                        break;
+                    }
+                }
+            } else if (key === 'button') {
+                index = inScope(['button'], SCOPE);
+                if (index >= 0) { close(index, param); }
+            } else if (key === 'a') {
+                i = findFormatting(function (entry) {
+                    return entry.name === 'a';
+                });
+                if (i >= 0) {
+                    var element = formatting[i].element;
+                    forget(i);
+                    if (element && element.index >= last(specials)) {
+                        close(element.index, param);
+                    }
+                }
+            } else if (key === 'option' || key === 'optgroup') {
+                closeCurrent('option', param);
+            } else if (RUBY_IMPLIED_END_TAGS.hasOwnProperty(key)
+                       && inScope(['ruby'], SCOPE) >= 0) {
+                while (open.length
+                       && RUBY_IMPLIED_END_TAGS.hasOwnProperty(current().key)
+                       && !(current().key === 'rtc'
+                            && (key === 'rp' || key === 'rt'))) {
+                    close(open.length - 1, param);
+                }
+            }
+        }
+        // The index of the open element that an end tag closes, or -1.
+        function indexOfClosed(key, namespace) {
+            if (namespace !== 'html') {
+                var foreign = stack.innermost([key]);
+                return foreign > last(htmlAt) ? foreign : -1;
+            }
+            if (key === 'p') { return inScope(['p'], BUTTON_SCOPE); }
+            if (key === 'li') { return inScope(['li'], LIST_ITEM_SCOPE); }
+            if (/^h[1-6]$/.test(key)) { return inScope(HEADINGS, SCOPE); }
+            if (TABLE_END_TAGS.hasOwnProperty(key)) {
+                return inScope([key], TABLE_SCOPE);
+            }
+            if (SPECIAL_ELEMENTS.hasOwnProperty(key)) {
+                return inScope([key], SCOPE);
+            }
+            var innermost = stack.innermost([key]);
+            return innermost >= 0 && innermost >= last(specials)
+                ? innermost : -1;
+        }
+
+        // The same for an end tag inside a select, where most end tags are
+        // ignored.
+        function indexOfClosedInSelect(key, select) {
+            var top = open.length - 1;
+            if (key === 'select') { return select; }
+            if (key === 'optgroup' && current().key === 'option'
+                && open[top - 1].key === 'optgroup') {
+                return top - 1;
+            }
+            return current().key === key ? top : -1;
+        }
+
+        var balanced = copyHandler(h);
+        balanced.startDoc = function (param) {
+            stack = makeElementStack();
+            open = [];
+            specials = [];
+            listStops = [];
+            htmlAt = [];
+            others = [];
+            formatting = [];
+            budget = 0;
+            if (h.startDoc) { h.startDoc(param); }
+        };
+        balanced.startTag = function (name, attribs, param, _, __, position) {
+            var namespace = position && position['namespace'] || 'html';
+            var key = elementKey(name, position);
+            budget += tagSize(name, attribs);
+            if (namespace === 'html') {
+                breakOutOfForeignContent(param);
+            }
+            if (namespaceInElement(current(), name) !== namespace) {
+                if (opt_dropped) {
+                    opt_dropped(key, 'element outside svg or math', position);
+                }
+                return;
+            }
+            var select = selectIndex();
+            if (select >= 0) {
+                if (SELECT_CONTENT.hasOwnProperty(key)) {
+                    if (key === 'optgroup' || key === 'hr') {
+                        closeCurrent('option', param);
+                        closeCurrent('optgroup', param);
+                    } else if (key === 'option') {
+                        closeCurrent('option', param);
+                    }
+                    if (!(html4.ELEMENTS[key] & EMPTY)) {
+                        push(name, namespace, attribs);
+                    }
+                    if (h.startTag) { h.startTag.apply(h, arguments); }
+                    return;
+                }
+                // A table part closes a select in a table, and so do some
+                // form fields.
+                if (!SELECT_CLOSERS.hasOwnProperty(key)
+                    && !((TABLE_PARTS.hasOwnProperty(key) || key === 'table')
+                         && inScope(['table'], TABLE_SCOPE) >= 0)) {
+                    if (opt_dropped) {
+                        opt_dropped(key, 'element inside select', position);
+                    }
+                    return;
+                }
+                close(select, param);
+                if (key === 'select') { return; }
+            }
+            if (TABLE_PARTS.hasOwnProperty(key)
+                && inScope(['table'], TABLE_SCOPE) < 0) {
+                if (opt_dropped) {
+                    opt_dropped(key, 'element outside table', position);
+                }
+                return;
+            }
+            if (namespace === 'html') {
+                closeBefore(key, param);
+            }
+            if (!inForeignContent()
+                && !(P_CLOSERS.hasOwnProperty(key) && key !== 'xmp')
+                && !NOT_REOPENING.hasOwnProperty(key)) {
+                reopenFormatting(param);
+            }
+            if (!(html4.ELEMENTS[key] & EMPTY)) {
+                var element = push(name, namespace, attribs);
+                if (namespace === 'html'
+                    && FORMATTING_ELEMENTS.hasOwnProperty(key)) {
+                    remember(element, attribs);
+                }
+            }
+            if (h.startTag) { h.startTag.apply(h, arguments); }
+        };
+        balanced.endTag = function (name, param, _, __, position) {
+            var namespace = position && position['namespace'] || 'html';
+            var key = elementKey(name, position);
+            if (key === 'p' || key === 'br') {
+                breakOutOfForeignContent(param);
+            }
+            if (html4.ELEMENTS[key] & EMPTY) { return; }
+            var select = selectIndex();
+            var index = select >= 0
+                ? indexOfClosedInSelect(key, select)
+                : indexOfClosed(key, namespace);
+            var i;
+            if (index < 0) {
+                // The end tag of a formatting element that another end tag
+                // closed keeps it from being opened again.
+                i = findFormatting(function (entry) {
+                    return entry.name === key && !entry.element;
+                });
+                if (i >= 0) {
+                    forget(i);
+                } else if (opt_dropped) {
+                    opt_dropped(key, 'end tag without start tag', position);
+                }
+                return;
+            }
+            close(index + 1, param);
+            var element = pop();
+            var entry = element.entry;
+            i = entry ? findFormatting(function (e) { return e === entry; })
+                : -1;
+            if (i >= 0) { forget(i); }
+            if (h.endTag) {
+                h.endTag(element.name, param, _, __, position);
+            }
+        };
+        balanced.pcdata = function (text, param) {
+            budget += text.length;
+            if (!inForeignContent() && selectIndex() < 0) {
+                reopenFormatting(param);
+            }
+            if (h.pcdata) { h.pcdata.apply(h, arguments); }
+        };
+        balanced.endDoc = function (param) {
+            close(0, param);
+            if (h.endDoc) { h.endDoc(param); }
+        };
+        return balanced;
+    }
+
+    /**
+     * The key in html4.ELEMENTS for an element, given its name and the
+     * position of one of its tags: the name of an HTML element, or the name
+     * of an SVG or MathML element after svg: or math:.
+     *
+     * {\@updoc
+     * $ elementKey('linearGradient', { namespace: 'svg' })
+     * # 'svg:linearGradient'
+     * $ elementKey('p', { namespace: 'html' })
+     * # 'p'
+     * }
+     *
+     * @param {string} name
+     * @param {Object=} position
+     * @return {string}
+     */
+    function elementKey(name, position) {
+        var namespace = position && position['namespace'];
+        return namespace === 'svg' || namespace === 'math'
+            ? namespace + ':' + name : name;
+    }
+
+    // The name of an element in the markup, given its key.
+    function elementName(key) {
+        return key.substring(key.indexOf(':') + 1);
+    }
+
+    /**
+     * Like makeSaxParser, but the HTML arrives in chunks.  Tokens that are
+     * cut off at the end of a chunk, including entities, tags, comments and
+     * the bodies of elements like <script> and <textarea>, are buffered until
+     * enough input has arrived to report them exactly as makeSaxParser would
+     * for the whole document.  Text may be reported in more pcdata calls.
+     * A long token that is cut off is only looked at again once as much
+     * input again has arrived, so its events may come a few chunks later.
+     *
+     * Handlers must not pause parsing by throwing the continuation marker.
+     * Nothing may be written after the end.  The options are as for
+     * makeSaxParser.
+     *
+     * {\@updoc
+     * $ var events = [];
+     * $ var parser = makeIncrementalSaxParser({
+     * >     startTag: function (name, attribs, out) { out.push(name); },
+     * >     pcdata: function (text, out) { out.push(text); }
+     * > }, events);
+     * $ parser.write('<a hr');
+     * $ parser.write('ef="/x">&am');
+     * $ parser.write('p;');
+     * $ parser.end();
+     * $ events
+     * # ['a', '&amp;']
+     * }
+     *
+     * @param {Object} handler a record containing event handlers.
+     * @param {Object} param passed on to the handler methods.
+     * @param {Object=} opt_options may have balance: true and a report.
+     * @return {{write: function(string), end: function()}}
+     */
+    function makeIncrementalSaxParser(handler, param, opt_options) {
+        var h = copyHandler(handler);
+        if (isBalanced(opt_options)) {
+            h = makeBalancingHandler(h);
+        }
+        // startDoc and endDoc are called once, not for every chunk.
+        var fragmentHandler = copyHandler(h);
+        fragmentHandler.startDoc = fragmentHandler.endDoc = void 0;
+        // The unparsed input: a token that was cut off, and the chunks
+        // written since the last parse.
+        var buffer = '';
+        var pending = [];
+        var pendingLength = 0;
+        // The length of the input before the buffer.
+        var consumed = 0;
+        var lines = makeLineTable();
+        // The SVG and MathML elements open at the end of the last parse.
+        var foreign = makeForeignStack();
+        var started = false, ended = false;
+        function start() {
+            if (!started) {
+                started = true;
+                if (h.startDoc) { h.startDoc(param); }
+            }
+        }
+        function parseBuffered(incremental) {
+            var text = buffer + pending.join('');
+            pending = [];
+            pendingLength = 0;
+            var state = {
+                text: text,
+                searches: {},
+                incremental: incremental,
+                resumeAt: text.length,
+                base: consumed,
+                lines: lines,
+                foreign: foreign,
+                options: opt_options
+            };
+            parseCPS(fragmentHandler, state, 0, param);
+            buffer = text.substring(state.resumeAt);
+            consumed += state.resumeAt;
+        }
+        return {
+            write: function (chunk) {
+                if (ended) { throw new Error('write after end'); }
+                start();
+                chunk = '' + chunk;
+                scanLines(lines, chunk);
+                pending.push(chunk);
+                pendingLength += chunk.length;
+                // Rescanning a long cut-off token for every small chunk
+                // would take quadratic time, so wait until at least as much
+                // input again has arrived.
+                if (buffer.length <= SHORT_TOKEN_LENGTH
+                    || pendingLength >= buffer.length) {
+                    parseBuffered(true);
+                }
+            },
+            end: function () {
+                if (ended) { throw new Error('end after end'); }
+                ended = true;
+                start();
+                parseBuffered(false);
+                if (h.endDoc) { h.endDoc(param); }
+            }
+        };
+    }
+
+    // A cut-off token this long or shorter is looked at again on every write.
+    var SHORT_TOKEN_LENGTH = 1024;
+
+    var SAX_HANDLER_NAMES = [
+        'cdata', 'cdataSection', 'comment', 'doctype', 'endDoc', 'endTag',
+        'pcdata', 'processingInstruction', 'rcdata', 'startDoc', 'startTag',
+        'warning'
+    ];
+
+    /**
+     * Like makeSaxParser, but handlers may return a promise to pause parsing
+     * until it settles, and the returned function returns a promise.  An
+     * event without a continuation, like a warning or a tag that balance
+     * adds, cannot pause the parser, so the handler for the next event is
+     * called once its promise settles.
+     *
+     * {\@updoc
+     * $ var events = [];
+     * $ makeAsyncSaxParser({
+     * >     startTag: function (name, attribs, out) {
+     * >         return Promise.resolve(name).then(function (n) {
+     * >             out.push(n);
+     * >         });
+     * >     }
+     * > })('<b><i>', events);
+     * $ events  // once the promise is fulfilled
+     * # ['b', 'i']
+     * }
+     *
+     * @param {Object} handler a record containing event handlers, any of which
+     *     may return a thenable.
+     * @param {Object=} opt_options as for makeSaxParser.
+     * @return {function(string, Object): Promise} A function that takes a chunk
+     *     of HTML and a parameter, and returns a promise for the parameter
+     *     that is fulfilled once endDoc has been handled, or rejected with the
+     *     first error thrown or rejected by a handler.
+     */
+    function makeAsyncSaxParser(handler, opt_options) {
+        return function(htmlText, param) {
+            return new Promise(function (resolve, reject) {
+                // Settles once the handlers called without a continuation
+                // have finished, while any have not.
+                var waiting = null;
+                function resume(continuation) {
+                    try {
+                        continuation();
+                    } catch (e) {
+                        reject(e);
+                    }
+                }
+                function isThenable(result) {
+                    return !!result && typeof result.then === 'function';
+                }
+                function wrap(name) {
+                    var f = handler[name];
+                    if (!f) { return void 0; }
+                    if (name === 'endDoc') {
+                        return function (param) {
+                            Promise.resolve(waiting).then(function () {
+                                return f.call(handler, param);
+                            }).then(function () { resolve(param); }, reject);
+                        };
+                    }
+                    return function () {
+                        var args = arguments;
+                        function call() { return f.apply(handler, args); }
+                        var n = 0;
+                        while (n < args.length
+                               && args[n] !== continuationMarker) {
+                            ++n;
+                        }
+                        if (n === args.length) {
+                            if (waiting) {
+                                waiting = waiting.then(call);
+                            } else {
+                                var result = call();
+                                if (isThenable(result)) {
+                                    waiting = Promise.resolve(result);
+                                }
+                            }
+                            return;
+                        }
+                        var marker = args[n];
+                        var continuation = args[n + 1];
+                        var pending;
+                        if (waiting) {
+                            pending = waiting.then(call);
+                            waiting = null;
+                        } else {
+                            pending = call();
+                            if (!isThenable(pending)) { return; }
+                        }
+                        pending.then(function () {
+                            resume(continuation);
+                        }, reject);
+                        throw marker;
+                    };
+                }
+                var h = {};
+                for (var i = 0; i < SAX_HANDLER_NAMES.length; ++i) {
+                    var name = SAX_HANDLER_NAMES[i];
+                    if (name !== 'startDoc') { h[name] = wrap(name); }
+                }
+                if (!h.endDoc) {
+                    h.endDoc = function (param) {
+                        Promise.resolve(waiting).then(function () {
+                            resolve(param);
+                        }, reject);
+                    };
+                }
+                if (isBalanced(opt_options)) {
+                    h = makeBalancingHandler(h);
+                }
+                // startDoc has no continuation, so wait for it up front.
+                var startDoc = handler.startDoc || handler['startDoc'];
+                Promise.resolve(startDoc && startDoc.call(handler, param)).then(
+                    function () {
+                        resume(function () {
+                            parse(htmlText, h, param, opt_options);
+                        });
+                    }, reject);
+            });
+        };
+    }
+
+    function parse(htmlText, h, param, opt_options) {
+        var state = {
+            text: '' + htmlText,
+            searches: {},
+            foreign: makeForeignStack(),
+            options: opt_options
+        };
+        parseCPS(h, state, 0, param);
+    }
+
+    var continuationMarker = {};
+
+    // opt_tag is given when resuming just after a start tag that is not
+    // finished with, as described at finishStartTag.
+    function continuationMaker(h, state, initial, param, opt_tag) {
+        return function () {
+            parseCPS(h, state, initial, param, opt_tag);
+        };
+    }
+
+    // The index of the next '&', '<' or '>' in text at or after from, or -1.
+    // Every piece of markup starts with one of those.
+    var markupStartRe = /[&<>]/g;
+    function indexOfMarkup(text, from) {
+        markupStartRe.lastIndex = from;
+        var m = markupStartRe.exec(text);
+        return m ? m.index : -1;
+    }
+
+    // The end of the text that starts at from.
+    function textEnd(text, from) {
+        var end = indexOfMarkup(text, from);
+        return end < 0 ? text.length : end;
+    }
+
+    // Finds s in the input at or after from.  The answer is remembered, so
+    // asking again from anywhere up to where s was found does not search
+    // again.  That matters when s is missing: "<!--<!--<!--..." would
+    // otherwise search to the end of the input once for every '<!--'.
+    function search(state, s, from) {
+        var last = state.searches[s];
+        if (last && last.from <= from && (last.at < 0 || from <= last.at)) {
+            return last.at;
+        }
+        var at = state.text.indexOf(s, from);
+        state.searches[s] = { from: from, at: at };
+        return at;
+    }
+
+    function parseCPS(h, state, initial, param, opt_tag) {
+        try {
+            if (h.startDoc && initial == 0) { h.startDoc(param); }
+            var text = state.text;
+            var pos = initial;
+            var c, next, ref;
+            if (opt_tag) {
+                pos = finishStartTag(h, state, opt_tag, param);
+            }
+            for (var end = text.length; pos < end;) {
+                c = text.charAt(pos);
+                if (c === '&') {
+                    next = textEnd(text, pos + 1);
+                    ref = terminateReference(text.substring(pos + 1, next));
+                    if (state.incremental && next === end
+                        && partialEntityRe.test(text.substring(pos, next))) {
+                        // the entity may be completed by the next chunk
+                        pos = deferToken(state, pos);
+                    } else if (ref !== null) {
+                        pos = emitText(h, state, '&' + ref, pos, next, param);
+                    } else {
+                        pos = emitText(h, state, '&amp;', pos, pos + 1, param);
+                    }
+                } else if (c === '>') {
+                    pos = emitText(h, state, '&gt;', pos, pos + 1, param);
+                } else if (c !== '<') {
+                    next = textEnd(text, pos);
+                    pos = emitText(h, state, text.substring(pos, next),
+                                   pos, next, param);
+                } else if (text.substr(pos, 4) === '<\!--') {
+                    pos = parseComment(h, state, pos, param);
+                } else if ((c = text.charAt(pos + 1)) === '?') {
+                    pos = parseMarkup(h, state, pos, param,
+                                      'unclosedProcessingInstruction');
+                } else {
+                    // after the '<', '<\/' or '<\!'
+                    next = c === '/' || c === '!' ? pos + 2 : pos + 1;
+                    if (state.incremental && indexOfMarkup(text, next) < 0) {
+                        pos = deferToken(state, pos);
+                    } else if (c === '!') {
+                        pos = parseMarkup(h, state, pos, param,
+                                          'unclosedDeclaration');
+                    } else if (!tagNameCharRe.test(text.charAt(next))) {
+                        pos = c === '/'
+                            ? parseMarkup(h, state, pos, param, null)
+                            : emitText(h, state, '&lt;', pos, next, param);
+                    } else if (c === '/') {
+                        pos = parseEndTag(h, state, pos, param);
+                    } else {
+                        pos = parseStartTag(h, state, pos, param);
+                    }
+                }
+            }
+            if (h.endDoc) { h.endDoc(param); }
+        } catch (e) {
+            if (e !== continuationMarker) { throw e; }
+        }
+    }
+
+    // Reports text[from] up to text[to] as pcdata, or text that stands for
+    // it like '&lt;', and returns where parsing goes on.
+    function emitText(h, state, text, from, to, param) {
+        if (h.pcdata) {
+            h.pcdata(text, param, continuationMarker,
+                continuationMaker(h, state, to, param),
+                positionOf(state, from, to));
+        }
+        return to;
+    }
+
+    function parseComment(h, state, pos, param) {
+        var at = search(state, '--\>', pos + 4);
+        if (at >= 0) {
+            if (h.comment) {
+                h.comment(state.text.substring(pos + 4, at), param,
+                    continuationMarker,
+                    continuationMaker(h, state, at + 3, param),
+                    positionOf(state, pos, at + 3));
+            }
+            return at + 3;
+        } else if (state.incremental) {
+            return deferToken(state, pos);
+        }
+        warn(h, 'unclosedComment', state, pos, pos + 4, param);
+        return emitText(h, state, '&lt;!--', pos, pos + 4, param);
+    }
+
+    // Markup that starts with '<\!', '<?' or '<\/' and is not a comment or a
+    // tag runs up to the next '>', except for a CDATA section, which runs up
+    // to ']]>'.  A doctype, a processing instruction and a CDATA section are
+    // passed to their handlers, and anything else, like <\!ELEMENT ...> or
+    // <\/ x>, is a bogus comment, as in HTML5.  Without an end, the '<\!',
+    // '<?' or '<\/' is text, with a warning if code is given.
+    function parseMarkup(h, state, pos, param, code) {
+        var text = state.text;
+        var c = text.charAt(pos + 1);
+        var isCdata = c === '!' && text.substr(pos + 2, 7) === '[CDATA[';
+        var at = isCdata
+            ? search(state, ']]\>', pos + 9) : search(state, '>', pos + 2);
+        if (at < 0) {
+            if (state.incremental) { return deferToken(state, pos); }
+            if (isCdata) { code = 'unclosedCdataSection'; }
+            if (code) { warn(h, code, state, pos, pos + 2, param); }
+            return emitText(h, state, '&lt;' + c, pos, pos + 2, param);
+        }
+        var end = isCdata ? at + 3 : at + 1;
+        var body = text.substring(pos + 2, at);
+        var k = continuationMaker(h, state, end, param);
+        var position = positionOf(state, pos, end);
+        if (isCdata) {
+            if (h.cdataSection) {
+                var current = state.foreign.current();
+                position['namespace'] = current && !current.integrationPoint
+                    ? current.namespace : 'html';
+                h.cdataSection(body.substring(7), param, continuationMarker, k,
+                               position);
+            }
+        } else if (c === '!' && doctypeStartRe.test(body)) {
+            if (h.doctype) {
+                var m = doctypeRe.exec(body.substring(7));
+                var name = m[1] ? decodeName(m[1]) : null;
+                var keyword = (m[2] || '').toUpperCase();
+                h.doctype(name,
+                          keyword === 'PUBLIC' ? unquoteId(m[3]) : null,
+                          keyword === 'PUBLIC' ? unquoteId(m[4])
+                          : keyword === 'SYSTEM' ? unquoteId(m[3]) : null,
+                          param, continuationMarker, k, position);
+            }
+        } else if (c === '?') {
+            if (h.processingInstruction) {
+                // <?xml version="1.0"?> ends with '?>' in XML.
+                if (body.charAt(body.length - 1) === '?') {
+                    body = body.substring(0, body.length - 1);
+                }
+                var pi = processingInstructionRe.exec(body);
+                h.processingInstruction(pi[1], pi[2], param,
+                                        continuationMarker, k, position);
+            }
+        } else if (c === '/' && !body) {
+            // <\/> is dropped.
+        } else if (h.comment) {
+            h.comment(body, param, continuationMarker, k, position);
+        }
+        return end;
+    }
+
+    // A doctype is a name and optionally PUBLIC and a public and a system
+    // id, or SYSTEM and a system id.  An id that is missing is null, and
+    // one with no closing quote runs to the '>'.
+    var doctypeStartRe = /^doctype/i;
+    var doctypeRe = new RegExp(
+        '^[\\t\\n\\f\\r ]*([^\\t\\n\\f\\r ]*)[\\t\\n\\f\\r ]*'
+        + '(?:(PUBLIC|SYSTEM)[\\t\\n\\f\\r ]*'
+        + '(\'[^\']*\'?|"[^"]*"?)?[\\t\\n\\f\\r ]*'
+        + '(\'[^\']*\'?|"[^"]*"?)?)?', 'i');
+    var processingInstructionRe = /^([^\t\n\f\r ]*)[\t\n\f\r ]*([\s\S]*)$/;
+
+    function unquoteId(id) {
+        if (id === void 0) { return null; }
+        var end = id.length > 1 && id.charAt(id.length - 1) === id.charAt(0)
+            ? id.length - 1 : id.length;
+        return id.substring(1, end);
+    }
+
+    // When parsing incrementally, a token that reaches the end of the input
+    // might be changed by the next chunk, so stop before it and remember
+    // where it starts.  Returns a position past the end of any input, which
+    // ends the parse.
+    function deferToken(state, start) {
+        state.resumeAt = start;
+        return Infinity;
+    }
+
+    // A table of where lines start in the input, which is filled in as the
+    // input is read.  "\r\n", "\n" and "\r" all end a line.
+    function makeLineTable() {
+        return { starts: [0], length: 0, lastChar: '' };
+    }
+
+    function scanLines(lines, text) {
+        var lineEndRe = /\r\n?|\n/g, m;
+        if (lines.lastChar === '\r' && text.charAt(0) === '\n') {
+            // The "\r\n" was split, so the line starts after the "\n".
+            ++lines.starts[lines.starts.length - 1];
+            lineEndRe.lastIndex = 1;
+        }
+        while ((m = lineEndRe.exec(text))) {
+            lines.starts.push(lines.length + m.index + m[0].length);
+        }
+        lines.length += text.length;
+        if (text) { lines.lastChar = text.charAt(text.length - 1); }
+    }
+
+    // Sets the 1-based line and column of an offset on position.
+    function setLineAndColumn(lines, offset, position, lineKey, columnKey) {
+        var starts = lines.starts;
+        var lo = 0, hi = starts.length - 1;
+        while (lo < hi) {
+            var mid = (lo + hi + 1) >> 1;
+            if (starts[mid] <= offset) {
+                lo = mid;
+            } else {
+                hi = mid - 1;
+            }
+        }
+        position[lineKey] = lo + 1;
+        position[columnKey] = offset - starts[lo] + 1;
+    }
+
+    /**
+     * The position of text[from] up to text[to] in the whole input, as
+     * passed to handlers after the continuation: the start and end offsets,
+     * and the 1-based line and column of each.
+     */
+    function positionOf(state, from, to) {
+        if (!state.lines) {
+            state.lines = makeLineTable();
+            scanLines(state.lines, state.text);
+        }
+        var base = state.base || 0;
+        var position = { 'start': base + from, 'end': base + to };
+        setLineAndColumn(state.lines, position['start'], position,
+                         'line', 'column');
+        setLineAndColumn(state.lines, position['end'], position,
+                         'endLine', 'endColumn');
+        return position;
+    }
+
+    // Tells the handler about malformed input that the parser recovered
+    // from.
+    function warn(h, code, state, from, to, param) {
+        if (h.warning) {
+            h.warning(code, positionOf(state, from, to), param);
+        }
+    }
+
+    // Reports markup that the parser skips without telling the handler.
+    function reportSkipped(state, from, to, type, reason) {
+        if (!state.options) { return; }
+        audit(state.options, {
+            'type': type,
+            'action': 'dropped',
+            'value': state.text.substring(from, to),
+            'reason': reason,
+            'offset': positionOf(state, from, to)['start']
+        });
+    }
+
+    // A tag with no closing '>', or with an attribute value whose quote is
+    // never closed, swallows the rest of the input and is dropped, as in
+    // HTML5.
+    function dropUnclosedTag(h, state, start, param, tag) {
+        var end = state.text.length;
+        if (tag) {
+            warn(h, 'unterminatedQuote', state, start, end, param);
+            reportSkipped(state, start, end, 'tag', 'unterminated quote');
+        } else {
+            warn(h, 'unclosedTag', state, start, end, param);
+            reportSkipped(state, start, end, 'tag', 'unclosed tag');
+        }
+        return end;
+    }
+
+    function isIncompleteTag(state, tag) {
+        return state.incremental && (!tag || tag.unterminatedQuote);
+    }
+
+    // pos is at the '<\/'.
+    function parseEndTag(h, state, pos, param) {
+        var tag = parseTagAndAttrs(state, pos + 2);
+        if (isIncompleteTag(state, tag)) {
+            return deferToken(state, pos);
+        }
+        // drop unclosed tags
+        if (!tag || tag.unterminatedQuote) {
+            return dropUnclosedTag(h, state, pos, param, tag);
+        }
+        var namespace = closeForeignElement(state, tag);
+        if (h.endTag) {
+            var position = positionOf(state, pos, tag.next);
+            position['namespace'] = namespace;
+            h.endTag(tag.name, param, continuationMarker,
+                continuationMaker(h, state, tag.next, param), position);
         }
         return tag.next;
     }
 
-    function parseStartTag(parts, pos, h, param, continuationMarker, state) {
-        var tag = parseTagAndAttrs(parts, pos);
-        // drop unclosed tags
-        if (!tag) { return parts.length; }
-        if (h.startTag) {
-            h.startTag(tag.name, tag.attrs, param, continuationMarker,
-                continuationMaker(h, parts, tag.next, state, param));
-        }
-        // tags like <script> and <textarea> have special parsing
-        if (tag.eflags & EFLAGS_TEXT) {
-            return parseText(parts, tag, h, param, continuationMarker, state);
+    // pos is at the '<'.
+    function parseStartTag(h, state, pos, param) {
+        var tag = parseTagAndAttrs(state, pos + 1);
+        if (isIncompleteTag(state, tag)) {
+            return deferToken(state, pos);
+        }
+        // drop unclosed tags
+        if (!tag || tag.unterminatedQuote) {
+            return dropUnclosedTag(h, state, pos, param, tag);
+        }
+        var namespace = startTagNamespace(state, tag);
+        if (namespace !== 'html') {
+            adjustForeignTag(tag, namespace);
+        }
+        var isText = tag.eflags & EFLAGS_TEXT;
+        if (isText && state.incremental) {
+            // wait for the whole body and its end tag
+            var bodyEnd = findTextEnd(state, tag);
+            if (bodyEnd === state.text.length
+                || indexOfMarkup(state.text, bodyEnd + 2) < 0) {
+                return deferToken(state, pos);
+            }
+        }
+        var unfinished = isText || tag.closesItself;
+        if (namespace !== 'html' && !tag.closesItself) {
+            state.foreign.push({
+                name: tag.name,
+                lowerName: tag.name.toLowerCase(),
+                namespace: namespace,
+                integrationPoint: isIntegrationPoint(namespace, tag.name,
+                                                     tag.attrs)
+            });
+        }
+        if (h.startTag) {
+            var position = positionOf(state, pos, tag.next);
+            position['namespace'] = namespace;
+            h.startTag(tag.name, tag.attrs, param, continuationMarker,
+                continuationMaker(h, state, tag.next, param,
+                    unfinished ? tag : void 0),
+                position);
+        }
+        return unfinished ? finishStartTag(h, state, tag, param) : tag.next;
+    }
+
+    // What follows a start tag that is not finished with: the text of an
+    // element like <script>, or the end tag of an SVG or MathML element
+    // that closed itself with '/>'.
+    function finishStartTag(h, state, tag, param) {
+        if (!tag.closesItself) {
+            return parseText(h, state, tag, param);
+        }
+        if (h.endTag) {
+            var position = positionOf(state, tag.next, tag.next);
+            position['namespace'] = tag.namespace;
+            h.endTag(tag.name, param, continuationMarker,
+                continuationMaker(h, state, tag.next, param), position);
+        }
+        return tag.next;
+    }
+
+    // In SVG and MathML, these names are case-sensitive, and are given the
+    // case they should have after being lower-cased with everything else.
+    function caseAdjustments(names) {
+        var map = {};
+        names = names.split(' ');
+        for (var i = 0; i < names.length; ++i) {
+            map[names[i].toLowerCase()] = names[i];
+        }
+        return map;
+    }
+    var SVG_TAG_NAMES = caseAdjustments(
+        'altGlyph altGlyphDef altGlyphItem animateColor animateMotion '
+        + 'animateTransform clipPath feBlend feColorMatrix feComponentTransfer '
+        + 'feComposite feConvolveMatrix feDiffuseLighting feDisplacementMap '
+        + 'feDistantLight feDropShadow feFlood feFuncA feFuncB feFuncG feFuncR '
+        + 'feGaussianBlur feImage feMerge feMergeNode feMorphology feOffset '
+        + 'fePointLight feSpecularLighting feSpotLight feTile feTurbulence '
+        + 'foreignObject glyphRef linearGradient radialGradient textPath');
+    var SVG_ATTRIB_NAMES = caseAdjustments(
+        'attributeName attributeType baseFrequency baseProfile calcMode '
+        + 'clipPathUnits diffuseConstant edgeMode filterUnits glyphRef '
+        + 'gradientTransform gradientUnits kernelMatrix kernelUnitLength '
+        + 'keyPoints keySplines keyTimes lengthAdjust limitingConeAngle '
+        + 'markerHeight markerUnits markerWidth maskContentUnits maskUnits '
+        + 'numOctaves pathLength patternContentUnits patternTransform '
+        + 'patternUnits pointsAtX pointsAtY pointsAtZ preserveAlpha '
+        + 'preserveAspectRatio primitiveUnits refX refY repeatCount repeatDur '
+        + 'requiredExtensions requiredFeatures specularConstant '
+        + 'specularExponent spreadMethod startOffset stdDeviation stitchTiles '
+        + 'surfaceScale systemLanguage tableValues targetX targetY textLength '
+        + 'viewBox viewTarget xChannelSelector yChannelSelector zoomAndPan');
+    var MATHML_ATTRIB_NAMES = caseAdjustments('definitionURL');
+
+    // Start tags that close the open SVG and MathML elements, back to the
+    // nearest integration point, and are read as HTML.
+    var FOREIGN_BREAKOUT_TAGS = {
+        'b': 1, 'big': 1, 'blockquote': 1, 'body': 1, 'br': 1, 'center': 1,
+        'code': 1, 'dd': 1, 'div': 1, 'dl': 1, 'dt': 1, 'em': 1, 'embed': 1,
+        'h1': 1, 'h2': 1, 'h3': 1, 'h4': 1, 'h5': 1, 'h6': 1, 'head': 1,
+        'hr': 1, 'i': 1, 'img': 1, 'li': 1, 'listing': 1, 'menu': 1,
+        'meta': 1, 'nobr': 1, 'ol': 1, 'p': 1, 'pre': 1, 'ruby': 1, 's': 1,
+        'small': 1, 'span': 1, 'strike': 1, 'strong': 1, 'sub': 1, 'sup': 1,
+        'table': 1, 'tt': 1, 'u': 1, 'ul': 1, 'var': 1
+    };
+    // The SVG and MathML elements whose content is HTML.
+    var INTEGRATION_POINTS = {
+        'svg': { 'foreignObject': 1, 'desc': 1, 'title': 1 },
+        'math': { 'mi': 1, 'mo': 1, 'mn': 1, 'ms': 1, 'mtext': 1 }
+    };
+
+    /**
+     * Whether an SVG or MathML element is an integration point, whose
+     * content is read as HTML, like <foreignObject> or <mtext>.
+     */
+    function isIntegrationPoint(namespace, name, attribs) {
+        if (!INTEGRATION_POINTS.hasOwnProperty(namespace)) { return false; }
+        if (namespace === 'math' && name === 'annotation-xml') {
+            for (var i = 0; i < attribs.length; i += 2) {
+                if (attribs[i] === 'encoding') {
+                    var encoding = decodeName(attribs[i + 1]);
+                    return encoding === 'text/html'
+                        || encoding === 'application/xhtml+xml';
+                }
+            }
+            return false;
+        }
+        return INTEGRATION_POINTS[namespace].hasOwnProperty(name);
+    }
+
+    function isForeignBreakout(tag) {
+        if (tag.name === 'font') {
+            for (var i = 0; i < tag.attrs.length; i += 2) {
+                if (/^(?:color|face|size)$/.test(tag.attrs[i])) { return true; }
+            }
+            return false;
+        }
+        return FOREIGN_BREAKOUT_TAGS.hasOwnProperty(tag.name);
+    }
+
+    /**
+     * The stack of open SVG and MathML elements.  Like makeElementStack, it
+     * finds the element an end tag closes without walking the stack: the
+     * innermost open element with the end tag's name, lower-cased, if no
+     * integration point is open inside it.
+     */
+    function makeForeignStack() {
+        var elements = [];
+        // The indices where each lower-cased name is open, keyed by '$' +
+        // name so that names like __proto__ are safe.
+        var openAt = {};
+        // The indices of open integration points.
+        var integrationPoints = [];
+        function pop() {
+            var element = elements.pop();
+            openAt['$' + element.lowerName].pop();
+            if (integrationPoints[integrationPoints.length - 1]
+                === elements.length) {
+                integrationPoints.pop();
+            }
+            return element;
+        }
+        return {
+            current: function () {
+                return elements[elements.length - 1];
+            },
+            push: function (element) {
+                var key = '$' + element.lowerName;
+                (openAt[key] || (openAt[key] = [])).push(elements.length);
+                if (element.integrationPoint) {
+                    integrationPoints.push(elements.length);
+                }
+                elements.push(element);
+            },
+            pop: pop,
+            // Closes the element at index and those inside it, and returns
+            // the element at index.
+            popTo: function (index) {
+                var element;
+                while (elements.length > index) { element = pop(); }
+                return element;
+            },
+            // The index of the element that an end tag for lowerName
+            // closes, or -1 if it closes none.
+            indexOfOpen: function (lowerName) {
+                var open = openAt['$' + lowerName];
+                if (!open || !open.length) { return -1; }
+                var index = open[open.length - 1];
+                var scope = integrationPoints.length
+                    ? integrationPoints[integrationPoints.length - 1] : -1;
+                return index >= scope ? index : -1;
+            }
+        };
+    }
+
+    // Closes the open SVG and MathML elements back to the nearest
+    // integration point.
+    function breakOutOfForeignContent(state) {
+        var open = state.foreign;
+        while (open.current() && !open.current().integrationPoint) {
+            open.pop();
+        }
+    }
+
+    // The namespace of the element that a start tag opens: 'html', 'svg' or
+    // 'math'.
+    function startTagNamespace(state, tag) {
+        var current = state.foreign.current();
+        if (current && !current.integrationPoint) {
+            if (tag.name === 'svg' && current.name === 'annotation-xml') {
+                return 'svg';
+            }
+            if (!isForeignBreakout(tag)) { return current.namespace; }
+            breakOutOfForeignContent(state);
+            return 'html';
+        }
+        if (current && current.namespace === 'math'
+            && (tag.name === 'mglyph' || tag.name === 'malignmark')) {
+            return 'math';
+        }
+        return tag.name === 'svg' || tag.name === 'math' ? tag.name : 'html';
+    }
+
+    // Gives an SVG or MathML tag its case-adjusted names.  It has no CDATA
+    // or RCDATA content, and '/>' closes it.
+    function adjustForeignTag(tag, namespace) {
+        var attribNames = namespace === 'svg'
+            ? SVG_ATTRIB_NAMES : MATHML_ATTRIB_NAMES;
+        if (namespace === 'svg' && SVG_TAG_NAMES.hasOwnProperty(tag.name)) {
+            tag.name = SVG_TAG_NAMES[tag.name];
+        }
+        for (var i = 0; i < tag.attrs.length; i += 2) {
+            if (attribNames.hasOwnProperty(tag.attrs[i])) {
+                tag.attrs[i] = attribNames[tag.attrs[i]];
+            }
+        }
+        tag.namespace = namespace;
+        tag.eflags = 0;
+        tag.closesItself = tag.selfClosing;
+    }
+
+    // Closes the SVG or MathML element that an end tag matches, if any, and
+    // returns the namespace of the element it ends.  As in HTML5, the
+    // search stops at an integration point, and </p> and </br> break out
+    // of foreign content.
+    function closeForeignElement(state, tag) {
+        var open = state.foreign;
+        var current = open.current();
+        if (current && !current.integrationPoint
+            && (tag.name === 'p' || tag.name === 'br')) {
+            breakOutOfForeignContent(state);
+            return 'html';
+        }
+        var index = open.indexOfOpen(tag.name);
+        if (index < 0) { return 'html'; }
+        var element = open.popTo(index);
+        tag.name = element.name;
+        return element.namespace;
+    }
+
+    var endTagRe = {};
+
+    // The index of the '<\/' that ends the text content of tag, or the
+    // length of the input if there is none.
+    function findTextEnd(state, tag) {
+        if (tag.textEnd === void 0) {
+            var text = state.text;
+            if (!endTagRe.hasOwnProperty(tag.name)) {
+                endTagRe[tag.name] =
+                    new RegExp('^' + tag.name + '(?:[\\s\\/&<>]|$)', 'i');
+            }
+            var re = endTagRe[tag.name];
+            var n = tag.name.length;
+            var at = tag.next;
+            while ((at = text.indexOf('<\/', at)) >= 0
+                   && !re.test(text.substring(at + 2, at + 3 + n))) {
+                at += 2;
+            }
+            tag.textEnd = at < 0 ? text.length : at;
+        }
+        return tag.textEnd;
+    }
+
+    // Tags like <script> and <textarea> are flagged as CDATA or RCDATA,
+    // which means everything is text until we see the correct closing tag.
+    function parseText(h, state, tag, param) {
+        var p = findTextEnd(state, tag);
+        var buf = state.text.substring(tag.next, p);
+        if (tag.eflags & html4.eflags['CDATA']) {
+            if (h.cdata) {
+                h.cdata(buf, param, continuationMarker,
+                    continuationMaker(h, state, p, param),
+                    positionOf(state, tag.next, p));
+            }
+        } else if (tag.eflags & html4.eflags['RCDATA']) {
+            if (h.rcdata) {
+                h.rcdata(normalizeRCData(buf), param, continuationMarker,
+                    continuationMaker(h, state, p, param),
+                    positionOf(state, tag.next, p));
+            }
+        } else {
+            throw new Error('bug');
+        }
+        return p;
+    }
+
+    // Reads the tag whose name starts at text[start] up to its '>', or
+    // returns undefined if it has none.  As in browsers, the first of two
+    // attributes with the same name wins.
+    function parseTagAndAttrs(state, start) {
+        var text = state.text;
+        var end = text.length;
+        var pos = start;
+        while (tagNameCharRe.test(text.charAt(pos))) { ++pos; }
+        var tag = {};
+        tag.name = text.substring(start, pos).toLowerCase();
+        tag.eflags = html4.ELEMENTS[tag.name];
+        var attrs = [];
+        // Keyed by '$' + name so that names like __proto__ are safe.
+        var seen = {};
+        for (;;) {
+            var separatorStart = pos;
+            while (pos < end && attrSeparatorRe.test(text.charAt(pos))) {
+                ++pos;
+            }
+            if (pos === end) { return void 0; }
+            if (text.charAt(pos) === '>') {
+                // A '/' at the end of an unquoted value is part of it.
+                tag.selfClosing = pos > separatorStart
+                    && text.charAt(pos - 1) === '/';
+                break;
+            }
+            var nameStart = pos;
+            for (++pos; pos < end && !attrNameEndRe.test(text.charAt(pos));
+                 ++pos) {}
+            var aName = decodeName(text.substring(nameStart, pos));
+            var aValue = '';
+            var p = pos;
+            while (p < end && tagSpaceRe.test(text.charAt(p))) { ++p; }
+            if (text.charAt(p) === '=') {
+                for (++p; p < end && tagSpaceRe.test(text.charAt(p)); ++p) {}
+                var quote = text.charAt(p);
+                if (quote === '"' || quote === '\'') {
+                    pos = text.indexOf(quote, p + 1) + 1;
+                    if (!pos) {
+                        tag.unterminatedQuote = true;
+                        return tag;
+                    }
+                } else {
+                    for (pos = p; pos < end
+                         && !unquotedValueEndRe.test(text.charAt(pos)); ++pos) {}
+                }
+                aValue = decodeValue(text.substring(p, pos));
+            }
+            if (!seen.hasOwnProperty('$' + aName)) {
+                seen['$' + aName] = true;
+                attrs.push(aName, aValue);
+            }
+        }
+        tag.attrs = attrs;
+        tag.next = pos + 1;
+        return tag;
+    }
+
+    /**
+     * Adds an entry to the report asked for by options.report, which is
+     * either an array to push entries onto or a function to call with each.
+     */
+    function audit(opt_options, entry) {
+        var report = opt_options && (opt_options.report
+                                     || opt_options['report']);
+        if (!report) { return; }
+        if (typeof report === 'function') {
+            report(entry);
+        } else {
+            report.push(entry);
+        }
+    }
+
+    /**
+     * Returns a copy of opt_options whose report gives the entries made
+     * without an offset the start offset of position, the tag whose
+     * attributes they are about.  The copy belongs to one tag, so a policy
+     * that sanitizes other HTML while it runs reports its own offsets.
+     */
+    function reportingAt(opt_options, position) {
+        var report = opt_options && (opt_options.report
+                                     || opt_options['report']);
+        if (!report || !position) { return opt_options; }
+        var offset = position['start'];
+        var options = {};
+        for (var k in opt_options) {
+            if (opt_options.hasOwnProperty(k)) { options[k] = opt_options[k]; }
+        }
+        options.report = options['report'] = function (entry) {
+            if (entry['offset'] === void 0) { entry['offset'] = offset; }
+            audit(opt_options, entry);
+        };
+        return options;
+    }
+
+    /**
+     * Returns a function that strips unsafe tags and attributes from html.
+     * @param {function(string, Array.<string>, Object=): ?Object} tagPolicy
+     *     A function that takes (tagName, attribs[], position), where tagName
+     *     is a key in html4.ELEMENTS, attribs is an array of alternating
+     *     attribute names and values, and position is the tag's, as passed to
+     *     handlers by makeSaxParser.  It should return a record (as
+     *     follows), or null to delete the element and its content.  The
+     *     record has an 'attribs' array of alternating names and sanitized
+     *     values; a null or undefined value drops that attribute.
+     * @param {Object=} opt_options may have balance: true, to nest the
+     *     elements that are kept as a browser would; doctype,
+     *     processingInstructions or cdataSections: true, to keep those; and
+     *     a report, as for sanitize.
+     * @return {function(string, Array)} A function that sanitizes a string of
+     *     HTML and appends result strings to the second argument, an array.
+     */
+    function makeHtmlSanitizer(tagPolicy, opt_options) {
+        var stack;
+        // The name and nesting depth of an element whose content is dropped.
+        var ignoring;
+        var ignoreDepth;
+        // With balance: true, the tags that are kept go through a balancing
+        // handler that writes them, so that elements which are dropped do
+        // not change how the others nest.
+        var balancer = isBalanced(opt_options) ? makeBalancingHandler(
+            copyHandler({
+                'startTag': writeStartTag,
+                'endTag': function (name, out) { out.push('<\/', name, '>'); },
+                'pcdata': function (text, out) { out.push(text); }
+            }),
+            function (tagName, reason, position) {
+                report(tagName, 'dropped', reason, position);
+            }) : null;
+        var emit = function (text, out) {
+            if (!ignoring) {
+                out.push(text);
+            }
+        };
+        function writeStartTag(name, attribs, out) {
+            out.push('<', name);
+            for (var i = 0, n = attribs.length; i < n; i += 2) {
+                var attribName = attribs[i],
+                    value = attribs[i + 1];
+                if (value !== null && value !== void 0) {
+                    out.push(' ', attribName, '="', escapeAttrib(value), '"');
+                }
+            }
+            out.push('>');
+        }
+        function report(tagName, action, reason, position) {
+            audit(opt_options, {
+                'type': 'element',
+                'action': action,
+                'name': tagName,
+                'reason': reason,
+                'offset': position && position['start'] !== void 0
+                    ? position['start'] : null
+            });
+        }
+        // Whether the innermost open element is one in SVG or MathML whose
+        // content is also SVG or MathML.
+        function inForeignContent() {
+            var key = stack.names[stack.names.length - 1];
+            var colon = key ? key.indexOf(':') : -1;
+            return colon >= 0 && !isIntegrationPoint(
+                key.substring(0, colon), elementName(key), []);
+        }
+        // An HTML start tag in SVG or MathML, or </p> or </br>, closes the
+        // elements back to an integration point, as in a browser.
+        function breakOutOfForeignContent(out) {
+            while (inForeignContent()) {
+                out.push('<\/', elementName(stack.pop()), '>');
+            }
+        }
+        // Doctypes, processing instructions and CDATA sections are dropped
+        // unless an option keeps them.
+        function keepOrDrop(option, type, html, value, out, position) {
+            if (ignoring) { return; }
+            if (opt_options && opt_options[option]) {
+                out.push(html);
+                return;
+            }
+            audit(opt_options, {
+                'type': type,
+                'action': 'dropped',
+                'value': value,
+                'reason': option + ' option not set',
+                'offset': position ? position['start'] : null
+            });
+        }
+        var h = copyHandler({
+            'startDoc': function(out) {
+                stack = makeElementStack();
+                ignoring = null;
+                ignoreDepth = 0;
+                if (balancer) { balancer.startDoc(out); }
+            },
+            'startTag': function(name, attribs, out, _, __, position) {
+                var tagName = elementKey(name, position);
+                if (ignoring) {
+                    if (tagName === ignoring) { ++ignoreDepth; }
+                    return;
+                }
+                if (tagName === name && !balancer) {
+                    breakOutOfForeignContent(out);
+                }
+                // A name like svg:a outside <svg> is not the SVG element.
+                if (!html4.ELEMENTS.hasOwnProperty(tagName)
+                    || tagName === name && name.indexOf(':') >= 0) {
+                    report(tagName, 'dropped', 'element not in ELEMENTS',
+                           position);
+                    return;
+                }
+                // An HTML end tag like </a> can close the <svg> around an
+                // element, and the parser, which does not keep track of HTML
+                // elements, still reads it as SVG.  Written out where the
+                // <svg> is closed, it would be read as HTML.
+                if (tagName !== name && name !== 'svg' && name !== 'math'
+                    && !balancer && !inForeignContent()) {
+                    report(tagName, 'dropped', 'element outside svg or math',
+                           position);
+                    return;
+                }
+                var eflags = html4.ELEMENTS[tagName];
+                if (eflags & html4.eflags['FOLDABLE']) {
+                    report(tagName, 'dropped', 'FOLDABLE element', position);
+                    return;
+                }
+
+                var decision = tagPolicy(tagName, attribs, position);
+                if (!decision) {
+                    report(tagName, 'dropped',
+                           eflags & html4.eflags['UNSAFE']
+                           ? 'UNSAFE element' : 'rejected by tag policy',
+                           position);
+                    if (!(eflags & html4.eflags['EMPTY'])) {
+                        ignoring = tagName;
+                        ignoreDepth = 1;
+                    }
+                    return;
+                } else if (typeof decision !== 'object') {
+                    throw new Error('tagPolicy did not return object (old API?)');
+                }
+                if ('attribs' in decision) {
+                    attribs = decision['attribs'];
+                } else {
+                    throw new Error('tagPolicy gave no attribs');
+                }
+
+                if (balancer) {
+                    balancer.startTag(name, attribs, out, void 0, void 0,
+                                      position);
+                    return;
+                }
+                if (!(eflags & html4.eflags['EMPTY'])) {
+                    stack.push(tagName);
+                }
+                writeStartTag(name, attribs, out);
+            },
+            'endTag': function(name, out, _, __, position) {
+                var tagName = elementKey(name, position);
+                if (ignoring) {
+                    if (tagName === ignoring && --ignoreDepth === 0) {
+                        ignoring = null;
+                    }
+                    return;
+                }
+                if ((tagName === 'p' || tagName === 'br') && !balancer) {
+                    breakOutOfForeignContent(out);
+                }
+                if (!html4.ELEMENTS.hasOwnProperty(tagName)
+                    || tagName === name && name.indexOf(':') >= 0) {
+                    return;
+                }
+                var eflags = html4.ELEMENTS[tagName];
+                if (balancer) {
+                    if (!(eflags & html4.eflags['FOLDABLE'])) {
+                        balancer.endTag(name, out, void 0, void 0, position);
+                    }
+                    return;
+                }
+                if (!(eflags & (html4.eflags['EMPTY'] | html4.eflags['FOLDABLE']))) {
+                    var index = stack.indexOfOpen(tagName);
+                    if (index < 0) {  // Not opened.
+                        report(tagName, 'dropped', 'end tag without start tag',
+                               position);
+                        return;
+                    }
+                    while (stack.names.length > index + 1) {
+                        var stackEl = stack.pop();
+                        if (!(html4.ELEMENTS[stackEl] &
+                              html4.eflags['OPTIONAL_ENDTAG'])) {
+                            out.push('<\/', elementName(stackEl), '>');
+                        }
+                    }
+                    stack.pop();
+                    out.push('<\/', name, '>');
+                }
+            },
+            'pcdata': function (text, out, _, __, position) {
+                if (ignoring) { return; }
+                if (balancer) {
+                    balancer.pcdata(text, out, void 0, void 0, position);
+                } else {
+                    out.push(text);
+                }
+            },
+            'rcdata': emit,
+            'cdata': emit,
+            'comment': function(text, out, _, __, position) {
+                if (!ignoring) {
+                    audit(opt_options, {
+                        'type': 'comment',
+                        'action': 'dropped',
+                        'value': text,
+                        'reason': 'comments are dropped',
+                        'offset': position ? position['start'] : null
+                    });
+                }
+            },
+            'doctype': function(name, publicId, systemId, out, _, __,
+                                position) {
+                var doctype = serializeDoctype(name, publicId, systemId);
+                keepOrDrop('doctype', 'doctype', doctype, doctype, out,
+                           position);
+            },
+            'processingInstruction': function(target, data, out, _, __,
+                                              position) {
+                var pi = '<?' + target + (data ? ' ' + data : '') + '?>';
+                keepOrDrop('processingInstructions', 'processingInstruction',
+                           pi, pi, out, position);
+            },
+            'cdataSection': function(text, out, _, __, position) {
+                // In SVG and MathML a CDATA section is text.  A browser
+                // would end one in HTML at its first '>', so there the
+                // text is only kept if asked for, and kept as text.
+                var namespace = position && position['namespace'] || 'html';
+                if (namespace !== 'html') {
+                    h['pcdata'](escapeHtmlText(text), out, _, __, position);
+                    return;
+                }
+                keepOrDrop('cdataSections', 'cdataSection',
+                           escapeHtmlText(text), text, out, position);
+            },
+            'endDoc': function(out) {
+                if (balancer) {
+                    balancer.endDoc(out);
+                    return;
+                }
+                while (stack.names.length) {
+                    var tagName = stack.pop();
+                    if (!(html4.ELEMENTS[tagName]
+                          & html4.eflags['OPTIONAL_ENDTAG'])) {
+                        report(tagName, 'rewritten', 'unclosed element', null);
+                    }
+                    out.push('<\/', elementName(tagName), '>');
+                }
+            }
+        });
+        return function(htmlText, out) {
+            return parse(htmlText, h, out, opt_options);
+        };
+    }
+
+    // The doctype as parsed, written back out.  The ids were read up to the
+    // first '>' and from inside one kind of quote, so they contain neither
+    // '>' nor both quotes.
+    function serializeDoctype(name, publicId, systemId) {
+        function quote(id) {
+            return id.indexOf('"') < 0 ? '"' + id + '"' : "'" + id + "'";
+        }
+        var out = '<!DOCTYPE';
+        if (name !== null) { out += ' ' + name; }
+        if (publicId !== null) {
+            out += ' PUBLIC ' + quote(publicId);
+        } else if (systemId !== null) {
+            out += ' SYSTEM';
+        }
+        if (systemId !== null) { out += ' ' + quote(systemId); }
+        return out + '>';
+    }
+
+    // Names that are safe to write back out.  The tokenizer allows quotes
+    // and '<' in attribute names, as HTML5 does, so a prefix key must not
+    // let those through.  Nor colons, which would make 'data-a:b' a
+    // namespaced name rather than a data attribute.
+    var wildcardAttribNameRe = /^[-.\w]+$/;
+
+    // Keys like '*::data-*' stand for every attribute with that prefix, but
+    // exact keys like '*::aria-labelledby' take precedence.  Keys like
+    // 'svg:*::fill' are for every element in a namespace.
+    function lookupAttribute(map, tagName, attribName) {
+        var attribKey;
+        attribKey = tagName + '::' + attribName;
+        if (map.hasOwnProperty(attribKey)) {
+            return map[attribKey];
+        }
+        var colon = tagName.indexOf(':');
+        if (colon > 0) {
+            attribKey = tagName.substring(0, colon) + ':*::' + attribName;
+            if (map.hasOwnProperty(attribKey)) {
+                return map[attribKey];
+            }
+        }
+        attribKey = '*::' + attribName;
+        if (map.hasOwnProperty(attribKey)) {
+            return map[attribKey];
+        }
+        var dash = attribName.indexOf('-');
+        if (dash > 0 && dash + 1 < attribName.length
+            && wildcardAttribNameRe.test(attribName)) {
+            attribKey = '*::' + attribName.substring(0, dash + 1) + '*';
+            if (map.hasOwnProperty(attribKey)) {
+                return map[attribKey];
+            }
+        }
+        return void 0;
+    }
+    function getAttributeType(tagName, attribName) {
+        return lookupAttribute(html4.ATTRIBS, tagName, attribName);
+    }
+    function getLoaderType(tagName, attribName) {
+        return lookupAttribute(html4.LOADERTYPES, tagName, attribName);
+    }
+    function getUriEffect(tagName, attribName) {
+        return lookupAttribute(html4.URIEFFECTS, tagName, attribName);
+    }
+
+    var DEFAULT_ALLOWED_SCHEMES = ['http', 'https', 'mailto'];
+
+    // Browsers ignore leading and trailing spaces and control characters in
+    // URLs, and tabs and newlines anywhere, so "java\tscript:" is a
+    // javascript: URL.
+    var uriTrimRe = /^[\u0000-\u0020]+|[\u0000-\u0020]+$/g;
+    var uriTabOrNewlineRe = /[\t\n\r]/g;
+    var uriSchemeRe = /^([a-zA-Z][a-zA-Z0-9+.\-]*):/;
+
+    /**
+     * Removes the characters that browsers ignore when parsing a URL.
+     *
+     * {\@updoc
+     * $ normalizeUri(' java\tscript:alert(1)\n')
+     * # 'javascript:alert(1)'
+     * }
+     */
+    function normalizeUri(uri) {
+        return ('' + uri).replace(uriTrimRe, '').replace(uriTabOrNewlineRe, '');
+    }
+
+    /**
+     * The lower-cased scheme of a normalized URI, or null if it is relative.
+     *
+     * {\@updoc
+     * $ getUriScheme('JavaScript:alert(1)')
+     * # 'javascript'
+     * $ getUriScheme('/foo?a=b:c')
+     * # null
+     * }
+     */
+    function getUriScheme(uri) {
+        var m = uriSchemeRe.exec(uri);
+        return m ? m[1].toLowerCase() : null;
+    }
+
+    var srcsetDescriptorRe = /^(?:\d+w|\d+(?:\.\d+)?x|\d+h)$/;
+
+    /**
+     * Checks each URI in a srcset-style list, where candidates are separated
+     * by commas and each URI may be followed by width or density
+     * descriptors.  Candidates with a rejected URI or an odd descriptor are
+     * dropped.
+     *
+     * {\@updoc
+     * $ var keep = { uriPolicy: function (uri) { return uri; } };
+     * $ safeUriList('a.png, b.png 2x,javascript:x 3x, c.png 100w bogus', 1, 1,
+     * >             {}, keep)
+     * # 'a.png, b.png 2x'
+     * }
+     *
+     * @return {?string} the checked list, or null if nothing is left.
+     */
+    function safeUriList(value, effect, ltype, hints, opt_options) {
+        var candidates = [];
+        var s = '' + value;
+        var pos = 0, n = s.length;
+        while (pos < n) {
+            while (pos < n && /[\s,]/.test(s.charAt(pos))) { ++pos; }
+            if (pos >= n) { break; }
+            var start = pos;
+            while (pos < n && !/\s/.test(s.charAt(pos))) { ++pos; }
+            var uri = s.substring(start, pos);
+            var descriptors = '';
+            if (/,$/.test(uri)) {
+                uri = uri.replace(/,+$/, '');
+            } else {
+                start = pos;
+                while (pos < n && s.charAt(pos) !== ',') { ++pos; }
+                descriptors = s.substring(start, pos).replace(/^\s+|\s+$/g, '');
+            }
+            var ok = true;
+            if (descriptors) {
+                var list = descriptors.split(/\s+/);
+                for (var i = 0; ok && i < list.length; ++i) {
+                    ok = srcsetDescriptorRe.test(list[i]);
+                }
+            }
+            if (!ok) {
+                auditUri(hints['XML_TAG'], hints['XML_ATTR'],
+                         uri + ' ' + descriptors, null,
+                         'malformed srcset descriptor', opt_options);
+            } else {
+                uri = safeUri(uri, effect, ltype, hints, opt_options);
+                if (uri !== null) {
+                    candidates.push(descriptors ? uri + ' ' + descriptors : uri);
+                }
+            }
+        }
+        return candidates.length ? candidates.join(', ') : null;
+    }
+
+    /**
+     * Builds an nmTokenPolicy for sanitize that namespaces ids, global names
+     * and classes by adding a fixed prefix and suffix to each token, so that
+     * several pieces of embedded content can share a page without clashing
+     * with it or each other.  Form field names are local to their form and
+     * are left alone.
+     *
+     * {\@updoc
+     * $ var policy = makeNmTokenPolicy('user1-');
+     * $ policy('intro', html4.atype.ID)
+     * # 'user1-intro'
+     * $ policy('email', html4.atype.LOCAL_NAME)
+     * # 'email'
+     * }
+     *
+     * @param {string=} opt_prefix
+     * @param {string=} opt_suffix
+     * @return {function(string, number): string}
+     */
+    function makeNmTokenPolicy(opt_prefix, opt_suffix) {
+        var prefix = opt_prefix || '', suffix = opt_suffix || '';
+        return function (token, atype) {
+            if (atype === html4.atype['LOCAL_NAME']) { return token; }
+            return prefix + token + suffix;
+        };
+    }
+
+    /**
+     * Applies the nmTokenPolicy from opt_options to the tokens in an
+     * attribute value.  IDREFS and CLASSES values are lists separated by
+     * whitespace; the other types hold a single token.  Tokens the policy
+     * rejects are dropped.
+     *
+     * @return {?string} the new value, or null if no tokens are left.
+     */
+    function applyNmTokenPolicy(value, atype, opt_options) {
+        var policy = opt_options && (opt_options.nmTokenPolicy
+                                     || opt_options['nmTokenPolicy']);
+        if (!policy) { return value; }
+        var tokens;
+        if (atype === html4.atype['IDREFS']
+            || atype === html4.atype['CLASSES']) {
+            tokens = value.split(/[ \t\n\f\r]+/);
         } else {
-            return tag.next;
+            tokens = [value.replace(/^[ \t\n\f\r]+|[ \t\n\f\r]+$/g, '')];
+        }
+        var out = [];
+        for (var i = 0; i < tokens.length; ++i) {
+            if (!tokens[i]) { continue; }
+            var token = policy(tokens[i], atype);
+            if (token !== null && token !== void 0 && token !== '') {
+                out.push('' + token);
+            }
         }
+        return out.length ? out.join(' ') : null;
     }
 
-    var endTagRe = {};
+    /**
+     * Passes the fragment of a same-document reference like "#top" through
+     * the nmTokenPolicy, since it names an id or a global name in the same
+     * content.  Other URIs are returned unchanged.
+     */
+    function namespaceFragment(uri, opt_options) {
+        if (uri.charAt(0) !== '#' || uri.length === 1) { return uri; }
+        var token = applyNmTokenPolicy(
+            uri.substring(1), html4.atype['IDREF'], opt_options);
+        return token === null ? null : '#' + token;
+    }
 
-    // Tags like <script> and <textarea> are flagged as CDATA or RCDATA,
-    // which means everything is text until we see the correct closing tag.
-    function parseText(parts, tag, h, param, continuationMarker, state) {
-        var end = parts.length;
-        if (!endTagRe.hasOwnProperty(tag.name)) {
-            endTagRe[tag.name] = new RegExp('^' + tag.name + '(?:[\\s\\/]|$)', 'i');
-        }
-        var re = endTagRe[tag.name];
-        var first = tag.next;
-        var p = tag.next + 1;
-        for (; p < end; p++) {
-            if (parts[p - 1] === '<\/' && re.test(parts[p])) { break; }
-        }
-        if (p < end) { p -= 1; }
-        var buf = parts.slice(first, p).join('');
-        if (tag.eflags & html4.eflags['CDATA']) {
-            if (h.cdata) {
-                h.cdata(buf, param, continuationMarker,
-                    continuationMaker(h, parts, p, state, param));
+    /**
+     * Checks a URI against the allowed schemes and then the caller's policy.
+     * Attribute values reach here with their entities already decoded, so
+     * "&#106;avascript:" is seen as "javascript:".
+     *
+     * @param {string} uri the URI to check.
+     * @param {number|undefined} effect one of html4.ueffects.
+     * @param {number|undefined} ltype one of html4.ltypes.
+     * @param {Object} hints describes where the URI appeared.
+     * @param {Object=} opt_options as for sanitize.
+     * @return {?string} the URI to use, or null to drop it.
+     */
+    function safeUri(uri, effect, ltype, hints, opt_options) {
+        var original = uri;
+        function reject(reason) {
+            auditUri(hints['XML_TAG'], hints['XML_ATTR'] || hints['CSS_PROP'],
+                     original, null, reason, opt_options);
+            return null;
+        }
+        var uriPolicy = opt_options && opt_options['uriPolicy'];
+        if (!uriPolicy) { return reject('no uriPolicy'); }
+        uri = normalizeUri(uri);
+        var scheme = getUriScheme(uri);
+        if (scheme !== null) {
+            var allowedSchemes = opt_options['allowedSchemes']
+                || DEFAULT_ALLOWED_SCHEMES;
+            var allowed = false;
+            for (var i = 0; i < allowedSchemes.length; ++i) {
+                if (allowedSchemes[i].toLowerCase() === scheme) {
+                    allowed = true;
+                    break;
+                }
             }
-        } else if (tag.eflags & html4.eflags['RCDATA']) {
-            if (h.rcdata) {
-                h.rcdata(normalizeRCData(buf), param, continuationMarker,
-                    continuationMaker(h, parts, p, state, param));
+            if (!allowed) { return reject('disallowed scheme'); }
+        }
+        var safe = uriPolicy(uri, effect, ltype, hints);
+        if (safe === null || safe === void 0) {
+            return reject('uriPolicy');
+        }
+        safe = '' + safe;
+        if (safe !== original) {
+            auditUri(hints['XML_TAG'], hints['XML_ATTR'] || hints['CSS_PROP'],
+                     original, safe, 'uriPolicy', opt_options);
+        }
+        return safe;
+    }
+
+    // Joins tokens from lexCss with spaces, except inside function calls
+    // and around separators.
+    function joinCssTokens(tokens) {
+        var css = tokens[0];
+        for (var i = 1; i < tokens.length; ++i) {
+            var prev = tokens[i - 1], tok = tokens[i];
+            if (!(prev.charAt(prev.length - 1) === '(' || prev === '/'
+                  || tok === ')' || tok === ',' || tok === '/')) {
+                css += ' ';
+            }
+            css += tok;
+        }
+        return css;
+    }
+
+    /**
+     * Keeps the declarations in a style attribute that cssSchema allows.
+     * URLs in them are checked by the URI policy as sandboxed loads into the
+     * same document.
+     *
+     * {\@updoc
+     * $ sanitizeStyle('color: RED; position: fixed; width: expression(1)')
+     * # 'color: red'
+     * $ sanitizeStyle('behavior: url(x.htc)')
+     * # null
+     * }
+     *
+     * @param {string} value the style attribute value.
+     * @param {Object=} opt_options as for sanitize.
+     * @param {string=} opt_tagName the element, for the report.
+     * @return {?string} the sanitized value, or null if nothing is left.
+     */
+    function sanitizeStyle(value, opt_options, opt_tagName) {
+        var sanitizedDeclarations = [];
+        parseCssDeclarations(
+            value,
+            {
+                'declaration': function (property, tokens) {
+                    var original = joinCssTokens(tokens);
+                    sanitizeCssProperty(
+                        property, tokens,
+                        function (url) {
+                            url = namespaceFragment(url, opt_options);
+                            return url === null ? null : safeUri(
+                                url, html4.ueffects['SAME_DOCUMENT'],
+                                html4.ltypes['SANDBOXED'],
+                                {
+                                    'TYPE': 'CSS',
+                                    'CSS_PROP': property
+                                }, opt_options);
+                        });
+                    var sanitized = tokens.length ? joinCssTokens(tokens) : null;
+                    if (sanitized !== original) {
+                        audit(opt_options, {
+                            'type': 'style',
+                            'action': sanitized === null ? 'dropped' : 'rewritten',
+                            'tagName': opt_tagName,
+                            'name': property,
+                            'value': original,
+                            'newValue': sanitized,
+                            'reason': sanitized === null
+                                ? 'not allowed by cssSchema' : 'normalized'
+                        });
+                    }
+                    if (sanitized !== null) {
+                        sanitizedDeclarations.push(property + ': ' + sanitized);
+                    }
+                }
+            });
+        return sanitizedDeclarations.length > 0 ?
+            sanitizedDeclarations.join('; ') : null;
+    }
+
+    // A presentation attribute like fill="url(#fade)" holds a value of the
+    // CSS property of the same name, so it is checked against cssSchema as
+    // that one declaration.
+    function sanitizePresentationAttrib(tagName, attribName, value,
+                                        opt_options) {
+        if (value.indexOf(';') >= 0) { return null; }
+        var style = sanitizeStyle(attribName + ': ' + value, opt_options,
+                                  tagName);
+        var prefix = attribName + ': ';
+        return style !== null && style.indexOf(prefix) === 0
+            ? style.substring(prefix.length) : null;
+    }
+
+    // Targets that reuse an existing browsing context rather than opening one.
+    var SAME_CONTEXT_TARGETS = { '_self': 1, '_parent': 1, '_top': 1 };
+
+    /**
+     * The targetPolicy values that can be given by name.  Each maps a target
+     * to the one to use, or null to drop it.
+     */
+    var TARGET_POLICIES = {
+        '_blank': function (target) { return '_blank'; },
+        'strip': function (target) { return null; },
+        'named': function (target) {
+            return /^[^_\s][^\s]*$/.test(target) ? target : null;
+        }
+    };
+
+    function getTargetPolicy(opt_options) {
+        var policy = opt_options && (opt_options.targetPolicy
+                                     || opt_options['targetPolicy']);
+        if (typeof policy === 'string') {
+            if (!TARGET_POLICIES.hasOwnProperty(policy)) {
+                throw new Error('unknown targetPolicy ' + policy);
+            }
+            policy = TARGET_POLICIES[policy];
+        }
+        return policy || null;
+    }
+
+    function safeTarget(tagName, target, opt_options) {
+        var policy = getTargetPolicy(opt_options);
+        if (!policy) { return null; }
+        target = policy(target, tagName);
+        return target === null || target === void 0 || target === ''
+            ? null : '' + target;
+    }
+
+    // Describes a policy's effect on a value for the report.
+    function policyReason(reason, value, newValue) {
+        if (!/^\w+Policy$/.test(reason)) { return reason; }
+        return (value === null || value === void 0 ? 'added by '
+                : newValue === null ? 'rejected by ' : 'rewritten by ') + reason;
+    }
+
+    function auditAttrib(tagName, attribName, value, newValue, reason,
+                         opt_options) {
+        audit(opt_options, {
+            'type': 'attribute',
+            'action': value === null || value === void 0 ? 'added'
+                : newValue === null ? 'dropped' : 'rewritten',
+            'tagName': tagName,
+            'name': attribName,
+            'value': value,
+            'newValue': newValue,
+            'reason': policyReason(reason, value, newValue)
+        });
+    }
+
+    function auditUri(tagName, name, uri, newUri, reason, opt_options) {
+        audit(opt_options, {
+            'type': 'uri',
+            'action': newUri === null ? 'dropped' : 'rewritten',
+            'tagName': tagName,
+            'name': name,
+            'value': uri,
+            'newValue': newUri,
+            'reason': policyReason(reason, uri, newUri)
+        });
+    }
+
+    // Finds the value of a kept attribute, or returns -1.
+    function indexOfAttrib(attribs, name) {
+        for (var i = 0; i < attribs.length; i += 2) {
+            if (attribs[i] === name && attribs[i + 1] !== null
+                && attribs[i + 1] !== void 0) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Once a link's attributes are sanitized, adds target="_blank" to links
+     * without a target if the targetPolicy is '_blank', and then, if the link
+     * opens a new browsing context, merges rel="noopener noreferrer" and any
+     * extraRel into its rel attribute so that the new page cannot reach back
+     * through window.opener.
+     */
+    function hardenLink(tagName, attribs, opt_options) {
+        if (indexOfAttrib(attribs, 'href') < 0
+            && indexOfAttrib(attribs, 'xlink:href') < 0) {
+            return;
+        }
+        var targetIndex = indexOfAttrib(attribs, 'target');
+        if (targetIndex < 0) {
+            if (getTargetPolicy(opt_options) !== TARGET_POLICIES['_blank']) {
+                return;
+            }
+            targetIndex = attribs.length;
+            attribs.push('target', '_blank');
+            auditAttrib(tagName, 'target', null, '_blank', 'targetPolicy',
+                        opt_options);
+        }
+        var target = attribs[targetIndex + 1].toLowerCase();
+        if (SAME_CONTEXT_TARGETS.hasOwnProperty(target)) { return; }
+        var extraRel = opt_options && (opt_options.extraRel
+                                       || opt_options['extraRel']);
+        var added = ('noopener noreferrer ' + (extraRel || '')).split(/\s+/);
+        var relIndex = indexOfAttrib(attribs, 'rel');
+        var rel = relIndex < 0 ? [] : attribs[relIndex + 1].split(/\s+/);
+        var seen = {};
+        for (var i = 0; i < rel.length; ++i) {
+            seen[rel[i].toLowerCase()] = true;
+        }
+        for (i = 0; i < added.length; ++i) {
+            var token = added[i].toLowerCase();
+            if (token && !seen.hasOwnProperty(token)) {
+                seen[token] = true;
+                rel.push(token);
             }
+        }
+        rel = rel.join(' ').replace(/^\s+/, '');
+        if (relIndex < 0 || rel !== attribs[relIndex + 1]) {
+            auditAttrib(tagName, 'rel', relIndex < 0 ? null : attribs[relIndex + 1],
+                        rel, 'link opens a new browsing context', opt_options);
+        }
+        if (relIndex < 0) {
+            attribs.push('rel', rel);
         } else {
-            throw new Error('bug');
+            attribs[relIndex + 1] = rel;
         }
-        return p;
     }
 
-    // at this point, parts[pos-1] is either "<" or "<\/".
-    function parseTagAndAttrs(parts, pos) {
-        var m = /^([-\w:]+)/.exec(parts[pos]);
-        var tag = {};
-        tag.name = m[1].toLowerCase();
-        tag.eflags = html4.ELEMENTS[tag.name];
-        var buf = parts[pos].substr(m[0].length);
-        // Find the next '>'.  We optimistically assume this '>' is not in a
-        // quoted context, and further down we fix things up if it turns out to
-        // be quoted.
-        var p = pos + 1;
-        var end = parts.length;
-        for (; p < end; p++) {
-            if (parts[p] === '>') { break; }
-            buf += parts[p];
-        }
-        if (end <= p) { return void 0; }
-        var attrs = [];
-        while (buf !== '') {
-            m = ATTR_RE.exec(buf);
-            if (!m) {
-                // No attribute found: skip garbage
-                buf = buf.replace(/^[\s\S][^a-z\s]*/, '');
-
-            } else if ((m[4] && !m[5]) || (m[6] && !m[7])) {
-                // Unterminated quote: slurp to the next unquoted '>'
-                var quote = m[4] || m[6];
-                var sawQuote = false;
-                var abuf = [buf, parts[p++]];
-                for (; p < end; p++) {
-                    if (sawQuote) {
-                        if (parts[p] === '>') { break; }
-                    } else if (0 <= parts[p].indexOf(quote)) {
-                        sawQuote = true;
+    /**
+     * Sanitizes attributes on an HTML tag.
+     * @param {string} tagName An HTML tag name in lowercase.
+     * @param {Array.<?string>} attribs An array of alternating names and values.
+     * @param {Object=} opt_options as for sanitize.
+     * @return {Array.<?string>} The sanitized attributes as a list of alternating
+     *     names and values, where a null value means to omit the attribute.
+     */
+    function sanitizeAttribs(tagName, attribs, opt_options) {
+        for (var i = 0; i < attribs.length; i += 2) {
+            var attribName = attribs[i];
+            var value = attribs[i + 1];
+            var atype = getAttributeType(tagName, attribName);
+            // Why the value changed, for the report.  URIs are reported by
+            // safeUri.
+            var reason = null;
+            switch (atype) {
+                case html4.atype['NONE']:
+                    break;
+                case html4.atype['ID']:
+                case html4.atype['IDREF']:
+                case html4.atype['IDREFS']:
+                case html4.atype['GLOBAL_NAME']:
+                case html4.atype['LOCAL_NAME']:
+                case html4.atype['CLASSES']:
+                    value = applyNmTokenPolicy(value, atype, opt_options);
+                    reason = 'nmTokenPolicy';
+                    break;
+                case html4.atype['STYLE']:
+                    value = sanitizeStyle(value, opt_options, tagName);
+                    if (value === null) { reason = 'no allowed declarations'; }
+                    break;
+                case html4.atype['PRESENTATION']:
+                    value = sanitizePresentationAttrib(
+                        tagName, attribName, value, opt_options);
+                    if (value === null) { reason = 'not allowed by cssSchema'; }
+                    break;
+                case html4.atype['URI']:
+                    var fragment = namespaceFragment(value, opt_options);
+                    if (fragment !== value) {
+                        auditUri(tagName, attribName, value, fragment,
+                                 'nmTokenPolicy', opt_options);
+                    }
+                    value = fragment;
+                    if (value === null) { break; }
+                    value = safeUri(value,
+                        getUriEffect(tagName, attribName),
+                        getLoaderType(tagName, attribName),
+                        {
+                            'TYPE': 'MARKUP',
+                            'XML_ATTR': attribName,
+                            'XML_TAG': tagName
+                        }, opt_options);
+                    break;
+                case html4.atype['URI_LIST']:
+                    value = safeUriList(value,
+                        getUriEffect(tagName, attribName),
+                        getLoaderType(tagName, attribName),
+                        {
+                            'TYPE': 'MARKUP',
+                            'XML_ATTR': attribName,
+                            'XML_TAG': tagName
+                        }, opt_options);
+                    break;
+                case html4.atype['FRAME_TARGET']:
+                    value = safeTarget(tagName, value, opt_options);
+                    reason = getTargetPolicy(opt_options)
+                        ? 'targetPolicy' : 'no targetPolicy';
+                    break;
+                case html4.atype['URI_FRAGMENT']:
+                    if (!value || '#' !== value.charAt(0)) {
+                        value = null;
+                        reason = 'not a fragment';
+                    } else {
+                        value = namespaceFragment(value, opt_options);
+                        reason = 'nmTokenPolicy';
+                    }
+                    break;
+                case html4.atype['SCRIPT']:
+                    value = null;
+                    reason = 'SCRIPT attribute';
+                    break;
+                // Attributes that are not in the schema at all.
+                default:
+                    value = null;
+                    reason = 'attribute not in ATTRIBS';
+                    break;
+            }
+            if (reason !== null && value !== attribs[i + 1]) {
+                auditAttrib(tagName, attribName, attribs[i + 1], value,
+                            reason, opt_options);
+            }
+            attribs[i + 1] = value;
+        }
+        if (tagName === 'a' || tagName === 'area' || tagName === 'svg:a') {
+            hardenLink(tagName, attribs, opt_options);
+        }
+        return attribs;
+    }
+
+    /**
+     * Creates a tag policy that omits all tags marked UNSAFE in lib/html4.js
+     * and applies the default attribute sanitizer with the supplied options.
+     * @param {Object=} opt_options as for sanitize.
+     * @return {function(string, Array.<?string>, Object=)} A tagPolicy
+     *     suitable for passing to makeHtmlSanitizer.  What it reports gets
+     *     the offset of the tag's position.
+     */
+    function makeTagPolicy(opt_options) {
+        return function(tagName, attribs, opt_position) {
+            if (!(html4.ELEMENTS[tagName] & html4.eflags['UNSAFE'])) {
+                return {
+                    'attribs': sanitizeAttribs(
+                        tagName, attribs,
+                        reportingAt(opt_options, opt_position))
+                };
+            }
+        };
+    }
+
+    /**
+     * Sanitizes HTML tags and attributes according to a given policy.
+     * @param {?string|undefined} inputHtml The HTML to sanitize.  null and
+     *     undefined give ''.
+     * @param {function(string, Array.<?string>)} tagPolicy A function that
+     *     decides which tags to accept and sanitizes their attributes (see
+     *     makeHtmlSanitizer above for details).
+     * @param {Object=} opt_options as for makeHtmlSanitizer.
+     * @return {string} The sanitized HTML.
+     */
+    function sanitizeWithPolicy(inputHtml, tagPolicy, opt_options) {
+        if (inputHtml === null || inputHtml === void 0) { return ''; }
+        var outputArray = [];
+        makeHtmlSanitizer(tagPolicy, opt_options)(inputHtml, outputArray);
+        return outputArray.join('');
+    }
+
+    /**
+     * Strips unsafe tags and attributes from HTML, using the element and
+     * attribute schemas in html4.
+     *
+     * Elements flagged UNSAFE are removed along with their content, unknown
+     * elements are removed but their content is kept, and attributes not in
+     * html4.ATTRIBS are removed.  SCRIPT-typed attributes such as onclick are
+     * always removed.  STYLE attributes keep only the declarations that
+     * cssSchema allows.  URI and FRAME_TARGET attributes are removed, unless
+     * opt_options gives a policy for them.
+     *
+     * SVG and MathML are sanitized against the entries for svg:name and
+     * math:name, like svg:linearGradient, so the same name can be safe in
+     * HTML and not in SVG.  Scripting and animation in SVG, and
+     * <foreignObject> and <annotation-xml>, are removed along with their
+     * content.  PRESENTATION attributes like fill and stroke are checked as
+     * the CSS property of the same name.
+     *
+     * The options are:<dl>
+     *   <dt>uriPolicy</dt>
+     *   <dd>A function (uri, effect, loaderType, hints) that returns the URI
+     *     to use, possibly rewritten, or null to drop the attribute.  effect
+     *     is one of html4.ueffects and loaderType one of html4.ltypes, both
+     *     looked up for the attribute in html4.URIEFFECTS and
+     *     html4.LOADERTYPES.  hints has the TYPE 'MARKUP', and the XML_TAG
+     *     and XML_ATTR names, or for url() in a style attribute, the TYPE
+     *     'CSS' and the CSS_PROP name.  The policy only sees relative URIs and
+     *     those with an allowed scheme.</dd>
+     *   <dt>allowedSchemes</dt>
+     *   <dd>The URI schemes to allow; by default http, https and mailto.</dd>
+     *   <dt>nmTokenPolicy</dt>
+     *   <dd>A function (token, atype) that rewrites each id, name or class
+     *     token, or returns null to drop it.  atype is the attribute's
+     *     html4.atype, so ID, IDREF and IDREFS tokens, and the fragment of a
+     *     same-document link like href="#top", can be rewritten the same
+     *     way.  makeNmTokenPolicy builds one that adds a prefix.</dd>
+     *   <dt>targetPolicy</dt>
+     *   <dd>A function (target, tagName) that returns the frame target to
+     *     use or null to drop it, or one of the names '_blank', to make
+     *     every link open a new window, 'strip', to drop all targets, or
+     *     'named', to keep only targets that name a frame rather than a
+     *     keyword like _top.  Links that may open a new browsing context get
+     *     rel="noopener noreferrer" merged into their rel.</dd>
+     *   <dt>extraRel</dt>
+     *   <dd>More rel tokens, like 'nofollow ugc', to merge into the rel of
+     *     links that open a new browsing context.</dd>
+     *   <dt>balance</dt>
+     *   <dd>true to nest the elements that are kept as a browser would,
+     *     as described at makeBalancingHandler, so that a p or li is closed
+     *     where a browser would close it rather than at the end of its
+     *     parent.  End tags that match nothing are always dropped, and
+     *     elements left open are always closed.</dd>
+     *   <dt>doctype</dt>
+     *   <dd>true to keep a <!DOCTYPE ...>, written out again from its
+     *     name and ids.</dd>
+     *   <dt>processingInstructions</dt>
+     *   <dd>true to keep processing instructions like
+     *     <?xml version="1.0"?>.</dd>
+     *   <dt>cdataSections</dt>
+     *   <dd>true to keep the text of <![CDATA[...]]> sections, escaped,
+     *     since HTML does not have them.  In SVG and MathML their text is
+     *     kept either way.</dd>
+     *   <dt>report</dt>
+     *   <dd>An array, or a function to call with each entry, to record
+     *     everything that was dropped or rewritten.  Each entry has a type,
+     *     which is one of 'element', 'attribute', 'uri', 'style',
+     *     'comment', 'doctype', 'processingInstruction', 'cdataSection' or
+     *     'tag'; an action of 'dropped', 'rewritten' or 'added'; the
+     *     reason, such as 'UNSAFE element', 'attribute not in ATTRIBS' or
+     *     'disallowed scheme'; and the offset in inputHtml of the tag it
+     *     came from.
+     *     Entries for attributes, URIs and style declarations also have
+     *     the tagName, the name of the attribute or CSS property, and the
+     *     value and newValue.  Elements inside a dropped element are not
+     *     reported separately.</dd>
+     * </dl>
+     *
+     * {\@updoc
+     * $ sanitize('<b onclick="evil()">hi</b><script>evil()</script>')
+     * # '<b>hi</b>'
+     * $ sanitize('<p title="a&quot;b" bogus=1>1 < 2')
+     * # '<p title="a&#34;b">1 &lt; 2</p>'
+     * $ var keep = { uriPolicy: function (uri) { return uri; } };
+     * $ sanitize('<a href="/x">1</a><a href="&#106;ava\tscript:x()">2</a>', keep)
+     * # '<a href="/x">1</a><a>2</a>'
+     * $ sanitize('<label for=q class="big red">Q</label><input id=q>',
+     * >          { nmTokenPolicy: makeNmTokenPolicy('c1-') })
+     * # '<label for="c1-q" class="c1-big c1-red">Q</label><input id="c1-q">'
+     * $ sanitize('<a href="/x" rel="author">x</a>',
+     * >          { uriPolicy: keep.uriPolicy, targetPolicy: '_blank' })
+     * # '<a href="/x" rel="author noopener noreferrer" target="_blank">x</a>'
+     * $ var report = [];
+     * $ sanitize('<p onclick="x()">hi<script>x()</script>', { report: report })
+     * # '<p>hi</p>'
+     * $ report
+     * # [{ type: 'attribute', action: 'dropped', tagName: 'p', name: 'onclick',
+     * #    value: 'x()', newValue: null, reason: 'SCRIPT attribute', offset: 0 },
+     * #  { type: 'element', action: 'dropped', name: 'script',
+     * #    reason: 'UNSAFE element', offset: 19 }]
+     * $ sanitize('<!doctype html><?php x() ?><![CDATA[1 < 2]]>',
+     * >          { doctype: true, cdataSections: true })
+     * # '<!DOCTYPE html>1 &lt; 2'
+     * $ sanitize('<svg viewbox="0 0 8 8"><circle fill="url(#g)"/></svg>',
+     * >          { uriPolicy: keep.uriPolicy,
+     * >            nmTokenPolicy: makeNmTokenPolicy('c1-') })
+     * # '<svg viewBox="0 0 8 8"><circle fill="url(&#34;#c1-g&#34;)"></circle></svg>'
+     * }
+     *
+     * @param {?string|undefined} inputHtml The HTML to sanitize.  null and
+     *     undefined give ''.
+     * @param {Object=} opt_options policies for the attribute types that are
+     *     removed by default, described above.
+     * @return {string} The sanitized HTML.
+     */
+    function sanitize(inputHtml, opt_options) {
+        var tagPolicy = makeTagPolicy(opt_options);
+        return sanitizeWithPolicy(inputHtml, tagPolicy, opt_options);
+    }
+
+    // Elements that start on a new line in htmlToText, with the number of
+    // line breaks around them.
+    var TEXT_BLOCK_BREAKS = {
+        'address': 1, 'article': 1, 'aside': 1, 'blockquote': 2, 'caption': 1,
+        'center': 1, 'dd': 1, 'details': 1, 'dialog': 1, 'dir': 1, 'div': 1,
+        'dl': 1, 'dt': 1, 'fieldset': 1, 'figcaption': 1, 'figure': 1,
+        'footer': 1, 'form': 1, 'h1': 2, 'h2': 2, 'h3': 2, 'h4': 2, 'h5': 2,
+        'h6': 2, 'header': 1, 'hgroup': 1, 'hr': 1, 'legend': 1, 'li': 1,
+        'main': 1, 'menu': 1, 'nav': 1, 'ol': 1, 'p': 2, 'pre': 2,
+        'section': 1, 'summary': 1, 'table': 1, 'tr': 1, 'ul': 1
+    };
+    // Elements whose text htmlToText leaves out.  Script and style bodies
+    // are CDATA, which it never includes.
+    var TEXT_IGNORED = { 'head': 1, 'template': 1, 'title': 1 };
+    var textSpaceRe = /[ \t\n\f\r]+/g;
+
+    /**
+     * Extracts the text of some HTML, laid out roughly as a browser would
+     * render it, for search indexing or the text part of an email.
+     *
+     * Runs of whitespace collapse to a single space except in pre, block
+     * elements such as p and div start on a new line, br breaks the line,
+     * list items get a bullet or number, images are replaced by their alt
+     * text, and links are followed by their URL in parentheses.  The content
+     * of script, style and template is dropped.
+     *
+     * The options are:<dl>
+     *   <dt>bullet</dt>
+     *   <dd>The prefix for items of unordered lists; by default '* '.</dd>
+     *   <dt>links</dt>
+     *   <dd>false to leave out link URLs.</dd>
+     *   <dt>uriPolicy, allowedSchemes</dt>
+     *   <dd>As for sanitize, checked before a link URL is shown.  Without a
+     *     uriPolicy, URLs in the allowed schemes are shown as written.</dd>
+     * </dl>
+     *
+     * {\@updoc
+     * $ htmlToText('<h1>Hi &amp;  bye</h1><p>See <a href="/x">this</a>.<br>'
+     * >            + 'Thanks<script>x()</script></p><ul><li>one<li>two</ul>')
+     * # 'Hi & bye\n\nSee this (/x).\nThanks\n\n* one\n* two'
+     * $ htmlToText('<ol><li>a</li><li>b</li></ol><pre>\n  x\n  y</pre>')
+     * # '1. a\n2. b\n\n  x\n  y'
+     * $ htmlToText('<a href="data:text/html,x">x</a> <a href="mailto:a@b">y</a>')
+     * # 'x y (mailto:a@b)'
+     * }
+     *
+     * @param {?string|undefined} htmlText null and undefined give ''.
+     * @param {Object=} opt_options described above.
+     * @return {string} the text.
+     */
+    function htmlToText(htmlText, opt_options) {
+        if (htmlText === null || htmlText === void 0) { return ''; }
+        var options = opt_options || {};
+        var bullet = options.bullet || options['bullet'];
+        if (bullet === void 0) { bullet = '* '; }
+        var showLinks = (options.links || options['links']) !== false;
+        var uriOptions = {
+            'uriPolicy': options.uriPolicy || options['uriPolicy']
+                || function (uri) { return uri; },
+            'allowedSchemes': options.allowedSchemes
+                || options['allowedSchemes']
+        };
+
+        var out = '';
+        // Line breaks and space owed before the next text.
+        var pendingBreaks = 0;
+        var pendingSpace = false;
+        var atLineStart = true;
+        var ignoring = null, ignoringDepth = 0;
+        var preDepth = 0, skipNewline = false;
+        var textBuffer = '';
+        var lists = [];
+        var links = [];
+
+        function lineBreak(n) {
+            if (out) { pendingBreaks = Math.max(pendingBreaks, n); }
+            pendingSpace = false;
+        }
+
+        function indent() {
+            var s = '';
+            for (var i = 1; i < lists.length; ++i) { s += '  '; }
+            return s;
+        }
+
+        function write(text) {
+            if (pendingBreaks) {
+                out += new Array(pendingBreaks + 1).join('\n');
+                pendingBreaks = 0;
+                atLineStart = true;
+            } else if (pendingSpace && !atLineStart) {
+                out += ' ';
+            }
+            pendingSpace = false;
+            out += text;
+            atLineStart = text.charAt(text.length - 1) === '\n';
+        }
+
+        function flushText() {
+            var text = unescapeEntities(textBuffer, { context: 'text' });
+            textBuffer = '';
+            if (preDepth) {
+                if (skipNewline) {
+                    text = text.replace(/^\r?\n/, '');
+                }
+                if (text) { write(text.replace(/\r\n?/g, '\n')); }
+                skipNewline = false;
+                return;
+            }
+            var words = text.split(textSpaceRe);
+            for (var i = 0; i < words.length; ++i) {
+                if (i > 0) { pendingSpace = true; }
+                if (words[i]) { write(words[i]); }
+            }
+        }
+
+        var handler = {
+            startTag: function (name, attribs) {
+                flushText();
+                if (ignoring) {
+                    if (name === ignoring) { ++ignoringDepth; }
+                    return;
+                }
+                if (TEXT_IGNORED.hasOwnProperty(name)) {
+                    ignoring = name;
+                    ignoringDepth = 1;
+                    return;
+                }
+                if (TEXT_BLOCK_BREAKS.hasOwnProperty(name)) {
+                    lineBreak(lists.length && name !== 'li' && name !== 'ul'
+                              && name !== 'ol' ? 1 : TEXT_BLOCK_BREAKS[name]);
+                }
+                var i;
+                switch (name) {
+                    case 'br':
+                        if (!out) { break; }
+                        write('\n');
+                        pendingBreaks = 0;
+                        break;
+                    case 'td': case 'th':
+                        if (!atLineStart && !pendingBreaks) { write('\t'); }
+                        break;
+                    case 'pre': case 'listing':
+                        ++preDepth;
+                        skipNewline = true;
+                        break;
+                    case 'ul': case 'ol': case 'menu': case 'dir':
+                        var start = 1;
+                        for (i = 0; i < attribs.length; i += 2) {
+                            if (attribs[i] === 'start'
+                                && /^\s*-?\d+\s*$/.test(attribs[i + 1])) {
+                                start = parseInt(attribs[i + 1], 10);
+                            }
+                        }
+                        lists.push({ name: name, next: start });
+                        break;
+                    case 'li':
+                        var list = lists[lists.length - 1];
+                        write(indent() + (list && list.name === 'ol'
+                                          ? list.next++ + '. ' : bullet));
+                        atLineStart = true;
+                        break;
+                    case 'img':
+                        for (i = 0; i < attribs.length; i += 2) {
+                            if (attribs[i] === 'alt' && attribs[i + 1]) {
+                                textBuffer = escapeHtmlText(attribs[i + 1]);
+                                flushText();
+                            }
+                        }
+                        break;
+                    case 'a':
+                        var href = null;
+                        for (i = 0; i < attribs.length; i += 2) {
+                            if (attribs[i] === 'href') { href = attribs[i + 1]; }
+                        }
+                        links.push({ href: href, start: out.length });
+                        break;
+                }
+            },
+            endTag: function (name) {
+                flushText();
+                if (ignoring) {
+                    if (name === ignoring && !--ignoringDepth) {
+                        ignoring = null;
                     }
-                    abuf.push(parts[p]);
+                    return;
                 }
-                // Slurp failed: lose the garbage
-                if (end <= p) { break; }
-                // Otherwise retry attribute parsing
-                buf = abuf.join('');
-                continue;
+                switch (name) {
+                    case 'pre': case 'listing':
+                        if (preDepth) { --preDepth; }
+                        break;
+                    case 'ul': case 'ol': case 'menu': case 'dir':
+                        for (var i = lists.length; --i >= 0;) {
+                            if (lists[i].name === name) {
+                                lists.length = i;
+                                break;
+                            }
+                        }
+                        break;
+                    case 'a':
+                        var link = links.pop();
+                        var href = link && link.href && normalizeUri(link.href);
+                        if (showLinks && href && href.charAt(0) !== '#') {
+                            href = safeUri(href, html4.ueffects['NOT_LOADED'],
+                                html4.ltypes['UNSANDBOXED'], {
+                                    'TYPE': 'MARKUP',
+                                    'XML_ATTR': 'href',
+                                    'XML_TAG': 'a'
+                                }, uriOptions);
+                        }
+                        if (showLinks && href && href.charAt(0) !== '#'
+                            && out.substring(link.start).replace(
+                                /^[ \n]+/, '') !== href) {
+                            pendingSpace = true;
+                            write('(' + href + ')');
+                        }
+                        break;
+                }
+                if (TEXT_BLOCK_BREAKS.hasOwnProperty(name)) {
+                    lineBreak(lists.length && name !== 'ul' && name !== 'ol'
+                              ? 1 : TEXT_BLOCK_BREAKS[name]);
+                }
+            },
+            pcdata: function (text) {
+                if (!ignoring) { textBuffer += text; }
+            },
+            rcdata: function (text) {
+                if (!ignoring) { textBuffer += text; }
+            },
+            endDoc: function () {
+                flushText();
+            }
+        };
+        makeSaxParser(handler)(htmlText);
+        return out;
+    }
+
+    // A character or reference in pcdata, which counts as one character.
+    var textCharRe =
+        /&(?:#[0-9]+|#[xX][0-9A-Fa-f]+|\w+);|[\uD800-\uDBFF][\uDC00-\uDFFF]|[\s\S]/g;
+
+    /**
+     * Cuts HTML down to a number of visible characters or words, keeping
+     * the markup well-formed.  Only text counts toward the limit, including
+     * the text of textarea and title: a character reference is one
+     * character and a run of whitespace is one space.  Tags are never split, and elements left open at the cut are
+     * closed in order.  The tags are balanced as by makeBalancingHandler, so
+     * void elements like <br> are never closed, and elements like <li> and
+     * <p> are closed where the start tags after them end them.
+     *
+     * The options are:<dl>
+     *   <dt>ellipsis</dt>
+     *   <dd>HTML to put at the cut, inside the open elements; by default
+     *     '\u2026', a horizontal ellipsis.  It is only added when some text
+     *     was cut off.</dd>
+     *   <dt>words</dt>
+     *   <dd>true to count words rather than characters.</dd>
+     * </dl>
+     *
+     * {\@updoc
+     * $ truncateHtml('<p>Hello <b>big &amp; bold</b> world</p>', 11)
+     * # '<p>Hello <b>big &amp;\u2026</b></p>'
+     * $ truncateHtml('<ul><li>one<li>two<li>three</ul>', 2,
+     * >              { words: true, ellipsis: ' ...' })
+     * # '<ul><li>one</li><li>two ...</li></ul>'
+     * $ truncateHtml('<p>short</p>', 10)
+     * # '<p>short</p>'
+     * }
+     *
+     * @param {?string|undefined} htmlText null and undefined give ''.
+     * @param {number} limit the number of characters or words to keep.
+     * @param {Object=} opt_options described above.
+     * @return {string} the truncated HTML.
+     */
+    function truncateHtml(htmlText, limit, opt_options) {
+        if (htmlText === null || htmlText === void 0) { return ''; }
+        var options = opt_options || {};
+        var ellipsis = options.ellipsis;
+        if (ellipsis === void 0) { ellipsis = options['ellipsis']; }
+        if (ellipsis === void 0 || ellipsis === null) { ellipsis = '\u2026'; }
+        var countWords = !!(options.words || options['words']);
+
+        var out = [];
+        // The innermost open element, linked to the one it is in, so that
+        // the open elements can be remembered without copying them.
+        var open = null;
+        var count = 0;
+        // Whether whitespace or a block boundary came since the last
+        // visible character.
+        var sawSpace = false;
+        // Where the output ended, and which elements were open, after the
+        // last visible character, so markup after it can be undone.
+        var textEnd = 0;
+        var textOpen = null;
+        var done = false;
+
+        function cut() {
+            out.length = textEnd;
+            out.push(ellipsis);
+            for (var element = textOpen; element; element = element.parent) {
+                out.push('<\/', element.name, '>');
+            }
+            done = true;
+        }
+
+        function text(html) {
+            textCharRe.lastIndex = 0;
+            var m, start = 0;
+            while ((m = textCharRe.exec(html))) {
+                if (/^[ \t\n\f\r]$/.test(m[0])) {
+                    sawSpace = true;
+                    continue;
+                }
+                var units = countWords
+                    ? (sawSpace || !count ? 1 : 0)
+                    : (sawSpace && count ? 2 : 1);
+                if (count + units > limit) {
+                    out.push(html.substring(start, m.index));
+                    cut();
+                    return;
+                }
+                count += units;
+                sawSpace = false;
+                out.push(html.substring(start, textCharRe.lastIndex));
+                start = textCharRe.lastIndex;
+                textEnd = out.length;
+                textOpen = open;
+            }
+            out.push(html.substring(start));
+        }
 
+        var handler = {
+            startTag: function (name, attribs) {
+                if (done) { return; }
+                if (TEXT_BLOCK_BREAKS.hasOwnProperty(name) || name === 'br') {
+                    sawSpace = true;
+                }
+                out.push('<', name);
+                for (var i = 0, n = attribs.length; i < n; i += 2) {
+                    out.push(' ', attribs[i], '="', escapeAttrib(attribs[i + 1]),
+                             '"');
+                }
+                out.push('>');
+                if (!(html4.ELEMENTS[name] & html4.eflags['EMPTY'])) {
+                    open = { name: name, parent: open };
+                }
+            },
+            endTag: function (name) {
+                if (done) { return; }
+                open = open.parent;
+                out.push('<\/', name, '>');
+                if (TEXT_BLOCK_BREAKS.hasOwnProperty(name)) { sawSpace = true; }
+            },
+            pcdata: function (html) {
+                if (!done) { text(html); }
+            },
+            rcdata: function (html) {
+                if (!done) { text(html); }
+            },
+            cdata: function (html) {
+                if (!done) { out.push(html); }
+            },
+            comment: function (comment) {
+                if (!done) { out.push('<!--', comment, '-->'); }
+            }
+        };
+        makeSaxParser(handler, { balance: true })(htmlText);
+        return out.join('');
+    }
+
+    // The namespace the parser gives an element called name inside parent,
+    // an element node, or at the top level if parent is null.  As in
+    // startTagNamespace, except that an HTML element that would break out
+    // of foreign content is given the namespace it would break out of.
+    function namespaceIn(parent, name) {
+        return namespaceInElement(parent && {
+            name: parent['name'],
+            namespace: parent['namespace'],
+            integrationPoint: isIntegrationPoint(
+                parent['namespace'], parent['name'], parent['attribs'] || [])
+        }, name);
+    }
+
+    /**
+     * Parses HTML into a tree of plain objects, without a DOM.  The tags are
+     * balanced as by makeBalancingHandler, so void elements like <br> have
+     * no children, and elements like <p> and <li> end where a browser would
+     * end them.
+     *
+     * The root is a node of type 'fragment' with the top-level nodes as its
+     * children.  The other nodes are<dl>
+     *   <dt>element</dt>
+     *   <dd>with a name, the namespace 'html', 'svg' or 'math', attribs,
+     *     which alternate names and decoded values as for a startTag
+     *     handler, and children.</dd>
+     *   <dt>text</dt>
+     *   <dd>with the value of the text, with references decoded.</dd>
+     *   <dt>comment</dt>
+     *   <dd>with the value of the comment.</dd>
+     * </dl>
+     * The text of a CDATA section is a text node.  Doctypes and processing
+     * instructions are left out.  So are elements that a browser would
+     * ignore, like a &lt;td&gt; outside a table, and an SVG or MathML
+     * element that the parser reads as one after an HTML end tag like
+     * &lt;/a&gt; has closed the &lt;svg&gt; around it, where a browser
+     * would read an HTML element, but their content is kept.
+     *
+     * {\@updoc
+     * $ parseFragment('<p class=x>1 &lt; 2<br><p>3')
+     * # { type: 'fragment', children: [
+     * #     { type: 'element', name: 'p', namespace: 'html',
+     * #       attribs: ['class', 'x'], children: [
+     * #         { type: 'text', value: '1 < 2' },
+     * #         { type: 'element', name: 'br', namespace: 'html',
+     * #           attribs: [], children: [] }] },
+     * #     { type: 'element', name: 'p', namespace: 'html', attribs: [],
+     * #       children: [{ type: 'text', value: '3' }] }] }
+     * }
+     *
+     * @param {?string|undefined} htmlText null and undefined give an empty
+     *     fragment.
+     * @return {Object} the fragment node.
+     */
+    function parseFragment(htmlText) {
+        var root = { 'type': 'fragment', 'children': [] };
+        if (htmlText === null || htmlText === void 0) { return root; }
+        // The nodes that children go in.
+        var parents = [root];
+
+        function append(node) {
+            parents[parents.length - 1]['children'].push(node);
+        }
+
+        function text(value) {
+            if (!value) { return; }
+            var children = parents[parents.length - 1]['children'];
+            var last = children[children.length - 1];
+            if (last && last['type'] === 'text') {
+                last['value'] += value;
             } else {
-                // We have an attribute
-                var aName = m[1].toLowerCase();
-                var aValue = m[2] ? decodeValue(m[3]) : '';
-                attrs.push(aName, aValue);
-                buf = buf.substr(m[0].length);
+                children.push({ 'type': 'text', 'value': value });
             }
         }
-        tag.attrs = attrs;
-        tag.next = p + 1;
-        return tag;
+
+        function decodedText(html) {
+            text(unescapeEntities(html, { context: 'text' }));
+        }
+
+        var handler = {
+            startTag: function (name, attribs, _, __, ___, position) {
+                var element = {
+                    'type': 'element',
+                    'name': name,
+                    'namespace': position['namespace'],
+                    'attribs': attribs,
+                    'children': []
+                };
+                append(element);
+                if (!(html4.ELEMENTS[elementKey(name, position)]
+                      & html4.eflags['EMPTY'])) {
+                    parents.push(element);
+                }
+            },
+            endTag: function () {
+                // Balanced end tags always end the innermost element.
+                parents.pop();
+            },
+            pcdata: decodedText,
+            rcdata: decodedText,
+            cdata: text,
+            cdataSection: text,
+            comment: function (value) {
+                append({ 'type': 'comment', 'value': value });
+            }
+        };
+        makeSaxParser(handler, { balance: true })(htmlText);
+        return root;
+    }
+
+    // The text content of an element like <script> ends at its end tag.
+    var rawTextEndRe = {};
+    // What a browser takes for the end of a comment, including '--!>' and
+    // the '>' of <!--> and <!--->.
+    var commentEndRe = /^-?>|--!?>/;
+
+    // Writes the content of a CDATA or RCDATA element, which can only be
+    // text.
+    function serializeTextContent(element, opt_options) {
+        var name = element['name'];
+        var children = element['children'] || [];
+        var text = '';
+        for (var i = 0; i < children.length; ++i) {
+            if (children[i]['type'] !== 'text') {
+                throw new Error('<' + name + '> can only contain text');
+            }
+            text += children[i]['value'];
+        }
+        if (html4.ELEMENTS[name] & html4.eflags['RCDATA']) {
+            return escapeRCData(text, opt_options);
+        }
+        if (!rawTextEndRe.hasOwnProperty(name)) {
+            rawTextEndRe[name] =
+                new RegExp('<\\/' + name + '(?:[\\s\\/>]|$)', 'i');
+        }
+        if (rawTextEndRe[name].test(text)) {
+            throw new Error('text of <' + name + '> contains its end tag');
+        }
+        return text;
+    }
+
+    /**
+     * Writes a node from parseFragment, or one built the same way, back out
+     * as HTML.  Text is escaped for the content model of the element it is
+     * in: text in an RCDATA element like <textarea> is escaped as by
+     * escapeRCData, text in a CDATA element like <script> is written as it
+     * is, and all other text as by escapeHtmlText.  Attribute values are
+     * double-quoted and escaped as by escapeDoubleQuotedAttrib.  Every
+     * element but a void one like <br> gets an end tag, and the children of
+     * a void element are left out.
+     *
+     * serialize throws rather than write a tree that would be read back
+     * with a different structure, where text could become markup: an
+     * element in a namespace other than the one the parser would give it
+     * where it is, like an SVG <title> outside <svg> or an HTML element
+     * inside it; anything but text in a CDATA or RCDATA element; text that
+     * would end the CDATA element it is in; a comment that a browser would
+     * end early, at '-->' or '--!>'; and an element or attribute name with
+     * whitespace, '/', '<', '>', '=', a quote or a NUL in it, or an element
+     * name that does not start with a letter.
+     *
+     * {\@updoc
+     * $ var tree = parseFragment('<p title="&quot;">a &amp; b<textarea>1<2');
+     * $ tree.children[0].attribs.push('id', 'x');
+     * $ serialize(tree)
+     * # '<p title="&#34;" id="x">a &amp; b<textarea>1&lt;2</textarea></p>'
+     * $ serialize(parseFragment('<style>a > b {}</style><svg><style>a > b'),
+     * >           { minimal: true })
+     * # '<style>a > b {}</style><svg><style>a > b</style></svg>'
+     * }
+     *
+     * @param {Object} node
+     * @param {Object=} opt_options as for escapeHtmlText.
+     * @return {string} the HTML.
+     */
+    // The names serialize writes, which a browser reads back as one name.
+    var serializableTagNameRe = /^[A-Za-z][^\t\n\f\r \/<>="'\0]*$/;
+    var serializableAttribNameRe = /^[^\t\n\f\r \/<>="'\0]+$/;
+
+    function serialize(node, opt_options) {
+        var out = [];
+        // The nodes still to write, each with the element it is in, or null
+        // at the top level, and the end tags between them, in reverse order.
+        // Keeping them on a stack rather than recursing lets deep trees be
+        // written.  The node given may be from anywhere in a tree, so where
+        // it is is not known.
+        var todo = [[node, void 0]];
+        while (todo.length) {
+            var item = todo.pop();
+            if (typeof item === 'string') {
+                out.push(item);
+                continue;
+            }
+            node = item[0];
+            var children = node['children'] || [];
+            var i;
+            switch (node['type']) {
+                case 'fragment':
+                    for (i = children.length; --i >= 0;) {
+                        todo.push([children[i], null]);
+                    }
+                    break;
+                case 'element':
+                    var name = node['name'];
+                    var key = elementKey(name, node);
+                    var attribs = node['attribs'] || [];
+                    if (!serializableTagNameRe.test(name)) {
+                        throw new Error('bad element name ' + name);
+                    }
+                    if (item[1] !== void 0
+                        && namespaceIn(item[1], name) !== node['namespace']) {
+                        throw new Error('<' + name + '> in ' + node['namespace']
+                                        + ' cannot be written where it is');
+                    }
+                    out.push('<', name);
+                    for (i = 0; i < attribs.length; i += 2) {
+                        if (!serializableAttribNameRe.test(attribs[i])) {
+                            throw new Error('bad attribute name ' + attribs[i]);
+                        }
+                        out.push(' ', attribs[i], '="',
+                                 escapeDoubleQuotedAttrib(attribs[i + 1],
+                                                          opt_options),
+                                 '"');
+                    }
+                    out.push('>');
+                    var eflags = html4.ELEMENTS[key];
+                    if (eflags & html4.eflags['EMPTY']) { break; }
+                    todo.push('<\/' + name + '>');
+                    if (eflags & EFLAGS_TEXT) {
+                        out.push(serializeTextContent(node, opt_options));
+                        break;
+                    }
+                    for (i = children.length; --i >= 0;) {
+                        todo.push([children[i], node]);
+                    }
+                    break;
+                case 'text':
+                    out.push(escapeHtmlText(node['value'], opt_options));
+                    break;
+                case 'comment':
+                    if (commentEndRe.test(node['value'])) {
+                        throw new Error('comment contains its end');
+                    }
+                    out.push('<!--', node['value'], '-->');
+                    break;
+                default:
+                    throw new Error('unknown node type ' + node['type']);
+            }
+        }
+        return out.join('');
     }
 
+    // As in the HTML5 tokenizer, line breaks in values become '\n' and NULs
+    // in names and values become U+FFFD.
+    var lineBreakRe = /\r\n?/g;
+    var nulRe = /\0/g;
+
     function decodeValue(v) {
         var q = v.charCodeAt(0);
         if (q === 0x22 || q === 0x27) { // " or '
             v = v.substr(1, v.length - 2);
         }
-        return unescapeEntities(stripNULs(v));
+        v = v.replace(lineBreakRe, '\n').replace(nulRe, '\uFFFD');
+        return decodeEntitiesInContext(v, true, defaultEntities());
+    }
+
+    // Only ASCII letters are lower-cased in names, so that the name of a
+    // non-ASCII attribute is what a browser sees.
+    var asciiUpperRe = /[A-Z]+/g;
+    function decodeName(name) {
+        return name.replace(asciiUpperRe, function (letters) {
+            return letters.toLowerCase();
+        }).replace(nulRe, '\uFFFD');
     }
 
     // Export both quoted and unquoted names for Closure linkage.
     var html = {};
+    html.elementKey = html['elementKey'] = elementKey;
+    html.escapeAttrib = html['escapeAttrib'] = escapeAttrib;
+    html.escapeDoubleQuotedAttrib = html['escapeDoubleQuotedAttrib'] =
+        escapeDoubleQuotedAttrib;
+    html.escapeHtmlText = html['escapeHtmlText'] = escapeHtmlText;
+    html.escapeRCData = html['escapeRCData'] = escapeRCData;
+    html.escapeSingleQuotedAttrib = html['escapeSingleQuotedAttrib'] =
+        escapeSingleQuotedAttrib;
+    html.escapeUnquotedAttrib = html['escapeUnquotedAttrib'] =
+        escapeUnquotedAttrib;
+    html.htmlToText = html['htmlToText'] = htmlToText;
+    html.lookupEntity = html['lookupEntity'] = lookupEntity;
+    html.makeEntityProfile = html['makeEntityProfile'] = makeEntityProfile;
+    html.makeHtmlSanitizer = html['makeHtmlSanitizer'] = makeHtmlSanitizer;
+    html.makeAsyncSaxParser = html['makeAsyncSaxParser'] = makeAsyncSaxParser;
+    html.makeIncrementalSaxParser = html['makeIncrementalSaxParser'] =
+        makeIncrementalSaxParser;
+    html.makeIncrementalUnescaper = html['makeIncrementalUnescaper'] =
+        makeIncrementalUnescaper;
+    html.makeNmTokenPolicy = html['makeNmTokenPolicy'] = makeNmTokenPolicy;
+    html.makeSaxParser = html['makeSaxParser'] = makeSaxParser;
+    html.makeTagPolicy = html['makeTagPolicy'] = makeTagPolicy;
+    html.normalizeRCData = html['normalizeRCData'] = normalizeRCData;
+    html.parseFragment = html['parseFragment'] = parseFragment;
+    html.sanitize = html['sanitize'] = sanitize;
+    html.sanitizeAttribs = html['sanitizeAttribs'] = sanitizeAttribs;
+    html.sanitizeWithPolicy = html['sanitizeWithPolicy'] = sanitizeWithPolicy;
+    html.serialize = html['serialize'] = serialize;
+    html.setDefaultEntities = html['setDefaultEntities'] = setDefaultEntities;
+    html.truncateHtml = html['truncateHtml'] = truncateHtml;
     html.unescapeEntities = html['unescapeEntities'] = unescapeEntities;
     return html;
-})(html4);
+})(html4, function () { return require("./lib/entities.js"); },
+   cssparser.parseCssDeclarations, sanitizecss.sanitizeCssProperty);
+
+// The package itself is unescapeEntities, for compatibility with existing
+// callers.  The rest of the html namespace hangs off it.
+module.exports = html.unescapeEntities;
+module.exports.elementKey = html.elementKey;
+module.exports.escapeAttrib = html.escapeAttrib;
+module.exports.escapeDoubleQuotedAttrib = html.escapeDoubleQuotedAttrib;
+module.exports.escapeHtmlText = html.escapeHtmlText;
+module.exports.escapeRCData = html.escapeRCData;
+module.exports.escapeSingleQuotedAttrib = html.escapeSingleQuotedAttrib;
+module.exports.escapeUnquotedAttrib = html.escapeUnquotedAttrib;
+module.exports.htmlToText = html.htmlToText;
+module.exports.lookupEntity = html.lookupEntity;
+module.exports.makeEntityProfile = html.makeEntityProfile;
+module.exports.makeHtmlSanitizer = html.makeHtmlSanitizer;
+module.exports.makeAsyncSaxParser = html.makeAsyncSaxParser;
+module.exports.makeIncrementalSaxParser = html.makeIncrementalSaxParser;
+module.exports.makeIncrementalUnescaper = html.makeIncrementalUnescaper;
+module.exports.makeNmTokenPolicy = html.makeNmTokenPolicy;
+module.exports.makeSaxParser = html.makeSaxParser;
+module.exports.makeTagPolicy = html.makeTagPolicy;
+module.exports.normalizeRCData = html.normalizeRCData;
+module.exports.parseFragment = html.parseFragment;
+module.exports.sanitize = html.sanitize;
+module.exports.sanitizeAttribs = html.sanitizeAttribs;
+module.exports.sanitizeWithPolicy = html.sanitizeWithPolicy;
+module.exports.serialize = html.serialize;
+module.exports.setDefaultEntities = html.setDefaultEntities;
+module.exports.truncateHtml = html.truncateHtml;
 
-module.exports = html.unescapeEntities
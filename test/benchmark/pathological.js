@@ -0,0 +1,198 @@
+/**
+ * @fileoverview
+ * Inputs that are slow for parsers that rescan, and a runner that checks
+ * that parsing them takes time linear in their length.
+ *
+ * Each input is parsed at a base size and at SCALE times that size, by
+ * sanitize, by makeSaxParser with the balance option, and by
+ * makeIncrementalSaxParser fed in small chunks.  Linear time makes the
+ * larger parse about SCALE times slower; quadratic time would make it
+ * SCALE * SCALE times slower.  A case fails if the ratio is more than
+ * MAX_RATIO.
+ *
+ * Usage: node test/benchmark/pathological.js [substring of a case name]
+ */
+
+var html = require('../../sanitizer.js');
+
+var SCALE = 8;
+var MAX_RATIO = SCALE * 3;
+var BASE_LENGTH = 100000;
+var RUNS = 3;
+
+function repeat(s, n) {
+    return new Array(n + 1).join(s);
+}
+
+// Each case builds its input from n copies of something slow.
+var CASES = [
+    ['ampersands in script', function (n) {
+        return '<script>' + repeat(' && ', n) + '<\/script>';
+    }],
+    ['quoted ">" in attribute', function (n) {
+        return '<p title=\'' + repeat('>', n) + '\'><\/p>';
+    }],
+    ['"<p" without ">"', function (n) {
+        return repeat('<p', n);
+    }],
+    ['"<p" with a final ">"', function (n) {
+        return repeat('<p', n) + '>';
+    }],
+    ['empty elements', function (n) {
+        return repeat('<a><\/a>', n);
+    }],
+    ['unterminated quote', function (n) {
+        return '<a b="' + repeat('x>', n);
+    }],
+    ['unterminated quotes in many tags', function (n) {
+        return repeat('<a b="x>', n);
+    }],
+    ['quotes closed after ">"', function (n) {
+        return '<a ' + repeat('b=" >" ', n) + '>';
+    }],
+    ['unclosed comments', function (n) {
+        return repeat('<!--', n);
+    }],
+    ['unclosed declarations', function (n) {
+        return repeat('<!x', n);
+    }],
+    ['unclosed processing instructions', function (n) {
+        return repeat('<?', n);
+    }],
+    ['unclosed CDATA sections', function (n) {
+        return repeat('<![CDATA[>', n);
+    }],
+    ['unclosed bogus comments', function (n) {
+        return repeat('<\/ x', n);
+    }],
+    ['spaces after attribute name', function (n) {
+        return '<a b' + repeat(' ', n) + '>';
+    }],
+    ['garbage between attributes', function (n) {
+        return '<a ' + repeat('= ', n) + '>';
+    }],
+    ['many attributes', function (n) {
+        return '<a ' + repeat('x=y ', n) + '>';
+    }],
+    ['distinct attributes', function (n) {
+        var attrs = [];
+        for (var i = 0; i < n; ++i) { attrs.push('a' + i + '=' + i); }
+        return '<a ' + attrs.join(' ') + '>';
+    }],
+    ['slashes between attributes', function (n) {
+        return '<a' + repeat('/b', n) + '>';
+    }],
+    ['quotes in unquoted values', function (n) {
+        return '<a ' + repeat('b=x"\'= ', n) + '>';
+    }],
+    ['unclosed scripts', function (n) {
+        return repeat('<script>', n);
+    }],
+    ['almost end tags in textarea', function (n) {
+        return '<textarea>' + repeat('<\/textare', n);
+    }],
+    ['end tags with unterminated quotes', function (n) {
+        return repeat('<\/a x="', n);
+    }],
+    ['bare ampersands', function (n) {
+        return repeat('&', n);
+    }],
+    ['entity-like text', function (n) {
+        return repeat('&amp', n);
+    }],
+    ['deep nesting', function (n) {
+        return repeat('<div>', n) + repeat('<\/div>', n);
+    }],
+    ['end tags for unopened elements', function (n) {
+        return repeat('<div>', n) + repeat('<\/span>', n);
+    }],
+    ['optional end tags blocked by div', function (n) {
+        return '<p><div>' + repeat('<li>', n) + repeat('<\/p>', n);
+    }],
+    ['list items inside many ordinary elements', function (n) {
+        return '<ul><li>' + repeat('<span>', n) + repeat('<li><\/li>', n);
+    }],
+    ['formatting elements opened again', function (n) {
+        return '<div>' + repeat('<b>', n) + '<\/div>' + repeat('<p>x<\/p>', n);
+    }],
+    ['long formatting element opened again', function (n) {
+        return '<div><b title="' + repeat('x', n) + '"><\/div>'
+            + repeat('<p>x<\/p>', n);
+    }],
+    ['end tags for closed formatting elements', function (n) {
+        return '<div>' + repeat('<b>', n) + '<\/div>' + repeat('<\/b>', n);
+    }],
+    ['end tags for unopened SVG elements', function (n) {
+        return '<svg>' + repeat('<g>', n) + repeat('<\/x>', n);
+    }],
+    ['SVG end tags across an integration point', function (n) {
+        return '<svg>' + repeat('<g>', n) + '<desc>' + repeat('<\/g>', n);
+    }]
+];
+
+function now() {
+    var t = process.hrtime();
+    return t[0] * 1e3 + t[1] / 1e6;
+}
+
+var noop = function () {};
+var handler = {
+    startTag: noop, endTag: noop, pcdata: noop, rcdata: noop, cdata: noop,
+    comment: noop, warning: noop
+};
+
+var MODES = [
+    ['sanitize', function (input) {
+        html.sanitize(input);
+    }],
+    ['sax', function (input) {
+        html.makeSaxParser(handler, { balance: true })(input);
+    }],
+    ['incremental', function (input) {
+        var parser = html.makeIncrementalSaxParser(handler, null);
+        for (var i = 0; i < input.length; i += 16) {
+            parser.write(input.substring(i, i + 16));
+        }
+        parser.end();
+    }]
+];
+
+// The fastest of RUNS parses of input, in milliseconds.
+function time(parse, input) {
+    var best = Infinity;
+    for (var i = 0; i < RUNS; ++i) {
+        var start = now();
+        parse(input);
+        best = Math.min(best, now() - start);
+    }
+    return best;
+}
+
+function main(filter) {
+    var failures = 0;
+    CASES.forEach(function (c) {
+        var name = c[0], make = c[1];
+        if (filter && name.indexOf(filter) < 0) { return; }
+        // Size the input by its length, whatever the unit repeated.
+        var n = Math.ceil(BASE_LENGTH / make(100).length * 100);
+        var small = make(n), large = make(n * SCALE);
+        MODES.forEach(function (mode) {
+            var t1 = time(mode[1], small);
+            var t2 = time(mode[1], large);
+            // Below a millisecond, timer noise swamps the ratio.
+            var ratio = t2 / Math.max(t1, 1);
+            var ok = ratio <= MAX_RATIO;
+            if (!ok) { ++failures; }
+            console.log((ok ? 'ok   ' : 'SLOW ') + name + ' (' + mode[0] + '): '
+                        + t1.toFixed(1) + 'ms for ' + small.length + ' chars, '
+                        + t2.toFixed(1) + 'ms for ' + large.length
+                        + ', ratio ' + ratio.toFixed(1));
+        });
+    });
+    if (failures) {
+        console.log(failures + ' case(s) grew faster than linearly');
+        process.exit(1);
+    }
+}
+
+main(process.argv[2]);
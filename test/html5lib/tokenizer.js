@@ -0,0 +1,496 @@
+/**
+ * @fileoverview
+ * Runs the tokenizer tests in test/html5lib/tokenizer against
+ * makeSaxParser, and reports the states of the HTML5 tokenizer in which
+ * the parser diverges from the spec.
+ *
+ * The .test files are those of the html5lib-tests project
+ * (https://github.com/html5lib/html5lib-tests/tree/master/tokenizer), as
+ * they are in version 1.0.5 of the html5 package, with its LICENSE,
+ * AUTHORS and README; see the README there for the format.  Each test has an input, the tokens the spec makes of it, and
+ * optionally the states to start in.  Parse errors are not checked, and
+ * neither is the self-closing flag of start tags, which the parser does
+ * not report.
+ *
+ * Events become tokens like this: startTag and endTag are StartTag and
+ * EndTag, comment is Comment, doctype is DOCTYPE, and pcdata, rcdata and
+ * cdata are Character, with pcdata and rcdata decoded as text.  The spec
+ * has no tokens for processing instructions and CDATA sections in HTML,
+ * which it reads as bogus comments, so they become ProcessingInstruction
+ * and CDATASection tokens.  The correctness flag of a DOCTYPE is not
+ * checked.  To start in the RCDATA, RAWTEXT
+ * or script data state, the input is parsed after a start tag for the
+ * test's lastStartTag, which is given that content model in
+ * html4.ELEMENTS while the test runs.
+ *
+ * A known divergence is a test listed in KNOWN_DIVERGENCES, by file and
+ * description, with the state it happens in, or one of the differences
+ * that KNOWN_RULES describe, which the parser makes on purpose.  The
+ * runner fails if any other test diverges, if a listed one no longer does
+ * or is not in the file, if a rule covers more or fewer tests than it
+ * says, if a file has no tests, or if html4.ELEMENTS is not as it was.
+ *
+ * Usage: node test/html5lib/tokenizer.js [substring of a description]
+ */
+
+var fs = require('fs');
+var path = require('path');
+var html = require('../../sanitizer.js');
+// The module is unescapeEntities, with the rest of the API on it.
+var unescapeEntities = html;
+var html4 = require('../../lib/html4.js');
+
+var FIXTURES = path.join(__dirname, 'tokenizer');
+
+// The content model that puts the tokenizer in each initial state.
+var CONTENT_MODELS = {
+    'Data state': 0,
+    'RCDATA state': html4.eflags['RCDATA'],
+    'RAWTEXT state': html4.eflags['CDATA'],
+    'Script data state': html4.eflags['CDATA']
+};
+
+// Stands in for lastStartTag when a test has none, so no end tag matches.
+var NO_END_TAG = 'no-end-tag';
+
+// The parser does not preprocess the input stream: CRs and lone
+// surrogates are passed on as they are.
+var PREPROCESSING = 'input stream preprocessing';
+
+var KNOWN_DIVERGENCES = {
+    'contentModelFlags.test': {
+        // An end tag cut off by the end of the input is dropped.
+        'End tag closing RCDATA or RAWTEXT (ending with EOF)':
+            'RCDATA end tag name state',
+        'End tag not closing RCDATA or RAWTEXT (ending with left-angle-bracket)':
+            'RCDATA end tag name state'
+    },
+    'domjs.test': {
+        // NULs are passed on rather than replaced.
+        'NUL in RCDATA and RAWTEXT': 'RCDATA state',
+        '--!NUL in comment ': 'comment end bang state'
+    },
+    'escapeFlag.test': {
+        'End tag surrounded by bogus comment in RCDATA or RAWTEXT':
+            'comment start state'
+    },
+    'test1.test': {
+        // A comment closed right after it opens is text.
+        'Short comment': 'comment start state',
+        'Short comment two': 'comment start dash state'
+    },
+    'test2.test': {
+        'StartTag containing <': 'tag name state',
+        'Illegal end tag name': 'end tag open state'
+    },
+    'test3.test': {
+        // A tag name may start with a digit or '-', and only letters,
+        // digits, '-' and ':' are read as part of one.
+        '<!-->': 'comment start state',
+        '<!--->': 'comment start dash state',
+        '<!----!>': 'comment end bang state',
+        '<-': 'tag open state',
+        '<0': 'tag open state',
+        '<1': 'tag open state',
+        '<9': 'tag open state',
+        '</-': 'end tag open state',
+        '</0': 'end tag open state',
+        '</1': 'end tag open state',
+        '</9': 'end tag open state',
+        '<a\\u0000>': 'tag name state',
+        '<a\\u0008>': 'tag name state',
+        '<a\\u000B>': 'tag name state',
+        '<a\\u001F>': 'tag name state',
+        '<a!>': 'tag name state',
+        '<a">': 'tag name state',
+        '<a&>': 'tag name state',
+        '<a\'>': 'tag name state',
+        '<a.>': 'tag name state',
+        '<a<>': 'tag name state',
+        '<a=>': 'tag name state',
+        '<a?>': 'tag name state',
+        '<a@>': 'tag name state',
+        '<a[>': 'tag name state',
+        '<a`>': 'tag name state',
+        '<a{>': 'tag name state',
+        '<a\\uDBC0\\uDC00>': 'tag name state'
+    },
+    'test4.test': {
+        'Tag/attribute name case edge values': 'tag name state',
+        'CR followed by non-LF': PREPROCESSING,
+        'CR at EOF': PREPROCESSING,
+        'CR LF': PREPROCESSING,
+        'CR CR': PREPROCESSING,
+        'LF CR': PREPROCESSING,
+        'text CR CR CR text': PREPROCESSING
+    },
+    'unicodeCharsProblematic.test': {
+        'Invalid Unicode character U+DFFF': PREPROCESSING,
+        'Invalid Unicode character U+D800': PREPROCESSING,
+        'Invalid Unicode character U+DFFF with valid preceding character':
+            PREPROCESSING,
+        'Invalid Unicode character U+D800 with valid following character':
+            PREPROCESSING,
+        'CR followed by U+0000': PREPROCESSING
+    },
+    'xmlViolation.test': {
+        // These are for a tokenizer whose output must be XML, which the
+        // parser's need not be.
+        'Non-XML character': 'coercion to XML',
+        'Non-XML space': 'coercion to XML',
+        'Double hyphen in comment': 'coercion to XML'
+    }
+};
+
+// The tokens before the last one, as a string to compare.
+function allButLast(tokens) {
+    return JSON.stringify(tokens.slice(0, -1));
+}
+
+// What the spec makes of the characters of markup when nothing follows.
+function preprocess(s) {
+    return s.replace(/\r\n?/g, '\n').replace(/\0/g, '�');
+}
+
+// The token that the spec emits for markup that the input ends inside:
+// a comment, a bogus comment or a doctype, with nothing in it that would
+// have ended it.  Null for other markup.  Only the name of a doctype is
+// given, since its ids are not looked at.
+function tokenAtEndOfInput(markup) {
+    if (/^<!--/.test(markup)) {
+        var data = markup.substring(4);
+        if (/^-?>|--!?>/.test(data)) { return null; }
+        // The comment end, comment end dash and comment end bang states
+        // drop the dashes and '!' that could have ended it.
+        return ['Comment', preprocess(data.replace(/--!$|--$|-$/, ''))];
+    }
+    if (markup.indexOf('>') >= 0) { return null; }
+    if (/^<!doctype/i.test(markup)) {
+        var name = /^[\t\n\f\r ]*([^\t\n\f\r ]*)/.exec(markup.substring(9))[1];
+        return ['DOCTYPE', name ? preprocess(name).replace(
+            /[A-Z]+/g, function (s) { return s.toLowerCase(); }) : null];
+    }
+    if (/^<!/.test(markup) || /^<\/[^A-Za-z]/.test(markup)) {
+        return ['Comment', preprocess(markup.substring(2))];
+    }
+    if (/^<\?/.test(markup)) {
+        return ['Comment', preprocess(markup.substring(1))];
+    }
+    return null;
+}
+
+// A rule for markup that the input ends inside.  The parser makes it
+// text, with a warning, rather than hiding the rest of a document that
+// was cut off.  The rule covers a test whose last token is the one the
+// spec emits for such markup in one of types, and for which the parser
+// gives the same tokens, with the markup as text in place of the last.
+function endOfInputRule(state, types, count) {
+    return {
+        state: state,
+        count: count,
+        test: function (input, expected, actual) {
+            var e = expected[expected.length - 1] || [];
+            if (!types.hasOwnProperty(e[0])) { return false; }
+            for (var at = input.indexOf('<'); at >= 0;
+                 at = input.indexOf('<', at + 1)) {
+                var markup = input.substring(at);
+                var token = tokenAtEndOfInput(markup);
+                if (!token || token[0] !== e[0] || token[1] !== e[1]
+                    || !types[e[0]].test(markup)) {
+                    continue;
+                }
+                var text = ['Character', unescapeEntities(
+                    markup, { context: 'text' })];
+                var cutOff = normalize(expected.slice(0, -1).concat([text]));
+                if (JSON.stringify(cutOff) === JSON.stringify(actual)) {
+                    return true;
+                }
+            }
+            return false;
+        }
+    };
+}
+
+// Differences the parser makes on purpose, each with a test of whether
+// expected and actual tokens differ by it, and the number of tests that
+// it covers, so that no other test is taken for one.
+var KNOWN_RULES = [
+    {
+        // Processing instructions and CDATA sections have events of their
+        // own, as in XHTML, where the spec reads them as bogus comments.
+        state: 'bogus comment state',
+        count: 3,
+        test: function (input, expected, actual) {
+            var e = expected[expected.length - 1] || [];
+            var a = actual[actual.length - 1] || [];
+            return allButLast(expected) === allButLast(actual)
+                && e[0] === 'Comment'
+                && (a[0] === 'ProcessingInstruction'
+                    && e[1] === '?' + a[1] + (a[2] ? ' ' + a[2] : '')
+                    || a[0] === 'CDATASection'
+                    && e[1] === '[CDATA[' + a[1]);
+        }
+    },
+    endOfInputRule('comment states at the end of the input',
+                   { 'Comment': /^<!--/ }, 173),
+    endOfInputRule('bogus comment state at the end of the input',
+                   { 'Comment': /^<(?:![^-]|!-(?!-)|!$|\?|\/)/ }, 88),
+    endOfInputRule('DOCTYPE states at the end of the input',
+                   { 'DOCTYPE': /^<!doctype/i }, 799)
+];
+
+// The state of a known divergence between expected and actual, or null.
+function knownDivergence(file, description, input, expected, actual) {
+    var known = KNOWN_DIVERGENCES[file];
+    if (known && known.hasOwnProperty(description)) {
+        return known[description];
+    }
+    for (var i = 0; i < KNOWN_RULES.length; ++i) {
+        if (KNOWN_RULES[i].test(input, expected, actual)) {
+            KNOWN_RULES[i].seen = (KNOWN_RULES[i].seen || 0) + 1;
+            return KNOWN_RULES[i].state;
+        }
+    }
+    return null;
+}
+
+function unescapeDoubleEscaped(s) {
+    return s.replace(/\\u([0-9A-Fa-f]{4})/g, function (_, hex) {
+        return String.fromCharCode(parseInt(hex, 16));
+    });
+}
+
+// Unescapes the strings in a token of a doubleEscaped test, including the
+// names and values of attributes.
+function unescapeToken(value) {
+    if (typeof value === 'string') { return unescapeDoubleEscaped(value); }
+    if (!value || typeof value !== 'object') { return value; }
+    if (Array.isArray(value)) { return value.map(unescapeToken); }
+    var out = {};
+    Object.keys(value).forEach(function (name) {
+        out[unescapeDoubleEscaped(name)] = unescapeToken(value[name]);
+    });
+    return out;
+}
+
+// Merges runs of Character tokens, drops empty ones, the ParseError tokens
+// of older tests, the self-closing flag and the correctness flag of a
+// DOCTYPE, and sorts attributes by name.
+function normalize(tokens, doubleEscaped) {
+    var out = [];
+    tokens.forEach(function (token) {
+        if (token === 'ParseError') { return; }
+        token = doubleEscaped ? unescapeToken(token)
+            : JSON.parse(JSON.stringify(token));
+        var last = out[out.length - 1];
+        if (token[0] === 'Character' && !token[1]) { return; }
+        if (token[0] === 'Character' && last && last[0] === 'Character') {
+            last[1] += token[1];
+            return;
+        }
+        if (token[0] === 'DOCTYPE') {
+            token = token.slice(0, 4);
+        }
+        if (token[0] === 'StartTag') {
+            var attrs = {};
+            Object.keys(token[2] || {}).sort().forEach(function (name) {
+                attrs[name] = token[2][name];
+            });
+            token = ['StartTag', token[1], attrs];
+        }
+        out.push(token);
+    });
+    return out;
+}
+
+function tokenize(input, initialState, lastStartTag) {
+    var tokens = [];
+    function text(s) { tokens.push(['Character', s]); }
+    function decoded(s) {
+        text(unescapeEntities(s, { context: 'text' }));
+    }
+    var parse = html.makeSaxParser({
+        startTag: function (name, attribs) {
+            var attrs = {};
+            for (var i = 0; i < attribs.length; i += 2) {
+                attrs[attribs[i]] = attribs[i + 1];
+            }
+            tokens.push(['StartTag', name, attrs]);
+        },
+        endTag: function (name) { tokens.push(['EndTag', name]); },
+        pcdata: decoded,
+        rcdata: decoded,
+        cdata: text,
+        comment: function (s) { tokens.push(['Comment', s]); },
+        doctype: function (name, publicId, systemId) {
+            tokens.push(['DOCTYPE', name, publicId, systemId]);
+        },
+        processingInstruction: function (target, data) {
+            tokens.push(['ProcessingInstruction', target, data]);
+        },
+        cdataSection: function (s) { tokens.push(['CDATASection', s]); }
+    });
+    if (initialState === 'Data state') {
+        parse(input);
+        return tokens;
+    }
+    var name = lastStartTag || NO_END_TAG;
+    var hadFlags = html4.ELEMENTS.hasOwnProperty(name);
+    var flags = html4.ELEMENTS[name];
+    html4.ELEMENTS[name] = CONTENT_MODELS[initialState];
+    try {
+        parse('<' + name + '>' + input);
+    } finally {
+        if (hadFlags) {
+            html4.ELEMENTS[name] = flags;
+        } else {
+            delete html4.ELEMENTS[name];
+        }
+    }
+    return tokens.slice(1);
+}
+
+// Guesses the state a divergence happens in from the first token that
+// differs.
+function guessState(input, initialState, expected, actual) {
+    var i = 0;
+    while (i < expected.length
+           && JSON.stringify(expected[i]) === JSON.stringify(actual[i])) {
+        ++i;
+    }
+    var e = expected[i] || [], a = actual[i] || [];
+    var types = e[0] + ' ' + a[0];
+    if (/DOCTYPE/.test(types)) { return 'DOCTYPE states'; }
+    if (/Comment/.test(types)) { return 'comment states'; }
+    if (e[0] === 'StartTag' && a[0] === 'StartTag' && e[1] === a[1]) {
+        return 'attribute states';
+    }
+    if (/Tag/.test(types)) { return 'tag open and tag name states'; }
+    if (initialState === 'Data state' && input.indexOf('&') >= 0) {
+        return 'character reference state';
+    }
+    return initialState;
+}
+
+// A copy of html4.ELEMENTS, to check that the tests leave it as it was.
+function snapshotElements() {
+    var copy = {};
+    Object.keys(html4.ELEMENTS).forEach(function (name) {
+        copy[name] = html4.ELEMENTS[name];
+    });
+    return copy;
+}
+
+function main(filter) {
+    var failures = 0;
+    var diverging = {};
+    var skipped = {};
+    // The listed divergences that a test was found for, by file.
+    var listed = {};
+    var elements = snapshotElements();
+    fs.readdirSync(FIXTURES).sort().forEach(function (file) {
+        if (!/\.test$/.test(file)) { return; }
+        // xmlViolation.test keeps its tests under xmlViolationTests.
+        var fixture = JSON.parse(
+            fs.readFileSync(path.join(FIXTURES, file), 'utf8'));
+        var tests = fixture['tests'] || fixture['xmlViolationTests'];
+        if (!tests || !tests.length) {
+            ++failures;
+            console.log('NO TESTS in ' + file);
+            return;
+        }
+        var passed = 0, known = 0;
+        tests.forEach(function (test) {
+            var description = test['description'];
+            if (filter && description.indexOf(filter) < 0) { return; }
+            var input = test['doubleEscaped']
+                ? unescapeDoubleEscaped(test['input']) : test['input'];
+            var expected = normalize(test['output'], test['doubleEscaped']);
+            (test['initialStates'] || ['Data state']).forEach(function (s) {
+                if (!CONTENT_MODELS.hasOwnProperty(s)) {
+                    skipped[s] = (skipped[s] || 0) + 1;
+                    return;
+                }
+                var actual = normalize(
+                    tokenize(input, s, test['lastStartTag']));
+                var ok = JSON.stringify(actual) === JSON.stringify(expected);
+                var knownState = knownDivergence(file, description, input,
+                                                 expected, actual);
+                var name = file + ': ' + description + ' (' + s + ')';
+                if (KNOWN_DIVERGENCES.hasOwnProperty(file)
+                    && KNOWN_DIVERGENCES[file].hasOwnProperty(description)) {
+                    listed[file + ': ' + description] = true;
+                }
+                if (ok && knownState) {
+                    ++failures;
+                    console.log('PASSES ' + name
+                                + ' is listed as a known divergence');
+                } else if (ok) {
+                    ++passed;
+                } else {
+                    var state = knownState
+                        || guessState(input, s, expected, actual);
+                    diverging[state] = (diverging[state] || 0) + 1;
+                    if (knownState) {
+                        ++known;
+                    } else {
+                        ++failures;
+                        console.log('DIVERGES ' + name + ' in the ' + state);
+                        console.log('    input:    ' + JSON.stringify(input));
+                        console.log('    expected: '
+                                    + JSON.stringify(expected));
+                        console.log('    actual:   ' + JSON.stringify(actual));
+                    }
+                }
+            });
+        });
+        console.log(file + ': ' + passed + ' passed'
+                    + (known ? ', ' + known + ' known divergences' : ''));
+    });
+    if (!filter) {
+        Object.keys(KNOWN_DIVERGENCES).forEach(function (file) {
+            Object.keys(KNOWN_DIVERGENCES[file]).forEach(function (d) {
+                if (!listed[file + ': ' + d]) {
+                    ++failures;
+                    console.log('MISSING ' + file + ': ' + d
+                                + ' is listed as a known divergence');
+                }
+            });
+        });
+    }
+    if (!filter) {
+        KNOWN_RULES.forEach(function (rule) {
+            if ((rule.seen || 0) !== rule.count) {
+                ++failures;
+                console.log('The rule for the ' + rule.state + ' covers '
+                            + (rule.seen || 0) + ' test(s), not '
+                            + rule.count);
+            }
+        });
+    }
+    var changed = Object.keys(snapshotElements()).concat(
+        Object.keys(elements)).filter(function (name) {
+            return html4.ELEMENTS[name] !== elements[name];
+        });
+    if (changed.length) {
+        ++failures;
+        console.log('html4.ELEMENTS changed for ' + changed.join(', '));
+    }
+    Object.keys(skipped).forEach(function (s) {
+        console.log('Skipped ' + skipped[s] + ' test(s) in the ' + s
+                    + ', which the parser does not have');
+    });
+    var states = Object.keys(diverging).sort();
+    if (states.length) {
+        console.log('Diverging states:');
+        states.forEach(function (s) {
+            console.log('    ' + s + ': ' + diverging[s] + ' test(s)');
+        });
+    }
+    if (failures) {
+        console.log(failures + ' unexpected result(s)');
+        process.exit(1);
+    }
+}
+
+main(process.argv[2]);
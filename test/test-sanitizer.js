@@ -1 +1,2205 @@
-// Nothing to see here. unescapeEntities wasn't tested in the original repo
+// Behaviour tests for the public API, one section per feature.
+// Run with `npm test` or `node test/test-sanitizer.js`.
+
+var assert = require('assert');
+var html = require('../sanitizer.js');
+var stream = require('../lib/stream.js');
+
+var tests = [];
+
+// Registers a test.  A test that returns a promise passes when it resolves.
+function test(name, fn) {
+    tests.push({ name: name, fn: fn });
+}
+
+function uriPolicy(uri) { return uri; }
+
+// Joins text events that follow each other, since text may be reported in
+// several parts.
+function mergeText(events) {
+    var merged = [];
+    events.forEach(function (e) {
+        var last = merged[merged.length - 1];
+        if (last && last[0] === e[0] && /data$/.test(e[0])) {
+            last[1] += e[1];
+        } else {
+            merged.push(e.slice());
+        }
+    });
+    return merged;
+}
+
+// Collects parser events as arrays like ['startTag', 'p'].
+function events(input, opt_options) {
+    var out = [];
+    html.makeSaxParser({
+        startTag: function (name, attribs, out) {
+            out.push(['startTag', name].concat(attribs));
+        },
+        endTag: function (name, out) { out.push(['endTag', name]); },
+        pcdata: function (text, out) { out.push(['pcdata', text]); },
+        rcdata: function (text, out) { out.push(['rcdata', text]); },
+        cdata: function (text, out) { out.push(['cdata', text]); },
+        comment: function (text, out) { out.push(['comment', text]); }
+    }, opt_options)(input, out);
+    return mergeText(out);
+}
+
+// unescapeEntities
+
+test('decodes named, numeric and hex references', function () {
+    assert.strictEqual(html('&amp;&lt;&copy;&#65;&#x1F600;'),
+                       '&<©A😀');
+    assert.strictEqual(html.lookupEntity('amp'), '&');
+    assert.strictEqual(html.lookupEntity('NotNestedGreaterGreater'),
+                       '⪢̸');
+});
+
+test('knows every HTML5 name, case-sensitively', function () {
+    assert.strictEqual(html('&pi;&hellip;&rarr;&nbsp;&AElig;&zwnj;&Pi;'),
+                       'π…→\u00a0Æ\u200cΠ');
+    assert.strictEqual(html('&AMP;&LT;&GT;&QUOT;&COPY;'), '&<>"©');
+    assert.strictEqual(html.lookupEntity('Amp'), '&Amp;');
+    assert.strictEqual(html.lookupEntity('PI'), '&PI;');
+});
+
+test('decodes the names that stand for two code points', function () {
+    assert.strictEqual(html('&fjlig;'), 'fj');
+    assert.strictEqual(html('&ThickSpace;'), '\u205f\u200a');
+    assert.strictEqual(html('&nvlt;&acE;'), '<\u20d2\u223e\u0333');
+    assert.strictEqual(html.lookupEntity('bne'), '=\u20e5');
+});
+
+test('leaves unknown names and empty input alone', function () {
+    assert.strictEqual(html('&bogus; &; &amp;;'), '&bogus; &; &;');
+    assert.strictEqual(
+        html('&hasOwnProperty; &constructor; &__proto__; &toString;'),
+        '&hasOwnProperty; &constructor; &__proto__; &toString;');
+    assert.strictEqual(html.lookupEntity('bogus'), '&bogus;');
+    assert.strictEqual(html.lookupEntity('__proto__'), '&__proto__;');
+    assert.strictEqual(html(''), '');
+    assert.strictEqual(html(null), null);
+    assert.strictEqual(html(void 0), void 0);
+});
+
+test('decodes numeric references as the HTML5 tokenizer does', function () {
+    assert.strictEqual(html('&#0;&#xD800;&#x110000;'), '���');
+    assert.strictEqual(html('&#x80;&#x9F;'), '€Ÿ');
+});
+
+test('decodes astral code points as surrogate pairs', function () {
+    assert.strictEqual(html('&#x1F600;'), '\ud83d\ude00');
+    assert.strictEqual(html('&#128512;&#X1f600;'), '😀😀');
+    assert.strictEqual(html('&#x10FFFF;'), '\udbff\udfff');
+    assert.strictEqual(html('&#0000065;&#x0041;'), 'AA');
+});
+
+test('replaces references that are not Unicode scalar values', function () {
+    assert.strictEqual(html('&#xD83D;&#xDE00;'), '\ufffd\ufffd');
+    assert.strictEqual(html('&#xDFFF;&#x0;&#1114112;'), '\ufffd\ufffd\ufffd');
+    assert.strictEqual(html('&#99999999999999999999;'), '\ufffd');
+});
+
+test('remaps C1 references through Windows-1252', function () {
+    assert.strictEqual(html('&#x82;&#x8A;&#x8C;&#x91;&#x94;&#x99;'),
+                       '‚ŠŒ‘”™');
+    // The five that Windows-1252 leaves undefined stay as they are.
+    assert.strictEqual(html('&#x81;&#x8D;&#x8F;&#x90;&#x9D;'),
+                       '\x81\x8d\x8f\x90\x9d');
+});
+
+test('leaves numeric references without digits alone', function () {
+    assert.strictEqual(html('&#; &#x; &#xZ; &#-1;'), '&#; &#x; &#xZ; &#-1;');
+    assert.strictEqual(html('&#; &#x; &#xZ;', { context: 'text' }),
+                       '&#; &#x; &#xZ;');
+});
+
+test('decodes legacy references without a semicolon by context',
+     function () {
+    assert.strictEqual(html('&copy 2012', { context: 'text' }),
+                       '© 2012');
+    assert.strictEqual(html('?a=1&copy=2', { context: 'attribute' }),
+                       '?a=1&copy=2');
+    assert.strictEqual(html('&notit;', { context: 'text' }), '¬it;');
+});
+
+test('decodes legacy names in text even before letters and digits',
+     function () {
+    var text = { context: 'text' };
+    assert.strictEqual(html('&amp', text), '&');
+    assert.strictEqual(html('&ampx &copy2 &notin', text), '&x ©2 ¬in');
+    // Only the legacy names may go without a semicolon.
+    assert.strictEqual(html('&hellip x &hellip;', text), '&hellip x …');
+    assert.strictEqual(html('', text), '');
+});
+
+test('leaves legacy names in attributes before =, letters and digits',
+     function () {
+    var attribute = { context: 'attribute' };
+    assert.strictEqual(html('&amp=&ampx&copy2', attribute),
+                       '&amp=&ampx&copy2');
+    assert.strictEqual(html('&amp &copy-&copy', attribute), '& ©-©');
+    assert.strictEqual(html('&amp;x&#65x', attribute), '&xAx');
+});
+
+test('decodes only terminated references without a context', function () {
+    assert.strictEqual(html('&copy &#65 &copy;&#65;'), '&copy &#65 ©A');
+});
+
+test('rejects an unknown context', function () {
+    assert.throws(function () { html('&amp;', { context: 'rcdata' }); },
+                  /Unknown context rcdata/);
+});
+
+// makeSaxParser
+
+test('reports tags, text and comments in order', function () {
+    assert.deepStrictEqual(events('<a href="/x">hi</a><!--c-->'), [
+        ['startTag', 'a', 'href', '/x'], ['pcdata', 'hi'], ['endTag', 'a'],
+        ['comment', 'c']
+    ]);
+    assert.deepStrictEqual(events('<textarea><b>&lt;</textarea>'), [
+        ['startTag', 'textarea'], ['rcdata', '&lt;b&gt;&lt;'],
+        ['endTag', 'textarea']
+    ]);
+});
+
+test('reports script and style bodies as cdata, and title as rcdata',
+     function () {
+    assert.deepStrictEqual(
+        events('<script>if (a < b && c) {}</script><style>a>b{}</style>'), [
+            ['startTag', 'script'], ['cdata', 'if (a < b && c) {}'],
+            ['endTag', 'script'], ['startTag', 'style'], ['cdata', 'a>b{}'],
+            ['endTag', 'style']
+        ]);
+    assert.deepStrictEqual(events('<title>a<b></title>'), [
+        ['startTag', 'title'], ['rcdata', 'a&lt;b&gt;'], ['endTag', 'title']
+    ]);
+});
+
+test('lowercases names and decodes attribute values', function () {
+    assert.deepStrictEqual(
+        events('<DIV CLASS=x ID="a&amp;b" disabled>t</DIV >'), [
+            ['startTag', 'div', 'class', 'x', 'id', 'a&b', 'disabled', ''],
+            ['pcdata', 't'], ['endTag', 'div']
+        ]);
+});
+
+test('reports a < or > that starts no markup as escaped text', function () {
+    assert.deepStrictEqual(events('a < b > c'),
+                           [['pcdata', 'a &lt; b &gt; c']]);
+});
+
+test('calls startDoc and endDoc even for empty input', function () {
+    var calls = [];
+    var parser = html.makeSaxParser({
+        startDoc: function (out) { out.push('startDoc'); },
+        endDoc: function (out) { out.push('endDoc'); }
+    });
+    parser('', calls);
+    assert.deepStrictEqual(calls, ['startDoc', 'endDoc']);
+    assert.deepStrictEqual(events(''), []);
+});
+
+test('takes quoted handler names and leaves out missing handlers',
+     function () {
+    var names = [];
+    html.makeSaxParser({
+        'startTag': function (name, attribs, out) { out.push(name); }
+    })('<p>x<!--c--><i>y</i>', names);
+    assert.deepStrictEqual(names, ['p', 'i']);
+    assert.strictEqual(html.makeSaxParser({})('<p>x</p>'), void 0);
+});
+
+// Pausing with continuations
+
+test('resumes from the next token after a handler pauses', function () {
+    var resume;
+    var parse = html.makeSaxParser({
+        startTag: function (name, attribs, out, marker, continuation) {
+            out.push(name);
+            if (name === 'b') {
+                resume = continuation;
+                throw marker;
+            }
+        }
+    });
+    var out = [];
+    parse('<a><b><i>', out);
+    assert.deepStrictEqual(out, ['a', 'b']);
+    resume();
+    assert.deepStrictEqual(out, ['a', 'b', 'i']);
+});
+
+test('a handler of any kind can pause, and resuming loses nothing',
+     function () {
+    var out = [], continuations = [];
+    function pausing(kind) {
+        return function () {
+            var args = Array.prototype.slice.call(arguments);
+            var i = args.indexOf(out);
+            out.push(kind + ' ' + (i ? args[0] : ''));
+            continuations.push(args[i + 2]);
+            throw args[i + 1];
+        };
+    }
+    html.makeSaxParser({
+        startTag: pausing('start'), endTag: pausing('end'),
+        pcdata: pausing('text'), cdata: pausing('cdata'),
+        rcdata: pausing('rcdata'), comment: pausing('comment')
+    })('<a>x<!--y--><script>s</script><textarea>r</textarea></a>', out);
+    assert.deepStrictEqual(out, ['start a']);
+    while (continuations.length) { continuations.shift()(); }
+    assert.deepStrictEqual(out, [
+        'start a', 'text x', 'comment y', 'start script', 'cdata s',
+        'end script', 'start textarea', 'rcdata r', 'end textarea', 'end a'
+    ]);
+});
+
+test('errors from handlers other than the marker propagate', function () {
+    assert.throws(function () {
+        html.makeSaxParser({
+            startTag: function () { throw new Error('boom'); }
+        })('<a>');
+    }, /boom/);
+});
+
+test('makeAsyncSaxParser waits for promises from handlers', function () {
+    var parse = html.makeAsyncSaxParser({
+        startTag: function (name, attribs, out) {
+            return new Promise(function (resolve) {
+                setTimeout(function () {
+                    out.push(name);
+                    resolve();
+                }, 1);
+            });
+        },
+        pcdata: function (text, out) { out.push(text); }
+    });
+    return parse('<a>x<b>y', []).then(function (out) {
+        assert.deepStrictEqual(out, ['a', 'x', 'b', 'y']);
+    });
+});
+
+test('makeAsyncSaxParser rejects when a handler rejects', function () {
+    var parse = html.makeAsyncSaxParser({
+        startTag: function () { return Promise.reject(new Error('no')); }
+    });
+    return parse('<a>', []).then(function () {
+        assert.fail('resolved');
+    }, function (e) {
+        assert.strictEqual(e.message, 'no');
+    });
+});
+
+test('makeAsyncSaxParser resolves with the param, also for empty input',
+     function () {
+    var param = { x: 1 };
+    return Promise.all([
+        html.makeAsyncSaxParser({})('', param).then(function (out) {
+            assert.strictEqual(out, param);
+        }),
+        html.makeAsyncSaxParser({
+            startTag: function (name, attribs, out) {
+                out.push(name);
+                return 5;
+            },
+            endDoc: function (out) { out.push('end'); }
+        })('<a><b>', []).then(function (out) {
+            assert.deepStrictEqual(out, ['a', 'b', 'end']);
+        })
+    ]);
+});
+
+test('makeAsyncSaxParser rejects when a handler throws', function () {
+    return html.makeAsyncSaxParser({
+        startTag: function () { throw new Error('sync'); }
+    })('<a>', []).then(function () {
+        assert.fail('resolved');
+    }, function (e) {
+        assert.strictEqual(e.message, 'sync');
+    });
+});
+
+test('makeAsyncSaxParser lets handlers pause with the marker themselves',
+     function () {
+    return html.makeAsyncSaxParser({
+        startTag: function (name, attribs, out, marker, continuation) {
+            out.push(name);
+            setTimeout(continuation, 1);
+            throw marker;
+        },
+        endDoc: function (out) { out.push('end'); }
+    })('<a><b>', []).then(function (out) {
+        assert.deepStrictEqual(out, ['a', 'b', 'end']);
+    });
+});
+
+// A promise that resolves after the other events have had a chance to run.
+function later() {
+    return new Promise(function (resolve) { setTimeout(resolve, 1); });
+}
+
+test('makeAsyncSaxParser waits for handlers without a continuation',
+     function () {
+    var parse = html.makeAsyncSaxParser({
+        warning: function (code, position, out) {
+            return later().then(function () { out.push(code); });
+        },
+        startTag: function (name, attribs, out) { out.push(name); },
+        pcdata: function (text, out) { out.push(text); }
+    });
+    return Promise.all([
+        parse('<p><!-- x', []).then(function (out) {
+            assert.deepStrictEqual(out,
+                                   ['p', 'unclosedComment', '&lt;!--', ' x']);
+        }),
+        parse('<p><b title="x', []).then(function (out) {
+            assert.deepStrictEqual(out, ['p', 'unterminatedQuote']);
+        }),
+        html.makeAsyncSaxParser({
+            warning: function () { return Promise.reject(new Error('no')); }
+        })('<!--', []).then(function () {
+            assert.fail('resolved');
+        }, function (e) {
+            assert.strictEqual(e.message, 'no');
+        })
+    ]);
+});
+
+test('makeAsyncSaxParser balances and reports as makeSaxParser does',
+     function () {
+    var report = [];
+    var parse = html.makeAsyncSaxParser({
+        startTag: function (name, attribs, out) {
+            return later().then(function () { out.push(name); });
+        },
+        endTag: function (name, out) {
+            return later().then(function () { out.push('/' + name); });
+        },
+        pcdata: function (text, out) { out.push(text); }
+    }, { balance: true, report: report });
+    return parse('<p>a<div>b</span><x y="', []).then(function (out) {
+        assert.deepStrictEqual(out,
+                               ['p', 'a', '/p', 'div', 'b', '/div']);
+        assert.deepStrictEqual(report.map(function (entry) {
+            return [entry.type, entry.reason, entry.offset];
+        }), [['tag', 'unterminated quote', 17]]);
+    });
+});
+
+// Incremental parsing and streams
+
+test('makeIncrementalUnescaper holds back a cut-off reference',
+     function () {
+    var unescaper = html.makeIncrementalUnescaper();
+    assert.strictEqual(unescaper.write('1 &l'), '1 ');
+    assert.strictEqual(unescaper.write('t; 2'), '< 2');
+    assert.strictEqual(unescaper.end(), '');
+});
+
+test('makeIncrementalUnescaper decides a numeric reference when it ends',
+     function () {
+    var unescaper = html.makeIncrementalUnescaper({ context: 'text' });
+    assert.strictEqual(unescaper.write('&#6'), '');
+    assert.strictEqual(unescaper.write('6'), '');
+    assert.strictEqual(unescaper.write('abc'), 'Babc');
+    assert.strictEqual(unescaper.write('&#x4'), '');
+    assert.strictEqual(unescaper.write('1g'), 'Ag');
+    unescaper = html.makeIncrementalUnescaper();
+    assert.strictEqual(unescaper.write('&#65'), '');
+    assert.strictEqual(unescaper.write('def'), '&#65def');
+    assert.strictEqual(unescaper.write('&#6'), '');
+    assert.strictEqual(unescaper.write('6;'), 'B');
+});
+
+test('makeIncrementalUnescaper decides legacy names by context at the end',
+     function () {
+    var unescaper = html.makeIncrementalUnescaper({ context: 'text' });
+    assert.strictEqual(unescaper.write('&amp'), '');
+    assert.strictEqual(unescaper.write('x&cop'), '&x');
+    assert.strictEqual(unescaper.end(), '&cop');
+    unescaper = html.makeIncrementalUnescaper({ context: 'attribute' });
+    assert.strictEqual(unescaper.write('&amp'), '');
+    assert.strictEqual(unescaper.write('=&amp'), '&amp=');
+    assert.strictEqual(unescaper.end(), '&');
+});
+
+test('makeIncrementalUnescaper takes empty chunks and refuses writes after '
+     + 'the end', function () {
+    var unescaper = html.makeIncrementalUnescaper();
+    assert.strictEqual(unescaper.write(''), '');
+    assert.strictEqual(unescaper.end(), '');
+    assert.throws(function () { unescaper.write('x'); }, /write after end/);
+    assert.throws(function () { unescaper.end(); }, /end after end/);
+    assert.throws(function () {
+        html.makeIncrementalUnescaper({ context: 'css' }).write('x');
+    }, /Unknown context css/);
+});
+
+test('makeIncrementalUnescaper takes linear time for a long reference',
+     function () {
+    var unescaper = html.makeIncrementalUnescaper({ context: 'text' });
+    var start = Date.now();
+    var out = unescaper.write('&#');
+    for (var i = 0; i < 100000; ++i) { out += unescaper.write('1'); }
+    out += unescaper.write(';x') + unescaper.end();
+    assert.strictEqual(out, '\uFFFDx');
+    assert.ok(Date.now() - start < 2000, 'took ' + (Date.now() - start));
+});
+
+test('makeIncrementalSaxParser gives the same events for any chunking',
+     function () {
+    var input = '<p title="a &amp; b">x &copy; y<script>if (a</b)</script>'
+        + '<!-- c --></p>';
+    var whole = events(input);
+    for (var size = 1; size < input.length; ++size) {
+        var out = [];
+        var parser = html.makeIncrementalSaxParser({
+            startTag: function (name, attribs, out) {
+                out.push(['startTag', name].concat(attribs));
+            },
+            endTag: function (name, out) { out.push(['endTag', name]); },
+            pcdata: function (text, out) { out.push(['pcdata', text]); },
+            cdata: function (text, out) { out.push(['cdata', text]); },
+            comment: function (text, out) { out.push(['comment', text]); }
+        }, out);
+        for (var i = 0; i < input.length; i += size) {
+            parser.write(input.substring(i, i + size));
+        }
+        parser.end();
+        assert.deepStrictEqual(mergeText(out), whole, 'chunk size ' + size);
+    }
+});
+
+test('makeIncrementalSaxParser buffers rcdata and warns at the end',
+     function () {
+    var out = [];
+    var parser = html.makeIncrementalSaxParser({
+        warning: function (code, position, out) { out.push([code]); },
+        pcdata: function (text, out) { out.push(['pcdata', text]); },
+        rcdata: function (text, out) { out.push(['rcdata', text]); },
+        comment: function (text, out) { out.push(['comment', text]); }
+    }, out);
+    parser.write('<textarea>a</tex');
+    parser.write('tarea><!-- x');
+    parser.write(' -');
+    assert.deepStrictEqual(out, [['rcdata', 'a']]);
+    parser.end();
+    assert.deepStrictEqual(mergeText(out), [
+        ['rcdata', 'a'], ['unclosedComment'], ['pcdata', '&lt;!-- x -']
+    ]);
+});
+
+test('makeIncrementalSaxParser calls startDoc and endDoc once and refuses '
+     + 'writes after the end', function () {
+    var out = [];
+    var parser = html.makeIncrementalSaxParser({
+        startDoc: function (out) { out.push('startDoc'); },
+        endDoc: function (out) { out.push('endDoc'); }
+    }, out);
+    parser.write('');
+    parser.write('<p>');
+    parser.end();
+    assert.deepStrictEqual(out, ['startDoc', 'endDoc']);
+    assert.throws(function () { parser.write('<b>'); }, /write after end/);
+    assert.throws(function () { parser.end(); }, /end after end/);
+    assert.deepStrictEqual(out, ['startDoc', 'endDoc']);
+});
+
+// Collects what a stream outputs.
+function drain(s, chunks) {
+    return new Promise(function (resolve, reject) {
+        var out = [];
+        s.on('data', function (d) { out.push(d); });
+        s.on('end', function () { resolve(out); });
+        s.on('error', reject);
+        chunks.forEach(function (c) { s.write(c); });
+        s.end();
+    });
+}
+
+test('UnescapeStream decodes across chunk and UTF-8 boundaries',
+     function () {
+    var bytes = Buffer.from('é &am');
+    return drain(new stream.UnescapeStream(), [
+        bytes.slice(0, 1), bytes.slice(1), 'p; x'
+    ]).then(function (out) {
+        assert.strictEqual(out.join(''), 'é & x');
+    });
+});
+
+test('UnescapeStream emits what the unescaper throws as an error',
+     function () {
+    return drain(new stream.UnescapeStream({ context: 'css' }), ['&amp;'])
+        .then(function () {
+            assert.fail('ended');
+        }, function (e) {
+            assert.strictEqual(e.message, 'Unknown context css');
+        });
+});
+
+test('SaxStream outputs one object per event', function () {
+    return drain(new stream.SaxStream(), ['<a hr', 'ef="/">x</a>'])
+        .then(function (out) {
+            assert.deepStrictEqual(out, [
+                { type: 'startTag', name: 'a', attribs: ['href', '/'],
+                  namespace: 'html' },
+                { type: 'pcdata', text: 'x' },
+                { type: 'endTag', name: 'a', namespace: 'html' }
+            ]);
+        });
+});
+
+// sanitize
+
+test('drops unsafe elements with their content', function () {
+    assert.strictEqual(
+        html.sanitize('<b onclick="evil()">hi</b><script>evil()</script>'),
+        '<b>hi</b>');
+    assert.strictEqual(html.sanitize('<object><p>x</p></object>y'), 'y');
+});
+
+test('drops unknown elements but keeps their content', function () {
+    assert.strictEqual(html.sanitize('<blink>hi</blink>'), 'hi');
+});
+
+test('escapes text and closes open elements', function () {
+    assert.strictEqual(html.sanitize('<p>a < b'), '<p>a &lt; b</p>');
+    assert.strictEqual(html.sanitize('</b>x'), 'x');
+});
+
+test('gives empty output for empty, null and undefined input', function () {
+    assert.strictEqual(html.sanitize(''), '');
+    assert.strictEqual(html.sanitize(null), '');
+    assert.strictEqual(html.sanitize(void 0), '');
+    assert.strictEqual(html.sanitizeWithPolicy(null, function () {}), '');
+});
+
+test('drops attributes the schema does not list, and script attributes',
+     function () {
+    assert.strictEqual(
+        html.sanitize('<p bogus="1" onclick="x()" ONMOUSEOVER=y align=center'
+                      + ' class="a b" id="c" dir=rtl lang=en>x</p>'),
+        '<p align="center" class="a b" id="c" dir="rtl" lang="en">x</p>');
+    assert.strictEqual(
+        html.sanitize('<table><tr><td colspan=2 onmouseover=x>1</td></tr>'
+                      + '</table>'),
+        '<table><tr><td colspan="2">1</td></tr></table>');
+});
+
+test('writes attribute values and text escaped', function () {
+    assert.strictEqual(
+        html.sanitize('<p title="a &quot;b&quot; <c> &amp;">&lt;script&gt;'
+                      + '</p>'),
+        '<p title="a &#34;b&#34; &lt;c&gt; &amp;">&lt;script&gt;</p>');
+    assert.strictEqual(html.sanitize('<input value=x disabled>'),
+                       '<input value="x" disabled="">');
+});
+
+test('drops comments, styles and scripts however they are written',
+     function () {
+    assert.strictEqual(
+        html.sanitize('<!-- c --><b>x</b><style>p{}</style>'
+                      + '<SCRIPT>alert(1)</SCRIPT>'),
+        '<b>x</b>');
+    assert.strictEqual(html.sanitize('<scr<script>ipt>x</script>'),
+                       'ipt&gt;x');
+});
+
+test('sanitizeWithPolicy calls the tag policy for each element',
+     function () {
+    var seen = [];
+    var out = html.sanitizeWithPolicy('<p id="a">x</p><i>y</i>',
+        function (tagName, attribs) {
+            seen.push(tagName);
+            return tagName === 'i' ? null : { attribs: [] };
+        });
+    assert.strictEqual(out, '<p>x</p>');
+    assert.deepStrictEqual(seen, ['p', 'i']);
+});
+
+test('sanitizeWithPolicy writes the attribs the policy returns', function () {
+    assert.strictEqual(
+        html.sanitizeWithPolicy('<b t=1>x</b>', function () {
+            return { attribs: ['title', 't&"'] };
+        }),
+        '<b title="t&amp;&#34;">x</b>');
+});
+
+test('sanitizeWithPolicy rejects a policy that returns no attribs',
+     function () {
+    assert.throws(function () {
+        html.sanitizeWithPolicy('<p>', function () { return {}; });
+    }, /tagPolicy gave no attribs/);
+    assert.throws(function () {
+        html.sanitizeWithPolicy('<p>', function () { return true; });
+    }, /old API/);
+});
+
+// URI policy
+
+test('keeps URIs only through a uriPolicy', function () {
+    assert.strictEqual(html.sanitize('<a href="/home">home</a>'),
+                       '<a>home</a>');
+    assert.strictEqual(
+        html.sanitize('<a href="/home">home</a><a href="javascript:x()">x</a>',
+                      { uriPolicy: uriPolicy }),
+        '<a href="/home">home</a><a>x</a>');
+});
+
+test('passes effects, loader types and hints to the uriPolicy',
+     function () {
+    var calls = [];
+    html.sanitize('<img src="a.png"><a href="/b">b</a>', {
+        uriPolicy: function (uri, effect, loaderType, hints) {
+            calls.push([uri, effect, loaderType, hints.XML_TAG,
+                        hints.XML_ATTR]);
+            return uri;
+        }
+    });
+    var u = require('../lib/html4.js');
+    assert.deepStrictEqual(calls, [
+        ['a.png', u.ueffects.SAME_DOCUMENT, u.ltypes.SANDBOXED, 'img', 'src'],
+        ['/b', u.ueffects.NEW_DOCUMENT, u.ltypes.UNSANDBOXED, 'a', 'href']
+    ]);
+});
+
+test('rejects schemes a browser would see through entities and spaces',
+     function () {
+    assert.strictEqual(
+        html.sanitize('<a href="&#106;ava\tscript:x()">x</a>',
+                      { uriPolicy: uriPolicy }),
+        '<a>x</a>');
+});
+
+test('allows only http, https, mailto and relative URIs by default',
+     function () {
+    assert.strictEqual(
+        html.sanitize('<a href="vbscript:x">a</a><a href="data:text/html,x">b'
+                      + '</a><a href="  JAVASCRIPT:x">c</a><a href="x:y">d</a>'
+                      + '<a href="&#x01;javascript:x">e</a>',
+                      { uriPolicy: uriPolicy }),
+        '<a>a</a><a>b</a><a>c</a><a>d</a><a>e</a>');
+    assert.strictEqual(
+        html.sanitize('<a href="https://x/">a</a><a href="mailto:a@b">b</a>'
+                      + '<a href="HTTP://X/">c</a><a href="//x/">d</a>'
+                      + '<a href="?q">e</a><a href="">f</a>',
+                      { uriPolicy: uriPolicy }),
+        '<a href="https://x/">a</a><a href="mailto:a@b">b</a>'
+        + '<a href="HTTP://X/">c</a><a href="//x/">d</a><a href="?q">e</a>'
+        + '<a href="">f</a>');
+});
+
+test('allowedSchemes replaces the default schemes, ignoring case',
+     function () {
+    assert.strictEqual(
+        html.sanitize('<a href="ftp://x/">a</a><a href="http://x/">b</a>',
+                      { uriPolicy: uriPolicy, allowedSchemes: ['FTP'] }),
+        '<a href="ftp://x/">a</a><a>b</a>');
+});
+
+test('drops a URI the uriPolicy returns null or undefined for, and writes '
+     + 'what it rewrites', function () {
+    assert.strictEqual(
+        html.sanitize('<a href="/x">a</a><a href="/y">b</a><a href="/z">c</a>',
+                      { uriPolicy: function (uri) {
+                          return uri === '/x' ? null
+                              : uri === '/y' ? void 0 : '/rewritten?a&b';
+                      } }),
+        '<a>a</a><a>b</a><a href="/rewritten?a&amp;b">c</a>');
+});
+
+test('checks every URI attribute of the schema', function () {
+    assert.strictEqual(
+        html.sanitize('<blockquote cite="/c">q</blockquote><area href="/a">'
+                      + '<form action="/f"></form><img src="javascript:x">'
+                      + '<q cite="javascript:x">r</q>',
+                      { uriPolicy: uriPolicy }),
+        '<blockquote cite="/c">q</blockquote><area href="/a">'
+        + '<form action="/f"></form><img><q>r</q>');
+});
+
+test('checks each srcset candidate separately', function () {
+    assert.strictEqual(
+        html.sanitize('<img src="a.png" srcset="a.png 1x, javascript:x 2x, '
+                      + 'b.png 3x">', { uriPolicy: uriPolicy }),
+        '<img src="a.png" srcset="a.png 1x, b.png 3x">');
+});
+
+// CSS
+
+test('keeps only whitelisted style declarations', function () {
+    assert.strictEqual(
+        html.sanitize('<p style="color: red; position: fixed; '
+                      + 'background: url(javascript:x)">x</p>'),
+        '<p style="color: red">x</p>');
+});
+
+// Sanitizes a style attribute on a <p>.
+function style(css, opt_options) {
+    return html.sanitize('<p style="' + css + '">x</p>', opt_options);
+}
+
+test('drops a style attribute with nothing left in it', function () {
+    ['', ' ; ; ', 'color', 'color:', ':red', 'text-align: bogus']
+        .forEach(function (css) {
+            assert.strictEqual(style(css), '<p>x</p>', css);
+        });
+});
+
+test('drops behaviours, bindings, expressions and fixed positions',
+     function () {
+    ['behavior: url(x.htc)', '-moz-binding: url(x)',
+     'width: expression(alert(1))', 'width: expr\\65ssion(1)',
+     'position: fixed', 'position: absolute', 'width: calc(1px + 2px)']
+        .forEach(function (css) {
+            assert.strictEqual(style(css), '<p>x</p>', css);
+        });
+    assert.strictEqual(style('position: relative'),
+                       '<p style="position: relative">x</p>');
+});
+
+test('keeps url() only through the uriPolicy and allowed schemes',
+     function () {
+    assert.strictEqual(style('background: url(/a.png)'), '<p>x</p>');
+    assert.strictEqual(
+        style("background: url('/a b.png') no-repeat",
+              { uriPolicy: uriPolicy }),
+        '<p style="background: url(&#34;/a b.png&#34;) no-repeat">x</p>');
+    ['background: url(javascript:x)',
+     'background: url(data:image/png;base64,xx)']
+        .forEach(function (css) {
+            assert.strictEqual(style(css, { uriPolicy: uriPolicy }),
+                               '<p>x</p>', css);
+        });
+});
+
+test('checks each value against the kinds its property takes', function () {
+    assert.strictEqual(
+        style('font: 12px/1.5 &quot;Times New Roman&quot;, serif; '
+              + 'margin: -1.5em 2px 3% 0; color: rgb(1, 2, 3); '
+              + 'border-color: #fff'),
+        '<p style="font: 12px/1.5 &#34;Times New Roman&#34;, serif; '
+        + 'margin: -1.5em 2px 3% 0; color: rgb(1, 2, 3); '
+        + 'border-color: #fff">x</p>');
+    ['color: #ggg', 'width: 12', 'width: 12zz', 'color: &quot;red']
+        .forEach(function (css) {
+            assert.strictEqual(style(css), '<p>x</p>', css);
+        });
+});
+
+test('normalizes case, comments and escapes in what it keeps', function () {
+    assert.strictEqual(style('COLOR: Red !important; width: 1PX'),
+                       '<p style="color: red; width: 1px">x</p>');
+    assert.strictEqual(style('color: red /* c */; width: 1px'),
+                       '<p style="color: red; width: 1px">x</p>');
+    assert.strictEqual(style('font-family: &quot;a\\&quot;b&quot;'),
+                       '<p style="font-family: &#34;a\\22 b&#34;">x</p>');
+});
+
+test('does not let a declaration end the rule it is in', function () {
+    assert.strictEqual(style('color: red; } p { color: blue'),
+                       '<p style="color: red">x</p>');
+});
+
+test('reports each declaration it drops or rewrites', function () {
+    var report = [];
+    style('color: RED; position: fixed', { report: report });
+    assert.deepStrictEqual(report.map(function (entry) {
+        return [entry.type, entry.action, entry.name, entry.value,
+                entry.newValue, entry.reason];
+    }), [
+        ['style', 'rewritten', 'color', 'RED', 'red', 'normalized'],
+        ['style', 'dropped', 'position', 'fixed', null,
+         'not allowed by cssSchema']
+    ]);
+});
+
+// HTML5 schema
+
+test('keeps HTML5 elements and data and aria attributes', function () {
+    assert.strictEqual(
+        html.sanitize('<section data-x="1" aria-label="l"><figure>'
+                      + '<figcaption>c</figcaption></figure></section>'),
+        '<section data-x="1" aria-label="l"><figure><figcaption>c'
+        + '</figcaption></figure></section>');
+    assert.strictEqual(html.sanitize('<template><b>x</b></template>y'), 'y');
+});
+
+test('keeps HTML5 sectioning, text and interactive elements', function () {
+    assert.strictEqual(
+        html.sanitize('<article><nav><mark>m</mark><time datetime="2020-01-01"'
+                      + '>t</time></nav><details open><summary>s</summary>d'
+                      + '</details></article><main>m</main><wbr><bdi>b</bdi>'),
+        '<article><nav><mark>m</mark><time datetime="2020-01-01">t</time>'
+        + '</nav><details open=""><summary>s</summary>d</details></article>'
+        + '<main>m</main><wbr><bdi>b</bdi>');
+});
+
+test('keeps media elements with their sources through the uriPolicy',
+     function () {
+    assert.strictEqual(
+        html.sanitize('<video src="v.mp4" controls autoplay poster="p.png">'
+                      + '<source src="a.mp4" type="video/mp4">'
+                      + '<track src="t.vtt"></video><audio src=a.mp3></audio>',
+                      { uriPolicy: uriPolicy }),
+        '<video src="v.mp4" controls="" poster="p.png">'
+        + '<source src="a.mp4" type="video/mp4"><track src="t.vtt"></video>'
+        + '<audio src="a.mp3"></audio>');
+    assert.strictEqual(
+        html.sanitize('<picture><source srcset="a.png 1x, javascript:x 2x">'
+                      + '<img src="b.png" srcset="c.png 2x"></picture>'
+                      + '<a href="/x" download="f.txt">d</a>',
+                      { uriPolicy: uriPolicy }),
+        '<picture><source srcset="a.png 1x"><img src="b.png" srcset="c.png 2x">'
+        + '</picture><a href="/x" download="f.txt">d</a>');
+});
+
+test('drops template, noscript and embedding elements with their content',
+     function () {
+    assert.strictEqual(
+        html.sanitize('<template><b>x</b></template><noscript><b>n</b>'
+                      + '</noscript><embed src=x><object data=x>o</object>'
+                      + '<applet>a</applet><base href=x><meta charset=x>'
+                      + '<link rel=x><frameset>f</frameset>z',
+                      { uriPolicy: uriPolicy }),
+        'z');
+});
+
+test('keeps only plain names under the data and aria prefixes', function () {
+    assert.strictEqual(
+        html.sanitize('<p data-a:b="1" aria-x:y="2" data-="3" data-a.b_c="4"'
+                      + ' data-"x="5">x</p>'),
+        '<p data-a.b_c="4">x</p>');
+    assert.strictEqual(html.sanitize('<p DATA-X-Y="1" data-onclick="x">x</p>'),
+                       '<p data-x-y="1" data-onclick="x">x</p>');
+    var report = [];
+    html.sanitize('<p data-a:b="1">x</p>', { report: report });
+    assert.strictEqual(report.length, 1);
+    assert.strictEqual(report[0].name, 'data-a:b');
+    assert.strictEqual(report[0].action, 'dropped');
+});
+
+// nmTokenPolicy
+
+test('namespaces ids, classes and references to them', function () {
+    assert.strictEqual(
+        html.sanitize('<a href="#notes">notes</a>'
+                      + '<p id="notes" class="note a">...</p>'
+                      + '<label for="notes">l</label>', {
+            uriPolicy: uriPolicy,
+            nmTokenPolicy: html.makeNmTokenPolicy('post42-')
+        }),
+        '<a href="#post42-notes">notes</a>'
+        + '<p id="post42-notes" class="post42-note post42-a">...</p>'
+        + '<label for="post42-notes">l</label>');
+});
+
+test('namespaces every token type but form field names', function () {
+    assert.strictEqual(
+        html.sanitize('<p id=" a " class=" b  c ">x</p><a name="n">n</a>'
+                      + '<input name="f"><td headers="h1 h2">t</td>'
+                      + '<img usemap="#m"><map name="m"></map><a href="#">t</a>',
+                      { uriPolicy: uriPolicy,
+                        nmTokenPolicy: html.makeNmTokenPolicy('p-', '-s') }),
+        '<p id="p-a-s" class="p-b-s p-c-s">x</p><a name="p-n-s">n</a>'
+        + '<input name="f"><td headers="p-h1-s p-h2-s">t</td>'
+        + '<img usemap="#p-m-s"><map name="p-m-s"></map><a href="#">t</a>');
+    assert.strictEqual(
+        html.sanitize('<svg><linearGradient id="g"/><rect fill="url(#g)"/>'
+                      + '<use xlink:href="#g"/></svg>',
+                      { uriPolicy: uriPolicy,
+                        nmTokenPolicy: html.makeNmTokenPolicy('p-') }),
+        '<svg><linearGradient id="p-g"></linearGradient>'
+        + '<rect fill="url(&#34;#p-g&#34;)"></rect><use xlink:href="#p-g">'
+        + '</use></svg>');
+});
+
+test('keeps tokens as they are without an nmTokenPolicy', function () {
+    assert.strictEqual(
+        html.sanitize('<p id="a" class="b">x</p><a name=n>y</a>'),
+        '<p id="a" class="b">x</p><a name="n">y</a>');
+    assert.strictEqual(html.makeNmTokenPolicy()('a', 4), 'a');
+});
+
+test('drops tokens the nmTokenPolicy rejects, and empty attributes',
+     function () {
+    assert.strictEqual(
+        html.sanitize('<p id="a" class="b c d">x</p>', {
+            nmTokenPolicy: function (token) {
+                return token === 'b' ? null : token === 'c' ? '' : 'z' + token;
+            }
+        }),
+        '<p id="za" class="zd">x</p>');
+    var report = [];
+    assert.strictEqual(
+        html.sanitize('<p id="a" class="">x</p>', {
+            nmTokenPolicy: function () { return null; },
+            report: report
+        }),
+        '<p>x</p>');
+    assert.deepStrictEqual(report.map(function (entry) {
+        return [entry.name, entry.action, entry.reason];
+    }), [['id', 'dropped', 'rejected by nmTokenPolicy'],
+         ['class', 'dropped', 'rejected by nmTokenPolicy']]);
+});
+
+// targetPolicy
+
+test('adds rel hardening to links that open new windows', function () {
+    assert.strictEqual(
+        html.sanitize('<a href="/x" rel="author">x</a>', {
+            uriPolicy: uriPolicy,
+            targetPolicy: '_blank',
+            extraRel: 'nofollow ugc'
+        }),
+        '<a href="/x" rel="author noopener noreferrer nofollow ugc" '
+        + 'target="_blank">x</a>');
+    assert.strictEqual(
+        html.sanitize('<a href="/x" target="top">x</a>',
+                      { uriPolicy: uriPolicy }),
+        '<a href="/x">x</a>');
+    assert.strictEqual(
+        html.sanitize('<a href="/x" target="_blank">x</a>',
+                      { uriPolicy: uriPolicy, targetPolicy: 'strip' }),
+        '<a href="/x">x</a>');
+});
+
+// Sanitizes a with the uriPolicy and the given options.
+function link(markup, options) {
+    options.uriPolicy = uriPolicy;
+    return html.sanitize(markup, options);
+}
+
+test('the named targetPolicy keeps only frame names', function () {
+    assert.strictEqual(
+        link('<a href="/x" target="side">x</a>', { targetPolicy: 'named' }),
+        '<a href="/x" target="side" rel="noopener noreferrer">x</a>');
+    ['_top', '_blank', 'a b', ''].forEach(function (target) {
+        assert.strictEqual(
+            link('<a href="/x" target="' + target + '">x</a>',
+                 { targetPolicy: 'named' }),
+            '<a href="/x">x</a>', target);
+    });
+});
+
+test('a targetPolicy function gets the target and the element', function () {
+    var keep = { targetPolicy: function (target, tagName) {
+        return tagName === 'area' ? 'map-' + target : target;
+    } };
+    assert.strictEqual(link('<a href="/x" target="_self">x</a>', keep),
+                       '<a href="/x" target="_self">x</a>');
+    assert.strictEqual(link('<a href="/x" target="_PARENT">x</a>', keep),
+                       '<a href="/x" target="_PARENT">x</a>');
+    assert.strictEqual(
+        link('<area href="/x" target="w">', keep),
+        '<area href="/x" target="map-w" rel="noopener noreferrer">');
+    assert.strictEqual(
+        link('<a href="/x" target="_blank">x</a>',
+             { targetPolicy: function () { return ''; } }),
+        '<a href="/x">x</a>');
+});
+
+test('merges rel without repeating what is there, whatever its case',
+     function () {
+    assert.strictEqual(
+        link('<a href="/x" target="_blank" rel="NoOpener nofollow">x</a>',
+             { targetPolicy: '_blank', extraRel: '  ' }),
+        '<a href="/x" target="_blank" rel="NoOpener nofollow noreferrer">'
+        + 'x</a>');
+});
+
+test('adds a target only to links that have a URL left', function () {
+    var blank = { targetPolicy: '_blank' };
+    assert.strictEqual(link('<a name="x">x</a>', blank), '<a name="x">x</a>');
+    assert.strictEqual(link('<a href="javascript:x">x</a>', blank),
+                       '<a>x</a>');
+    assert.strictEqual(
+        link('<area href="/x">', blank),
+        '<area href="/x" target="_blank" rel="noopener noreferrer">');
+});
+
+test('rejects an unknown targetPolicy name', function () {
+    assert.throws(function () {
+        link('<a href="/x">x</a>', { targetPolicy: 'bogus' });
+    }, /unknown targetPolicy bogus/);
+});
+
+test('reports the target and rel it adds', function () {
+    var report = [];
+    link('<a href="/x" rel="author">x</a>',
+         { targetPolicy: '_blank', report: report });
+    assert.deepStrictEqual(report.map(function (entry) {
+        return [entry.action, entry.name, entry.newValue, entry.reason];
+    }), [
+        ['added', 'target', '_blank', 'added by targetPolicy'],
+        ['rewritten', 'rel', 'author noopener noreferrer',
+         'link opens a new browsing context']
+    ]);
+});
+
+// Escapers
+
+test('escapers undo unescapeEntities in their context', function () {
+    var s = '<a> & "b" \'c\' é &amp;';
+    assert.strictEqual(html(html.escapeHtmlText(s), { context: 'text' }), s);
+    assert.strictEqual(html(html.escapeDoubleQuotedAttrib(s),
+                            { context: 'attribute' }), s);
+    assert.strictEqual(html(html.escapeSingleQuotedAttrib(s, {
+        minimal: true
+    }), { context: 'attribute' }), s);
+    assert.strictEqual(html(html.escapeUnquotedAttrib(s),
+                            { context: 'attribute' }), s);
+});
+
+test('escapers escape what their context needs', function () {
+    assert.strictEqual(html.escapeHtmlText('1 < 2 & "3"'),
+                       '1 &lt; 2 &amp; &#34;3&#34;');
+    assert.strictEqual(html.escapeUnquotedAttrib('a b'), 'a&#32;b');
+    assert.strictEqual(html.escapeRCData('</textarea>'),
+                       '&lt;/textarea&gt;');
+    assert.strictEqual(html.escapeHtmlText('é<',
+                       { minimal: true, nonAscii: 'named' }),
+                       '&eacute;&lt;');
+    assert.strictEqual(html.escapeHtmlText('é',
+                       { nonAscii: 'numeric' }), '&#233;');
+});
+
+test('every escaper round-trips awkward strings with every option',
+     function () {
+    var strings = [
+        '', '&copy', '&copy=', '&amp;', '&#65', 'a&b', '&&', '<a>',
+        '</textarea>', '"\'`= \t\n', '\u0080\u009f', '\ud800x',
+        'x\udc00', '\ud83d\ude00', '\u00e9\u00a0', '\u0000', '\r\n'
+    ];
+    var contexts = {
+        escapeHtmlText: 'text', escapeRCData: 'text',
+        escapeDoubleQuotedAttrib: 'attribute',
+        escapeSingleQuotedAttrib: 'attribute',
+        escapeUnquotedAttrib: 'attribute'
+    };
+    var options = [
+        {}, { minimal: true }, { nonAscii: 'numeric' },
+        { nonAscii: 'named' }, { minimal: true, nonAscii: 'named' }
+    ];
+    Object.keys(contexts).forEach(function (name) {
+        options.forEach(function (option) {
+            strings.forEach(function (s) {
+                var escaped = html[name](s, option);
+                assert.strictEqual(
+                    html(escaped, { context: contexts[name] }), s,
+                    name + ' ' + JSON.stringify(option) + ' '
+                        + JSON.stringify(s));
+            });
+        });
+    });
+});
+
+test('minimal escapers still escape what would end their context',
+     function () {
+    var minimal = { minimal: true };
+    assert.strictEqual(html.escapeRCData('a</title>b', minimal),
+                       'a&lt;/title>b');
+    assert.strictEqual(html.escapeUnquotedAttrib('a b=`c', minimal),
+                       'a&#32;b&#61;&#96;c');
+    assert.strictEqual(html.escapeUnquotedAttrib('', minimal), '');
+    assert.strictEqual(html.escapeDoubleQuotedAttrib('a"b\'c', minimal),
+                       'a&#34;b\'c');
+    assert.strictEqual(html.escapeSingleQuotedAttrib('a"b\'c', minimal),
+                       'a"b&#39;c');
+    assert.strictEqual(html.escapeHtmlText('&copy &x', minimal),
+                       '&amp;copy &amp;x');
+});
+
+test('escapers reject an unknown nonAscii encoding', function () {
+    assert.throws(function () {
+        html.escapeHtmlText('x', { nonAscii: 'hex' });
+    }, /unknown nonAscii encoding hex/);
+});
+
+// htmlToText
+
+test('htmlToText lays out blocks, lists and links', function () {
+    assert.strictEqual(
+        html.htmlToText('<p>See <a href="/x">this</a>.</p>'
+                        + '<ul><li>one<li>two</ul>'),
+        'See this (/x).\n\n* one\n* two');
+    assert.strictEqual(
+        html.htmlToText('<ol><li>a</li><li>b</li></ol>', { links: false }),
+        '1. a\n2. b');
+    assert.strictEqual(html.htmlToText('a<script>x</script>  b<br>c'),
+                       'a b\nc');
+});
+
+test('htmlToText indents nested lists and takes the bullet and start',
+     function () {
+    assert.strictEqual(html.htmlToText('<ul><li>a<ul><li>b</ul><li>c</ul>'),
+                       '* a\n  * b\n* c');
+    assert.strictEqual(html.htmlToText('<ul><li>a</ul>', { bullet: '- ' }),
+                       '- a');
+    assert.strictEqual(html.htmlToText('<ul><li>a</ul>', { bullet: '' }), 'a');
+    assert.strictEqual(html.htmlToText('<ol start=3><li>a<li>b</ol>'),
+                       '3. a\n4. b');
+    assert.strictEqual(html.htmlToText('<ol start=x><li>a</ol>'), '1. a');
+});
+
+test('htmlToText shows alt text, and link URLs only where they add '
+     + 'something', function () {
+    assert.strictEqual(html.htmlToText('<img alt="A &amp; B"> <img src=x>'),
+                       'A & B');
+    assert.strictEqual(html.htmlToText('<a href="/x">/x</a>'), '/x');
+    assert.strictEqual(html.htmlToText('<a href="#top">top</a>'), 'top');
+    assert.strictEqual(html.htmlToText('<a>no</a>'), 'no');
+    assert.strictEqual(html.htmlToText('<a href="/x"></a>'), '(/x)');
+});
+
+test('htmlToText separates cells and leaves out what is not shown',
+     function () {
+    assert.strictEqual(
+        html.htmlToText('<table><tr><td>a<td>b<tr><th>c<td>d</table>'),
+        'a\tb\nc\td');
+    assert.strictEqual(
+        html.htmlToText('<title>T</title><head><style>x</style></head>'
+                        + '<template>t</template><script>s</script>body'),
+        'body');
+    assert.strictEqual(html.htmlToText('<textarea>a &lt; b</textarea>'),
+                       'a < b');
+});
+
+test('htmlToText collapses whitespace except no-break spaces and in pre',
+     function () {
+    assert.strictEqual(html.htmlToText('  a \n\t b  '), 'a b');
+    assert.strictEqual(html.htmlToText('a&nbsp;&nbsp;b'), 'a\u00a0\u00a0b');
+    assert.strictEqual(html.htmlToText('<p></p><p>a</p><p></p>'), 'a');
+    assert.strictEqual(html.htmlToText('<pre>\r\na\r\n  b</pre>after'),
+                       'a\n  b\n\nafter');
+});
+
+test('htmlToText gives empty text for null and undefined', function () {
+    assert.strictEqual(html.htmlToText(null), '');
+    assert.strictEqual(html.htmlToText(void 0), '');
+    assert.strictEqual(html.htmlToText(''), '');
+});
+
+test('htmlToText shows only link URLs the URI checks allow', function () {
+    assert.strictEqual(
+        html.htmlToText('<a href="javascript:x()">a</a>'
+                        + ' <a href="data:text/html,x">b</a>'
+                        + ' <a href=" VBScript:x">c</a>'
+                        + ' <a href="java&#9;script:x">d</a>'
+                        + ' <a href="https://e.com/">e</a>'),
+        'a b c d e (https://e.com/)');
+    assert.strictEqual(
+        html.htmlToText('<a href="ftp://x/">a</a>',
+                        { allowedSchemes: ['ftp'] }),
+        'a (ftp://x/)');
+    var seen = [];
+    assert.strictEqual(
+        html.htmlToText('<a href="/x">a</a> <a href="/y">b</a>', {
+            uriPolicy: function (uri, effect, ltype, hints) {
+                seen.push([uri, hints.XML_TAG, hints.XML_ATTR]);
+                return uri === '/x' ? null : 'https://h' + uri;
+            }
+        }),
+        'a b (https://h/y)');
+    assert.deepEqual(seen, [['/x', 'a', 'href'], ['/y', 'a', 'href']]);
+});
+
+// truncateHtml
+
+test('truncateHtml cuts text and closes what is open', function () {
+    assert.strictEqual(
+        html.truncateHtml('<p>Hello <b>big &amp; bold</b> world</p>', 2,
+                          { words: true }),
+        '<p>Hello <b>big…</b></p>');
+    assert.strictEqual(
+        html.truncateHtml('<p>Hello <b>big &amp; bold</b> world</p>', 8),
+        '<p>Hello <b>bi…</b></p>');
+    assert.strictEqual(html.truncateHtml('<p>short</p>', 10),
+                       '<p>short</p>');
+    assert.strictEqual(html.truncateHtml('<p>abcdef</p>', 3,
+                                         { ellipsis: '' }),
+                       '<p>abc</p>');
+});
+
+test('truncateHtml gives empty output for null, and just the ellipsis for '
+     + 'a limit of 0', function () {
+    assert.strictEqual(html.truncateHtml('', 3), '');
+    assert.strictEqual(html.truncateHtml(null, 3), '');
+    assert.strictEqual(html.truncateHtml(void 0, 3), '');
+    assert.strictEqual(html.truncateHtml('<p>abc</p>', 0), '…');
+    assert.strictEqual(html.truncateHtml('<p>abc</p>', 3), '<p>abc</p>');
+});
+
+test('truncateHtml counts references, astral characters and line breaks',
+     function () {
+    assert.strictEqual(html.truncateHtml('a &amp; b &copy; c', 3),
+                       'a &amp;…');
+    assert.strictEqual(html.truncateHtml('&#x1F600;\ud83d\ude00x', 2),
+                       '&#x1F600;\ud83d\ude00…');
+    // The break counts as a space before the next character.
+    assert.strictEqual(html.truncateHtml('<p>ab<br>cd</p>', 3),
+                       '<p>ab…</p>');
+    assert.strictEqual(html.truncateHtml('<p>ab<br>cd</p>', 4),
+                       '<p>ab<br>c…</p>');
+});
+
+test('truncateHtml counts words across blocks and whitespace', function () {
+    var words = { words: true };
+    assert.strictEqual(html.truncateHtml('one  two\n three', 2, words),
+                       'one  two…');
+    assert.strictEqual(
+        html.truncateHtml('<p>one</p><p>two</p><p>three</p>', 2, words),
+        '<p>one</p><p>two…</p>');
+    assert.strictEqual(html.truncateHtml('  a b', 5, words), '  a b');
+});
+
+test('truncateHtml does not count markup, scripts or comments', function () {
+    assert.strictEqual(html.truncateHtml('<p title="a &amp; b">x</p>yz', 1),
+                       '<p title="a &amp; b">x…</p>');
+    assert.strictEqual(html.truncateHtml('<script>abc</script>de', 1),
+                       '<script>abc</script>d…');
+    assert.strictEqual(html.truncateHtml('<!--abc-->de', 1),
+                       '<!--abc-->d…');
+});
+
+test('truncateHtml takes any ellipsis, and the default for null',
+     function () {
+    assert.strictEqual(html.truncateHtml('abc', 2, { ellipsis: null }),
+                       'ab…');
+    assert.strictEqual(
+        html.truncateHtml('abc', 2, { ellipsis: '<b>...</b>' }),
+        'ab<b>...</b>');
+});
+
+test('truncateHtml counts the text of textarea and title', function () {
+    assert.strictEqual(html.truncateHtml('<textarea>abcdef</textarea>', 2),
+                       '<textarea>ab…</textarea>');
+    assert.strictEqual(
+        html.truncateHtml('<title>a &amp; b</title><p>cd</p>', 4,
+                          { ellipsis: '' }),
+        '<title>a &amp;</title>');
+    assert.strictEqual(
+        html.truncateHtml('<textarea>one <b>two</textarea>', 2,
+                          { words: true }),
+        '<textarea>one &lt;b&gt;two</textarea>');
+});
+
+test('truncateHtml closes what was open at the last character kept',
+     function () {
+    assert.strictEqual(html.truncateHtml('<p>ab<i>cd</i>ef</p>', 2),
+                       '<p>ab…</p>');
+    assert.strictEqual(html.truncateHtml('<ul><li>a<b>b<li>cdef</ul>', 4),
+                       '<ul><li>a<b>b</b></li><li><b>c…</b></li></ul>');
+    assert.strictEqual(html.truncateHtml('<p>a<span>b<div>cd</div>', 4),
+                       '<p>a<span>b</span></p><div>c…</div>');
+});
+
+test('truncateHtml takes linear time in deeply nested text', function () {
+    var input = new Array(20001).join('<span>')
+        + new Array(200001).join('x');
+    var start = Date.now();
+    var out = html.truncateHtml(input, 199999);
+    assert.ok(Date.now() - start < 2000);
+    // One x is replaced by the ellipsis, and the spans are closed.
+    assert.strictEqual(out.length, input.length + 20000 * '</span>'.length);
+});
+
+// Balancing
+
+test('balance closes what is open and drops stray end tags', function () {
+    assert.deepStrictEqual(events('<b>x</i>', { balance: true }), [
+        ['startTag', 'b'], ['pcdata', 'x'], ['endTag', 'b']
+    ]);
+    assert.strictEqual(
+        html.sanitize('<ul><li>a<li>b</ul><p>c<p>d', { balance: true }),
+        '<ul><li>a</li><li>b</li></ul><p>c</p><p>d</p>');
+});
+
+function balanced(input) {
+    return html.sanitize(input, { balance: true });
+}
+
+test('balance closes a p that a block closes, with what is inside it',
+     function () {
+    assert.strictEqual(balanced('<p>a<span>b<div>c</div>'),
+                       '<p>a<span>b</span></p><div>c</div>');
+    assert.strictEqual(balanced('<table><tr><td><p>a<div>b</table>'),
+                       '<table><tr><td><p>a</p><div>b</div></td></tr>'
+                       + '</table>');
+    assert.strictEqual(balanced('<p><button><div>a</button>b'),
+                       '<p><button><div>a</div></button>b</p>');
+});
+
+test('balance closes list items and definitions past inline elements',
+     function () {
+    assert.strictEqual(balanced('<ul><li>a<b>b<li>c'),
+                       '<ul><li>a<b>b</b></li><li><b>c</b></li></ul>');
+    assert.strictEqual(balanced('<dt>a<em>x<dd>'),
+                       '<dt>a<em>x</em></dt><dd></dd>');
+    assert.strictEqual(balanced('<li><div>a<li>b'),
+                       '<li><div>a</div></li><li>b</li>');
+    assert.strictEqual(balanced('<li><ul><li>a</ul>b'),
+                       '<li><ul><li>a</li></ul>b</li>');
+});
+
+test('balance nests cells, headings and options as a browser would',
+     function () {
+    assert.strictEqual(balanced('<table><tr><td>a<b>x<td>y</table>z'),
+                       '<table><tr><td>a<b>x</b></td><td>y</td></tr>'
+                       + '</table>z');
+    assert.strictEqual(balanced('<td>a</td>'), 'a');
+    assert.strictEqual(balanced('<h1>a<h2>b</h1>c'), '<h1>a</h1><h2>b</h2>c');
+    assert.strictEqual(
+        balanced('<select><option>a<option>b<b>c</b></select>'),
+        '<select><option>a</option><option>bc</option></select>');
+});
+
+test('balance opens formatting elements again as a browser would',
+     function () {
+    assert.strictEqual(balanced('<div><b>x</div>y'),
+                       '<div><b>x</b></div><b>y</b>');
+    assert.strictEqual(balanced('<p><i>a<p>b</i>c'),
+                       '<p><i>a</i></p><p><i>b</i>c</p>');
+    assert.strictEqual(balanced('<a title=1>x<a title=2>y'),
+                       '<a title="1">x</a><a title="2">y</a>');
+});
+
+test('balance leaves special elements to their own end tags', function () {
+    assert.strictEqual(balanced('<span><div>a</span>b'),
+                       '<span><div>ab</div></span>');
+    assert.strictEqual(balanced('<li><div>a</li>b'),
+                       '<li><div>a</div></li>b');
+});
+
+test('balance only nests the elements the sanitizer keeps', function () {
+    assert.strictEqual(balanced('<dt></span></td><mi><dd>'),
+                       '<dt></dt><dd></dd>');
+    assert.strictEqual(balanced('<p>a<marquee>b<div>c'),
+                       '<p>ab</p><div>c</div>');
+    assert.strictEqual(balanced('<li><blink>a<li>b'),
+                       '<li>a</li><li>b</li>');
+});
+
+test('balance gives nothing for empty input or only end tags', function () {
+    assert.strictEqual(balanced(''), '');
+    assert.strictEqual(balanced(null), '');
+    assert.strictEqual(balanced('</p></div>'), '');
+});
+
+test('balance never closes void elements', function () {
+    assert.strictEqual(balanced('<img><hr>x</hr><br>y'), '<img><hr>x<br>y');
+});
+
+test('balance closes misnested formatting elements in order', function () {
+    assert.strictEqual(balanced('<b><i>x</b></i>'), '<b><i>x</i></b>');
+    assert.strictEqual(balanced('<textarea>a</b></textarea>'),
+                       '<textarea>a&lt;/b&gt;</textarea>');
+});
+
+test('balance works the same on input that arrives in chunks', function () {
+    var out = [];
+    var parser = html.makeIncrementalSaxParser({
+        startTag: function (name, attribs, out) { out.push(name); },
+        endTag: function (name, out) { out.push('/' + name); }
+    }, out, { balance: true });
+    parser.write('<ul><li>a');
+    parser.write('<li>b');
+    parser.end();
+    assert.deepStrictEqual(out, ['ul', 'li', '/li', 'li', '/li', '/ul']);
+});
+
+test('balance reports the tags it drops', function () {
+    var report = [];
+    html.sanitize('<td>a</b>', { balance: true, report: report });
+    assert.deepStrictEqual(report, [
+        { type: 'element', action: 'dropped', name: 'td',
+          reason: 'element outside table', offset: 0 },
+        { type: 'element', action: 'dropped', name: 'b',
+          reason: 'end tag without start tag', offset: 5 }
+    ]);
+});
+
+test('balanced output is sanitized the same again', function () {
+    [
+        '<dt></span></td><mi><dd>', '<p>a<span>b<div>c</div>',
+        '<ul><li>a<b>b<li>c', '<p><b>x</p> <p>y', '<b><p>x</b>y',
+        '<table><tr><td>a<td>b</table>', '<p><select><dt>x',
+        '<svg><g><p>x</svg>', '<ruby>a<rt>b<rp>c</ruby>'
+    ].forEach(function (input) {
+        var once = balanced(input);
+        assert.strictEqual(balanced(once), once, input);
+    });
+});
+
+// Report
+
+test('reports each drop with the offset of its tag', function () {
+    var report = [];
+    html.sanitize('<p onclick="x()">hi<script>x()</script>',
+                  { report: report });
+    assert.deepStrictEqual(report, [
+        { type: 'attribute', action: 'dropped', tagName: 'p',
+          name: 'onclick', value: 'x()', newValue: null,
+          reason: 'SCRIPT attribute', offset: 0 },
+        { type: 'element', action: 'dropped', name: 'script',
+          reason: 'UNSAFE element', offset: 19 }
+    ]);
+});
+
+test('reports dropped URIs and style declarations', function () {
+    var report = [];
+    html.sanitize('x<a href="javascript:x()" style="position: fixed">x</a>',
+                  { uriPolicy: uriPolicy, report: report });
+    assert.deepStrictEqual(report.map(function (entry) {
+        return [entry.type, entry.reason, entry.offset];
+    }), [
+        ['uri', 'disallowed scheme', 1],
+        ['style', 'not allowed by cssSchema', 1],
+        ['attribute', 'no allowed declarations', 1]
+    ]);
+});
+
+test('a policy that sanitizes while it runs keeps both reports apart',
+     function () {
+    var outer = [], inner = [];
+    html.sanitize('xx<a href="http://x/" onclick="x()">y</a>', {
+        report: outer,
+        uriPolicy: function (uri) {
+            html.sanitize('<b onclick="y()">z</b>', { report: inner });
+            html.sanitizeAttribs('i', ['onclick', 'y()'], { report: inner });
+            return null;
+        }
+    });
+    assert.deepStrictEqual(outer.map(function (entry) {
+        return [entry.type, entry.name, entry.offset];
+    }), [['uri', 'href', 2], ['attribute', 'onclick', 2]]);
+    assert.deepStrictEqual(inner.map(function (entry) {
+        return [entry.type, entry.name, entry.offset];
+    }), [['attribute', 'onclick', 0], ['attribute', 'onclick', undefined]]);
+});
+
+test('a tag policy gets the position of the tag', function () {
+    var starts = [];
+    html.sanitizeWithPolicy('a<b>c<i>d', function (tagName, attribs, position) {
+        starts.push(position.start);
+        return { attribs: attribs };
+    });
+    assert.deepStrictEqual(starts, [1, 5]);
+});
+
+test('a report function is called with each entry', function () {
+    var entries = [];
+    html.sanitize('<!--x-->', {
+        report: function (entry) { entries.push(entry); }
+    });
+    assert.deepStrictEqual(entries, [{
+        type: 'comment', action: 'dropped', value: 'x',
+        reason: 'comments are dropped', offset: 0
+    }]);
+});
+
+// Sanitizes input and gives the report as [type, reason, offset] entries.
+function reported(input, opt_options) {
+    var options = opt_options || {};
+    var report = options.report = [];
+    html.sanitize(input, options);
+    return report.map(function (entry) {
+        return [entry.type, entry.reason, entry.offset];
+    });
+}
+
+test('reports nothing for empty or clean input', function () {
+    assert.deepStrictEqual(reported(''), []);
+    assert.deepStrictEqual(reported('<p title="t">plain &amp; <b>x</b></p>'),
+                           []);
+});
+
+test('reports unknown elements and attributes, and URIs without a policy',
+     function () {
+    assert.deepStrictEqual(
+        reported('<p bogus=1>x</p>\n<blink>b</blink><a href="/x">x</a>'), [
+            ['attribute', 'attribute not in ATTRIBS', 0],
+            ['element', 'element not in ELEMENTS', 17],
+            ['uri', 'no uriPolicy', 33]
+        ]);
+});
+
+test('reports declarations, instructions, sections and bogus comments',
+     function () {
+    assert.deepStrictEqual(
+        reported('<!DOCTYPE html><?xml x?><![CDATA[x]]><!bogus>'), [
+            ['doctype', 'doctype option not set', 0],
+            ['processingInstruction', 'processingInstructions option not set',
+             15],
+            ['cdataSection', 'cdataSections option not set', 24],
+            ['comment', 'comments are dropped', 37]
+        ]);
+});
+
+test('reports a tag cut off by the end of the input', function () {
+    var report = [];
+    assert.strictEqual(html.sanitize('x<b title="y', { report: report }),
+                       'x');
+    assert.deepStrictEqual(report, [{
+        type: 'tag', action: 'dropped', value: '<b title="y',
+        reason: 'unterminated quote', offset: 1
+    }]);
+});
+
+// Positions and warnings
+
+test('events have offsets, lines and columns', function () {
+    var out = [];
+    html.makeSaxParser({
+        startTag: function (name, attribs, out, _, __, position) {
+            out.push([name, position]);
+        },
+        pcdata: function (text, out, _, __, position) {
+            out.push([text, position.start, position.end, position.line,
+                      position.column, position.endLine,
+                      position.endColumn]);
+        }
+    })('<a href=/x/>x\ny', out);
+    assert.deepStrictEqual(out, [
+        ['a', { start: 0, end: 12, line: 1, column: 1, endLine: 1,
+                endColumn: 13, namespace: 'html' }],
+        ['x\ny', 12, 15, 1, 13, 2, 2]
+    ]);
+});
+
+test('warns about malformed input', function () {
+    var out = [];
+    html.makeSaxParser({
+        warning: function (code, position, out) {
+            out.push([code, position.start]);
+        }
+    })('<p><!-- x', out);
+    assert.deepStrictEqual(out, [['unclosedComment', 3]]);
+    out = [];
+    html.makeSaxParser({
+        warning: function (code, position, out) {
+            out.push([code, position.start]);
+        }
+    })('<b title="y>z', out);
+    assert.deepStrictEqual(out, [['unterminatedQuote', 0]]);
+});
+
+// The warnings for input, as [code, start, line, column].
+function warnings(input) {
+    var out = [];
+    html.makeSaxParser({
+        warning: function (code, position, out) {
+            out.push([code, position.start, position.line, position.column]);
+        }
+    })(input, out);
+    return out;
+}
+
+test('gives no warnings for empty or well-formed input', function () {
+    assert.deepStrictEqual(warnings(''), []);
+    assert.deepStrictEqual(warnings('<p a="1">ok<!--c--></p>'), []);
+});
+
+test('warns about every kind of markup left open at the end', function () {
+    assert.deepStrictEqual(warnings('<b'), [['unclosedTag', 0, 1, 1]]);
+    assert.deepStrictEqual(warnings('<!doctype'),
+                           [['unclosedDeclaration', 0, 1, 1]]);
+    assert.deepStrictEqual(warnings('<?xml'),
+                           [['unclosedProcessingInstruction', 0, 1, 1]]);
+    assert.deepStrictEqual(warnings('<![CDATA[x'),
+                           [['unclosedCdataSection', 0, 1, 1]]);
+});
+
+test('counts CR LF and lone CR as one line break', function () {
+    assert.deepStrictEqual(warnings('a\r\nb\r\n<!--'),
+                           [['unclosedComment', 6, 3, 1]]);
+    assert.deepStrictEqual(warnings('a\rb\r<!--'),
+                           [['unclosedComment', 4, 3, 1]]);
+});
+
+test('positions cover comments, raw text and end tags', function () {
+    var out = [];
+    html.makeSaxParser({
+        endTag: function (name, out, _, __, position) {
+            out.push([name, position.start, position.end]);
+        },
+        comment: function (text, out, _, __, position) {
+            out.push(['comment', position.start, position.end,
+                      position.endLine]);
+        },
+        cdata: function (text, out, _, __, position) {
+            out.push(['cdata', position.start, position.end]);
+        }
+    })('<!--a\nb--><script>x</script ></p>', out);
+    assert.deepStrictEqual(out, [
+        ['comment', 0, 10, 2], ['cdata', 18, 19], ['script', 19, 29],
+        ['p', 29, 33]
+    ]);
+});
+
+test('positions run on across the chunks of incremental input', function () {
+    var out = [];
+    var parser = html.makeIncrementalSaxParser({
+        pcdata: function (text, out, _, __, position) {
+            out.push([text, position.start, position.line, position.column]);
+        },
+        startTag: function (name, attribs, out, _, __, position) {
+            out.push([name, position.start, position.line, position.column]);
+        }
+    }, out);
+    parser.write('ab\nc');
+    parser.write('d<i');
+    parser.write('>');
+    parser.end();
+    assert.deepStrictEqual(out,
+                           [['ab\nc', 0, 1, 1], ['d', 4, 2, 2], ['i', 5, 2, 3]]);
+});
+
+// Linear time and the attribute grammar
+
+test('reads attributes with the HTML5 attribute states', function () {
+    assert.deepStrictEqual(events('<a href=/x/ a=1 a=2 b/c>'), [
+        ['startTag', 'a', 'href', '/x/', 'a', '1', 'b', '', 'c', '']
+    ]);
+    assert.deepStrictEqual(events('<a title="x>y" \'z=1>'), [
+        ['startTag', 'a', 'title', 'x>y', '\'z', '1']
+    ]);
+});
+
+test('keeps the first of attributes that differ only in case', function () {
+    assert.deepStrictEqual(events('<a A=1 a=2 B="3" b=\'4\'>'),
+                           [['startTag', 'a', 'a', '1', 'b', '3']]);
+});
+
+test('reads spaces around =, and values that run into the next name',
+     function () {
+    assert.deepStrictEqual(events('<a x = "1"  y= 2 z =3>'),
+                           [['startTag', 'a', 'x', '1', 'y', '2', 'z', '3']]);
+    assert.deepStrictEqual(events('<a x="1"y="2">'),
+                           [['startTag', 'a', 'x', '1', 'y', '2']]);
+    assert.deepStrictEqual(events('<a x="\n\t">'),
+                           [['startTag', 'a', 'x', '\n\t']]);
+});
+
+test('reads unquoted values up to whitespace or >, with / in them',
+     function () {
+    assert.deepStrictEqual(events('<a x=a"b\'c=d`e>'),
+                           [['startTag', 'a', 'x', 'a"b\'c=d`e']]);
+    assert.deepStrictEqual(events('<a/x/y=1/ >'),
+                           [['startTag', 'a', 'x', '', 'y', '1/']]);
+    assert.deepStrictEqual(events('<a x=1/>'),
+                           [['startTag', 'a', 'x', '1/']]);
+    assert.deepStrictEqual(events('<a x=&amp;&lt y="&quot;">'),
+                           [['startTag', 'a', 'x', '&<', 'y', '"']]);
+});
+
+test('reads an empty value, a name starting with =, and attributes on '
+     + 'end tags', function () {
+    assert.deepStrictEqual(events('<a x=>'), [['startTag', 'a', 'x', '']]);
+    assert.deepStrictEqual(events('<a =x>'), [['startTag', 'a', '=x', '']]);
+    assert.deepStrictEqual(events('</a x=1>'), [['endTag', 'a']]);
+});
+
+test('reads the known slow inputs as the HTML5 tokenizer does', function () {
+    assert.deepStrictEqual(events('<p<p<p>x'),
+                           [['startTag', 'p', '<p<p', ''], ['pcdata', 'x']]);
+    assert.deepStrictEqual(events('<a <a <a>'),
+                           [['startTag', 'a', '<a', '']]);
+    assert.deepStrictEqual(events('<script> && && </script>'), [
+        ['startTag', 'script'], ['cdata', ' && && '], ['endTag', 'script']
+    ]);
+    assert.deepStrictEqual(events('<p title=\'>>>\'>x'),
+                           [['startTag', 'p', 'title', '>>>'], ['pcdata', 'x']]);
+    assert.deepStrictEqual(events('<!--<!--<!---->x'),
+                           [['comment', '<!--<!--'], ['pcdata', 'x']]);
+});
+
+test('drops a tag that never ends, with the rest of the input', function () {
+    assert.deepStrictEqual(events('a<p<p<p'), [['pcdata', 'a']]);
+    assert.deepStrictEqual(events('a<p title="b>c'), [['pcdata', 'a']]);
+});
+
+test('parses hostile input quickly', function () {
+    var n = 20000;
+    var inputs = [
+        new Array(n).join('<!--'),
+        '<a title="' + new Array(n).join('>'),
+        new Array(n).join('<a '),
+        new Array(n).join('<script>')
+    ];
+    inputs.forEach(function (input) {
+        var start = Date.now();
+        html.sanitize(input);
+        assert.ok(Date.now() - start < 2000, input.substring(0, 12));
+    });
+});
+
+// Entity profiles
+
+test('entity profiles decode their own tables', function () {
+    var xml = html.makeEntityProfile(require('../lib/entities-xml.js'));
+    assert.strictEqual(html('&lt;&copy;', { entities: xml }), '<&copy;');
+    var html4 = html.makeEntityProfile(require('../lib/entities-html4.js'),
+                                       { logo: '⌘' });
+    assert.strictEqual(html.lookupEntity('logo', { entities: html4 }),
+                       '⌘');
+    assert.strictEqual(html('&logo &logo;', { entities: html4 }),
+                       '&logo ⌘');
+    assert.strictEqual(html('&NotNestedGreaterGreater;',
+                            { entities: html4 }),
+                       '&NotNestedGreaterGreater;');
+});
+
+test('the XML, HTML4 and HTML5 tables have their own sizes and legacy names',
+     function () {
+    var xml = require('../lib/entities-xml.js');
+    var html4 = require('../lib/entities-html4.js');
+    assert.strictEqual(Object.keys(xml.NAMED).length, 5);
+    assert.strictEqual(Object.keys(html4.NAMED).length, 252);
+    assert.strictEqual(
+        html('&amp &apos; &copy;', { entities: xml, context: 'text' }),
+        '&amp \' &copy;');
+    assert.strictEqual(
+        html('&copy &hellip &hellip;', { entities: html4, context: 'text' }),
+        '© &hellip …');
+});
+
+test('extra entities may override the table, and are read in chunks',
+     function () {
+    var xml = require('../lib/entities-xml.js');
+    var profile = html.makeEntityProfile(xml, { amp: 'AND', company: 'Acme' });
+    assert.strictEqual(html('&amp;', { entities: profile }), 'AND');
+    var unescaper = html.makeIncrementalUnescaper({ entities: profile });
+    assert.strictEqual(unescaper.write('&comp'), '');
+    assert.strictEqual(unescaper.write('any;'), 'Acme');
+});
+
+test('makeEntityProfile rejects bad names and tables', function () {
+    var xml = require('../lib/entities-xml.js');
+    ['1bad', 'a-b', '', 'hasOwnProperty', 'constructor', '__proto__']
+        .forEach(function (name) {
+            var extra = {};
+            Object.defineProperty(extra, name, {
+                value: 'x', enumerable: true
+            });
+            assert.throws(function () {
+                html.makeEntityProfile(xml, extra);
+            }, /Bad entity name/, name);
+        });
+    assert.throws(function () { html.makeEntityProfile({}); },
+                  /entities table has no NAMED/);
+    assert.throws(function () { html('&x;', { entities: {} }); },
+                  /entities table has no NAMED/);
+});
+
+test('setDefaultEntities changes what is decoded without a profile',
+     function () {
+    try {
+        html.setDefaultEntities(require('../lib/entities-xml.js'));
+        assert.strictEqual(html('&lt;&copy;'), '<&copy;');
+        assert.strictEqual(html.lookupEntity('copy'), '&copy;');
+        assert.strictEqual(html.sanitize('<a title="&lt;&copy;">x</a>'),
+                           '<a title="&lt;&amp;copy;">x</a>');
+    } finally {
+        html.setDefaultEntities(null);
+    }
+    assert.strictEqual(html('&lt;&copy;'), '<©');
+});
+
+test('the HTML5 table is only loaded when it is the default', function () {
+    var sanitizerPath = require.resolve('../sanitizer.js');
+    var tablePath = require.resolve('../lib/entities.js');
+    var saved = {};
+    [sanitizerPath, tablePath].forEach(function (path) {
+        saved[path] = require.cache[path];
+        delete require.cache[path];
+    });
+    try {
+        var fresh = require('../sanitizer.js');
+        fresh.setDefaultEntities(require('../lib/entities-xml.js'));
+        assert.strictEqual(fresh('&amp;&copy;'), '&&copy;');
+        assert.strictEqual(fresh.sanitize('<b title="&amp;">x</b>'),
+                           '<b title="&amp;">x</b>');
+        assert.ok(!require.cache[tablePath]);
+    } finally {
+        [sanitizerPath, tablePath].forEach(function (path) {
+            require.cache[path] = saved[path];
+        });
+    }
+});
+
+// Doctypes, processing instructions and CDATA sections
+
+test('drops doctypes and processing instructions unless kept',
+     function () {
+    assert.strictEqual(
+        html.sanitize('<!DOCTYPE html><?xml version="1.0"?><p>hi</p>'),
+        '<p>hi</p>');
+    assert.strictEqual(
+        html.sanitize('<!DOCTYPE html><?xml version="1.0"?><p>hi</p>',
+                      { doctype: true }),
+        '<!DOCTYPE html><p>hi</p>');
+    assert.strictEqual(
+        html.sanitize('<?pi x?><![CDATA[a<b]]>',
+                      { processingInstructions: true, cdataSections: true }),
+        '<?pi x?>a&lt;b');
+});
+
+test('reports doctype ids and bogus comments', function () {
+    var out = [];
+    html.makeSaxParser({
+        doctype: function (name, publicId, systemId, out) {
+            out.push([name, publicId, systemId]);
+        },
+        comment: function (text, out) { out.push(text); }
+    })('<!DOCTYPE HTML PUBLIC "-//W3C//DTD HTML 4.01//EN"><!x></ y>', out);
+    assert.deepStrictEqual(out, [
+        ['html', '-//W3C//DTD HTML 4.01//EN', null], 'x', ' y'
+    ]);
+});
+
+// The doctype, processing instruction, CDATA section and comment events
+// for input.
+function declarations(input) {
+    var out = [];
+    html.makeSaxParser({
+        doctype: function (name, publicId, systemId, out) {
+            out.push(['doctype', name, publicId, systemId]);
+        },
+        processingInstruction: function (target, data, out) {
+            out.push(['processingInstruction', target, data]);
+        },
+        cdataSection: function (text, out) {
+            out.push(['cdataSection', text]);
+        },
+        comment: function (text, out) { out.push(['comment', text]); }
+    })(input, out);
+    return out;
+}
+
+test('reads doctypes with and without a name and ids', function () {
+    assert.deepStrictEqual(declarations('<!doctype>'),
+                           [['doctype', null, null, null]]);
+    assert.deepStrictEqual(
+        declarations('<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML 1.0 Strict//EN"'
+                     + ' "http://www.w3.org/TR/xhtml1/DTD/xhtml1-strict.dtd">'),
+        [['doctype', 'html', '-//W3C//DTD XHTML 1.0 Strict//EN',
+          'http://www.w3.org/TR/xhtml1/DTD/xhtml1-strict.dtd']]);
+    assert.deepStrictEqual(declarations("<!DOCTYPE svg SYSTEM 'x.dtd'>"),
+                           [['doctype', 'svg', null, 'x.dtd']]);
+});
+
+test('splits processing instructions into target and data', function () {
+    assert.deepStrictEqual(
+        declarations('<?xml version="1.0" encoding="utf-8"?><?php x; ?><?>'), [
+            ['processingInstruction', 'xml',
+             'version="1.0" encoding="utf-8"'],
+            ['processingInstruction', 'php', 'x; '],
+            ['processingInstruction', '', '']
+        ]);
+});
+
+test('ends a CDATA section only at ]]>, and needs CDATA in capitals',
+     function () {
+    assert.deepStrictEqual(declarations('<![CDATA[]]><![CDATA[a]]b>]]>'),
+                           [['cdataSection', ''], ['cdataSection', 'a]]b>']]);
+    assert.deepStrictEqual(declarations('<![cdata[x]]>'),
+                           [['comment', '[cdata[x]]']]);
+});
+
+test('keeps what it is asked to keep and no markup inside it', function () {
+    assert.strictEqual(
+        html.sanitize('<!DOCTYPE html PUBLIC "a" "b">', { doctype: true }),
+        '<!DOCTYPE html PUBLIC "a" "b">');
+    assert.strictEqual(
+        html.sanitize('<![CDATA[<script>]]>', { cdataSections: true }),
+        '&lt;script&gt;');
+    assert.strictEqual(
+        html.sanitize('<?x <script>alert(1)</script>?>',
+                      { processingInstructions: true }),
+        '<?x <script?>alert(1)?&gt;');
+});
+
+// SVG and MathML
+
+test('sanitizes SVG and MathML against their whitelists', function () {
+    assert.strictEqual(
+        html.sanitize('<svg viewBox="0 0 8 8"><circle r="4" fill="red" '
+                      + 'onclick="x()"/><script>x()</script></svg>'),
+        '<svg viewBox="0 0 8 8"><circle r="4" fill="red"></circle></svg>');
+    assert.strictEqual(
+        html.sanitize('<math><mfrac><mi>a</mi><mn>2</mn></mfrac></math>'),
+        '<math><mfrac><mi>a</mi><mn>2</mn></mfrac></math>');
+    assert.strictEqual(
+        html.sanitize('<svg><foreignObject><p>x</p></foreignObject></svg>'),
+        '<svg></svg>');
+});
+
+test('an HTML start tag breaks out of SVG', function () {
+    assert.strictEqual(html.sanitize('<svg><g><p>x</p></g></svg>'),
+                       '<svg><g></g></svg><p>x</p>');
+});
+
+test('keeps the case-adjusted names of SVG elements and attributes',
+     function () {
+    assert.strictEqual(
+        html.sanitize('<SVG VIEWBOX="0 0 1 1"><LINEARGRADIENT '
+                      + 'GRADIENTUNITS="x"></LINEARGRADIENT></SVG>'),
+        '<svg viewBox="0 0 1 1"><linearGradient gradientUnits="x">'
+        + '</linearGradient></svg>');
+    assert.strictEqual(html.sanitize('<svg/>x<math/>'),
+                       '<svg></svg>x<math></math>');
+    assert.strictEqual(html.sanitize('<svg><circle/><rect/></svg>'),
+                       '<svg><circle></circle><rect></rect></svg>');
+});
+
+test('checks xlink:href in SVG as a URI', function () {
+    function identity(uri) { return uri; }
+    assert.strictEqual(
+        html.sanitize('<svg><a xlink:href="http://e/">x</a></svg>'),
+        '<svg><a>x</a></svg>');
+    assert.strictEqual(
+        html.sanitize('<svg><a xlink:href="http://e/">x</a></svg>',
+                      { uriPolicy: identity }),
+        '<svg><a xlink:href="http://e/">x</a></svg>');
+    assert.strictEqual(
+        html.sanitize('<svg><a xlink:href="javascript:x()">x</a></svg>',
+                      { uriPolicy: identity }),
+        '<svg><a>x</a></svg>');
+});
+
+test('drops script, style and integration points in SVG and MathML with '
+     + 'their content', function () {
+    assert.strictEqual(
+        html.sanitize('<svg><script>alert(1)</script><style>x</style></svg>'),
+        '<svg></svg>');
+    assert.strictEqual(
+        html.sanitize('<math><annotation-xml encoding="text/html"><p>x</p>'
+                      + '</annotation-xml></math>'),
+        '<math></math>');
+});
+
+test('keeps the text of CDATA sections in SVG and MathML', function () {
+    assert.strictEqual(
+        html.sanitize('<svg><text><![CDATA[a<b]]></text></svg>'),
+        '<svg><text>a&lt;b</text></svg>');
+    assert.strictEqual(
+        html.sanitize('<p><svg><![CDATA[x]]></svg><![CDATA[y]]></p>'),
+        '<p><svg>x</svg></p>');
+    assert.deepStrictEqual(
+        reported('<svg><![CDATA[a]]></svg><![CDATA[b]]>'),
+        [['cdataSection', 'cdataSections option not set', 24]]);
+    // In an integration point the section may be in HTML, so it is dropped.
+    assert.strictEqual(
+        html.sanitize('<svg><desc><![CDATA[x]]></desc></svg>'),
+        '<svg><desc></desc></svg>');
+});
+
+test('gives a CDATA section the namespace it is in across chunks',
+     function () {
+    var seen = [];
+    var parser = html.makeIncrementalSaxParser({
+        cdataSection: function (text, out, _, __, position) {
+            seen.push([text, position.namespace]);
+        }
+    });
+    parser.write('<svg><![CDA');
+    parser.write('TA[a]]></svg><![CDATA[b]]>');
+    parser.end();
+    assert.deepStrictEqual(seen, [['a', 'svg'], ['b', 'html']]);
+});
+
+// Trees
+
+test('parseFragment builds a tree and serialize writes it back',
+     function () {
+    var tree = html.parseFragment('<p class="a">x &amp; y<!--c--></p>');
+    assert.deepStrictEqual(tree, {
+        type: 'fragment',
+        children: [{
+            type: 'element', name: 'p', namespace: 'html',
+            attribs: ['class', 'a'],
+            children: [
+                { type: 'text', value: 'x & y' },
+                { type: 'comment', value: 'c' }
+            ]
+        }]
+    });
+    assert.strictEqual(html.serialize(tree),
+                       '<p class="a">x &amp; y<!--c--></p>');
+});
+
+// The tree under node as nested arrays of names, with text as strings.
+function shape(node) {
+    if (node.type === 'text') { return node.value; }
+    return [node.name || ''].concat(node.children.map(shape));
+}
+
+test('parseFragment nests elements as a browser would', function () {
+    assert.deepStrictEqual(shape(html.parseFragment('<ul><li>a<b>b<li>c')),
+                           ['', ['ul', ['li', 'a', ['b', 'b']],
+                                 ['li', ['b', 'c']]]]);
+    assert.deepStrictEqual(shape(html.parseFragment('<p>x<div>')),
+                           ['', ['p', 'x'], ['div']]);
+    assert.deepStrictEqual(shape(html.parseFragment('<p>a<span>b<div>c')),
+                           ['', ['p', 'a', ['span', 'b']], ['div', 'c']]);
+    assert.deepStrictEqual(shape(html.parseFragment('<dl><dt>a<em>x<dd>y')),
+                           ['', ['dl', ['dt', 'a', ['em', 'x']],
+                                 ['dd', ['em', 'y']]]]);
+    assert.deepStrictEqual(shape(html.parseFragment('<td>a<tr>b')),
+                           ['', 'ab']);
+});
+
+test('serialize writes back what parseFragment reads', function () {
+    ['<ul><li>a<b>b<li>c', '<p>x<div>', '<div><b>x</div>y',
+     '<table><tr><td>a<td>b</table>', '<svg><g><p>x'
+    ].forEach(function (input) {
+        var tree = html.parseFragment(input);
+        assert.deepStrictEqual(html.parseFragment(html.serialize(tree)),
+                               tree, input);
+    });
+});
+
+test('serialize escapes by content model and refuses unsafe trees',
+     function () {
+    assert.strictEqual(
+        html.serialize(html.parseFragment(
+            '<textarea>&lt;/textarea></textarea><br>')),
+        '<textarea>&lt;/textarea&gt;</textarea><br>');
+    assert.throws(function () {
+        html.serialize({ type: 'element', name: 'script', namespace: 'html',
+                         attribs: [], children: [
+                             { type: 'text', value: '</script>' }] });
+    });
+});
+
+test('serialize refuses element and attribute names that are not one name',
+     function () {
+    function element(name, attribs) {
+        return { type: 'element', name: name, namespace: 'html',
+                 attribs: attribs, children: [] };
+    }
+    ['a b', 'x><script>', 'a/', 'a"', '1a', '', 'a\u0000'].forEach(
+        function (name) {
+            assert.throws(function () {
+                html.serialize(element(name, []));
+            }, /bad element name/, name);
+        });
+    ['onclick" x="1', 'a b', 'a=b', 'a>', '', "a'", 'a/b', 'a<'].forEach(
+        function (name) {
+            assert.throws(function () {
+                html.serialize(element('a', [name, 'y']));
+            }, /bad attribute name/, name);
+        });
+    assert.strictEqual(
+        html.serialize(element('a', ['data-x', 'y', 'xlink:href', '#z'])),
+        '<a data-x="y" xlink:href="#z"></a>');
+});
+
+test('parseFragment gives an empty fragment for empty or no input',
+     function () {
+    ['', null, undefined].forEach(function (input) {
+        var tree = html.parseFragment(input);
+        assert.deepStrictEqual(tree, { type: 'fragment', children: [] },
+                               String(input));
+        assert.strictEqual(html.serialize(tree), '');
+    });
+});
+
+test('parseFragment leaves out doctypes and processing instructions',
+     function () {
+    assert.deepStrictEqual(
+        html.parseFragment('<!--c--><!DOCTYPE html><?pi?><![CDATA[x]]>y'),
+        { type: 'fragment', children: [
+            { type: 'comment', value: 'c' },
+            { type: 'text', value: 'xy' }] });
+});
+
+test('serialize writes void elements without end tags or content',
+     function () {
+    assert.strictEqual(
+        html.serialize(html.parseFragment('<br><img src=x><input>')),
+        '<br><img src="x"><input>');
+    assert.strictEqual(
+        html.serialize({ type: 'element', name: 'br', namespace: 'html',
+                         attribs: [], children: [
+                             { type: 'text', value: 'x' }] }),
+        '<br>');
+    assert.strictEqual(
+        html.serialize(html.parseFragment('<svg><circle/></svg>')),
+        '<svg><circle></circle></svg>');
+});
+
+test('serialize escapes text and attribute values', function () {
+    assert.strictEqual(
+        html.serialize(html.parseFragment("<p title='a\"b&amp;'>x</p>")),
+        '<p title="a&#34;b&amp;">x</p>');
+    assert.strictEqual(html.serialize({ type: 'text', value: '<&>' }),
+                       '&lt;&amp;&gt;');
+    assert.strictEqual(
+        html.serialize(html.parseFragment(
+            '<title>a<b</title><textarea>&amp;</textarea>')),
+        '<title>a&lt;b</title><textarea>&amp;</textarea>');
+    assert.strictEqual(
+        html.serialize(html.parseFragment(
+            '<script>a<b</script><style>p>q{}</style>')),
+        '<script>a<b</script><style>p>q{}</style>');
+});
+
+test('serialize refuses raw text with its end tag in any case', function () {
+    assert.throws(function () {
+        html.serialize({ type: 'element', name: 'style', namespace: 'html',
+                         attribs: [], children: [
+                             { type: 'text', value: '</STYLE >' }] });
+    }, /contains its end tag/);
+});
+
+test('serialize refuses comments a browser would end early', function () {
+    ['>', '->', 'a-->b', 'a--!>b'].forEach(function (value) {
+        assert.throws(function () {
+            html.serialize({ type: 'comment', value: value });
+        }, /comment contains its end/, value);
+    });
+    ['a-', 'a--', '<!--'].forEach(function (value) {
+        var markup = html.serialize({ type: 'comment', value: value });
+        assert.deepStrictEqual(html.parseFragment(markup).children,
+                               [{ type: 'comment', value: value }], value);
+    });
+});
+
+test('serialize refuses nodes of unknown types', function () {
+    assert.throws(function () {
+        html.serialize({ type: 'bogus' });
+    }, /unknown node type bogus/);
+    assert.throws(function () {
+        html.serialize({ type: 'element', name: 'p', namespace: 'html',
+                         attribs: [], children: [{ type: 'doctype' }] });
+    }, /unknown node type doctype/);
+});
+
+function run() {
+    var failures = 0;
+    var i = 0;
+    function next() {
+        if (i === tests.length) {
+            console.log(tests.length + ' tests, ' + failures + ' failures');
+            process.exitCode = failures ? 1 : 0;
+            return;
+        }
+        var t = tests[i++];
+        new Promise(function (resolve) { resolve(t.fn()); }).then(
+            function () {
+                next();
+            },
+            function (e) {
+                ++failures;
+                console.log('FAIL ' + t.name + '\n' + (e && e.stack || e));
+                next();
+            });
+    }
+    next();
+}
+
+run();